@@ -0,0 +1,481 @@
+/**
+ * BuffDataLoader - ユーザーが編集したバフデータ（JSON）の読み込み・検証
+ *
+ * 【概要】
+ * buffs.js（window.BUFF_DATA）は既定のバフデータとして常に読み込まれる。
+ * ユーザーはbuff-data.schema.jsonに従ったJSONファイルを用意し、
+ * TL-assistant.htmlのファイル選択、またはtl-cli.jsの--buffsオプションで読み込ませることで
+ * バフの追加・上書きを行える。
+ *
+ * 【主な機能】
+ * 1. JSON文字列の解析と検証（parseBuffDataJSON）
+ * 2. スキーマに沿った検証（validateBuffData）：エラーは「場所: 内容」の文字列の配列で返す
+ * 3. 既定データとの統合（mergeBuffData）：cost_recovery_buffs・boss_profiles・interval_gimmicksのキー単位で上書き・追加
+ *
+ * 【使用方法】
+ * const { buff_data, errors } = BuffDataLoader.parseBuffDataJSON(text);
+ * if (errors.length === 0) {
+ *   const merged = BuffDataLoader.mergeBuffData(window.BUFF_DATA, buff_data);
+ * }
+ */
+
+(function() {
+'use strict';
+
+/**
+ * triggerとして指定可能な値
+ */
+const BUFF_TRIGGERS = ['event', 'battle_start'];
+
+/**
+ * EX使用コストの軽減バフのevent_typeと、軽減の種類（flat: コストを減らす / percent: コストを%減らす）
+ */
+const COST_REDUCTION_EVENT_TYPE = 'cost_reduction_buff';
+const COST_REDUCTION_TYPES = ['flat', 'percent'];
+
+/**
+ * ボスのプロファイルのrole_multipliersのロールと、形態変化のcost_mode（tl-editor.jsのparsePhaseOptionsと同じ）
+ */
+const BOSS_ROLES = ['striker', 'special'];
+const PHASE_COST_MODES = ['carry', 'reset'];
+
+/**
+ * スキルの種類ごとのレベル範囲
+ * EX: EXスキル, NS: ノーマルスキル, PS: パッシブスキル, SS: サブスキル, UE: 固有武器の★（0は未所持）
+ */
+const SKILL_LEVEL_RANGES = {
+  EX: { min: 1, max: 5 },
+  NS: { min: 1, max: 10 },
+  PS: { min: 1, max: 10 },
+  SS: { min: 1, max: 10 },
+  UE: { min: 0, max: 4 }
+};
+
+/**
+ * level_dependenciesで切り替え可能なバフの項目
+ */
+const LEVEL_DEPENDENT_PROPERTIES = ['buff_amount', 'duration_frames'];
+
+/**
+ * 値がプレーンなオブジェクトかどうかを判定する
+ * @param {*} value - 判定する値
+ * @returns {boolean} プレーンなオブジェクトならtrue
+ */
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * 検出・除外パターンの配列を検証する
+ * @param {*} patterns - detection_patterns または exclusion_patterns
+ * @param {string} path - エラー表示用の場所
+ * @param {Array<string>} errors - エラーの追加先
+ */
+function validatePatterns(patterns, path, errors) {
+  if (!Array.isArray(patterns)) {
+    errors.push(`${path}: 配列を指定してください`);
+    return;
+  }
+
+  patterns.forEach((pattern, index) => {
+    const pattern_path = `${path}[${index}]`;
+
+    if (typeof pattern === 'string') {
+      if (!pattern) {
+        errors.push(`${pattern_path}: 空文字列は指定できません`);
+      }
+      return;
+    }
+    if (!isPlainObject(pattern)) {
+      errors.push(`${pattern_path}: 文字列または { type, pattern } を指定してください`);
+      return;
+    }
+    if (pattern.type !== 'regex' && pattern.type !== 'string') {
+      errors.push(`${pattern_path}.type: "regex" または "string" を指定してください`);
+    }
+    if (typeof pattern.pattern !== 'string' || !pattern.pattern) {
+      errors.push(`${pattern_path}.pattern: 空でない文字列を指定してください`);
+      return;
+    }
+    if (pattern.type === 'regex') {
+      try {
+        new RegExp(pattern.pattern, 'i');
+      } catch (error) {
+        errors.push(`${pattern_path}.pattern: 正規表現として不正です (${error.message})`);
+      }
+    }
+  });
+}
+
+/**
+ * level_dependenciesの1件を検証する
+ * @param {*} dependency - { skill, property, values }
+ * @param {string} path - エラー表示用の場所
+ * @param {Array<string>} errors - エラーの追加先
+ */
+function validateLevelDependency(dependency, path, errors) {
+  if (!isPlainObject(dependency)) {
+    errors.push(`${path}: オブジェクトを指定してください`);
+    return;
+  }
+
+  const range = SKILL_LEVEL_RANGES[dependency.skill];
+  if (!range) {
+    errors.push(`${path}.skill: ${Object.keys(SKILL_LEVEL_RANGES).join(', ')} のいずれかを指定してください`);
+  }
+  if (!LEVEL_DEPENDENT_PROPERTIES.includes(dependency.property)) {
+    errors.push(`${path}.property: ${LEVEL_DEPENDENT_PROPERTIES.join(' または ')} を指定してください`);
+  }
+  if (!isPlainObject(dependency.values) || Object.keys(dependency.values).length === 0) {
+    errors.push(`${path}.values: レベルと値の組を1つ以上指定してください`);
+    return;
+  }
+
+  for (const [level_key, value] of Object.entries(dependency.values)) {
+    const level = Number(level_key);
+    if (!Number.isInteger(level) || (range && (level < range.min || level > range.max))) {
+      const range_text = range ? `${range.min}～${range.max}` : '整数';
+      errors.push(`${path}.values.${level_key}: レベルは${range_text}で指定してください`);
+    }
+    const is_valid_value = dependency.property === 'duration_frames' ?
+      Number.isInteger(value) && value >= 0 :
+      typeof value === 'number';
+    if (!is_valid_value) {
+      errors.push(`${path}.values.${level_key}: ${dependency.property === 'duration_frames' ? '0以上の整数' : '数値'}を指定してください`);
+    }
+  }
+}
+
+/**
+ * 1件のバフ定義を検証する
+ * @param {*} buff - cost_recovery_buffs内のバフ定義
+ * @param {string} path - エラー表示用の場所
+ * @param {Array<string>} errors - エラーの追加先
+ */
+function validateBuffEntry(buff, path, errors) {
+  if (!isPlainObject(buff)) {
+    errors.push(`${path}: オブジェクトを指定してください`);
+    return;
+  }
+
+  if (typeof buff.buff_name !== 'string' || !buff.buff_name) {
+    errors.push(`${path}.buff_name: 空でない文字列を指定してください`);
+  }
+  if (buff.buff_target !== undefined && buff.buff_target !== null && typeof buff.buff_target !== 'string') {
+    errors.push(`${path}.buff_target: 文字列またはnullを指定してください`);
+  }
+  if (buff.buff_amount !== undefined && buff.buff_amount !== null && typeof buff.buff_amount !== 'number') {
+    errors.push(`${path}.buff_amount: 数値またはnullを指定してください`);
+  }
+  if (buff.duration_frames !== undefined && buff.duration_frames !== null &&
+      !(Number.isInteger(buff.duration_frames) && buff.duration_frames >= 0)) {
+    errors.push(`${path}.duration_frames: 0以上の整数またはnullを指定してください`);
+  }
+  if (buff.offset_frames !== undefined && !Number.isInteger(buff.offset_frames)) {
+    errors.push(`${path}.offset_frames: 整数を指定してください`);
+  }
+  if (buff.student_id !== undefined && (typeof buff.student_id !== 'string' || !buff.student_id)) {
+    errors.push(`${path}.student_id: 空でない文字列を指定してください`);
+  }
+  if (buff.trigger !== undefined && !BUFF_TRIGGERS.includes(buff.trigger)) {
+    errors.push(`${path}.trigger: ${BUFF_TRIGGERS.map(trigger => `"${trigger}"`).join(' または ')} を指定してください`);
+  }
+
+  if (buff.detection_patterns !== undefined) {
+    validatePatterns(buff.detection_patterns, `${path}.detection_patterns`, errors);
+  }
+  if (buff.exclusion_patterns !== undefined) {
+    validatePatterns(buff.exclusion_patterns, `${path}.exclusion_patterns`, errors);
+  }
+
+  if (buff.skill !== undefined && (!(buff.skill in SKILL_LEVEL_RANGES) || buff.skill === 'UE')) {
+    errors.push(`${path}.skill: EX, NS, PS, SS のいずれかを指定してください`);
+  }
+
+  // スキルレベルによるバフ量・継続フレーム数の切り替え
+  const dependencies = buff.level_dependencies;
+  if (dependencies !== undefined) {
+    if (!Array.isArray(dependencies)) {
+      errors.push(`${path}.level_dependencies: 配列を指定してください`);
+    } else {
+      dependencies.forEach((dependency, index) => {
+        validateLevelDependency(dependency, `${path}.level_dependencies[${index}]`, errors);
+      });
+    }
+  }
+  const dependsOn = property => Array.isArray(dependencies) &&
+    dependencies.some(dependency => dependency && dependency.property === property);
+
+  // 設定値（カノエSSの「本人+1」など）に比例するバフ量
+  const scaling = buff.level_scaling;
+  if (scaling !== undefined) {
+    if (!isPlainObject(scaling)) {
+      errors.push(`${path}.level_scaling: オブジェクトを指定してください`);
+    } else {
+      if (typeof scaling.setting !== 'string' || !scaling.setting) {
+        errors.push(`${path}.level_scaling.setting: 設定のキーを文字列で指定してください`);
+      }
+      if (typeof scaling.base_amount !== 'number') {
+        errors.push(`${path}.level_scaling.base_amount: 数値を指定してください`);
+      }
+      if (typeof scaling.amount_per_level !== 'number') {
+        errors.push(`${path}.level_scaling.amount_per_level: 数値を指定してください`);
+      }
+    }
+  }
+
+  // EX使用コストの軽減バフは、コスト回復力の増加量の代わりに軽減の内容（cost_reduction）を持つ
+  const is_cost_reduction = buff.event_type === COST_REDUCTION_EVENT_TYPE;
+  if (is_cost_reduction) {
+    const reduction = buff.cost_reduction;
+    if (!isPlainObject(reduction)) {
+      errors.push(`${path}.cost_reduction: オブジェクトを指定してください`);
+    } else {
+      if (!COST_REDUCTION_TYPES.includes(reduction.type)) {
+        errors.push(`${path}.cost_reduction.type: ${COST_REDUCTION_TYPES.map(type => `"${type}"`).join(' または ')} を指定してください`);
+      }
+      if (typeof reduction.amount !== 'number' || reduction.amount < 0) {
+        errors.push(`${path}.cost_reduction.amount: 0以上の数値を指定してください`);
+      }
+      if (reduction.charges !== undefined && reduction.charges !== null &&
+          !(Number.isInteger(reduction.charges) && reduction.charges >= 1)) {
+        errors.push(`${path}.cost_reduction.charges: 1以上の整数またはnullを指定してください`);
+      }
+    }
+  }
+
+  // 実際に発動するバフ（生徒IDか検出パターンがある、または戦闘開始時に発動）は量と継続時間が必要
+  const is_triggered = buff.trigger === 'battle_start' || typeof buff.student_id === 'string' ||
+    (Array.isArray(buff.detection_patterns) && buff.detection_patterns.length > 0);
+  if (is_triggered) {
+    if (!is_cost_reduction && typeof buff.buff_amount !== 'number' && scaling === undefined && !dependsOn('buff_amount')) {
+      errors.push(`${path}: buff_amount、level_scaling、level_dependencies のいずれかが必要です`);
+    }
+    if (!Number.isInteger(buff.duration_frames) && !dependsOn('duration_frames')) {
+      errors.push(`${path}: duration_frames または level_dependencies が必要です`);
+    }
+  }
+}
+
+/**
+ * 1件のボスのプロファイルを検証する
+ * @param {*} profile - boss_profiles内のプロファイル
+ * @param {string} path - エラー表示用の場所
+ * @param {Array<string>} errors - エラーの追加先
+ */
+function validateBossProfile(profile, path, errors) {
+  if (!isPlainObject(profile)) {
+    errors.push(`${path}: オブジェクトを指定してください`);
+    return;
+  }
+
+  if (typeof profile.boss_name !== 'string' || !profile.boss_name) {
+    errors.push(`${path}.boss_name: 空でない文字列を指定してください`);
+  }
+  if (profile.detection_patterns !== undefined) {
+    validatePatterns(profile.detection_patterns, `${path}.detection_patterns`, errors);
+  }
+
+  if (profile.role_multipliers !== undefined) {
+    if (!isPlainObject(profile.role_multipliers)) {
+      errors.push(`${path}.role_multipliers: オブジェクトを指定してください`);
+    } else {
+      for (const [role, multiplier] of Object.entries(profile.role_multipliers)) {
+        if (!BOSS_ROLES.includes(role)) {
+          errors.push(`${path}.role_multipliers.${role}: ${BOSS_ROLES.map(name => `"${name}"`).join(' または ')} を指定してください`);
+        } else if (typeof multiplier !== 'number' || multiplier < 0) {
+          errors.push(`${path}.role_multipliers.${role}: 0以上の数値を指定してください`);
+        }
+      }
+    }
+  }
+
+  if (profile.buffs !== undefined &&
+      !(Array.isArray(profile.buffs) && profile.buffs.every(buff_key => typeof buff_key === 'string' && buff_key))) {
+    errors.push(`${path}.buffs: cost_recovery_buffsのキーの配列を指定してください`);
+  }
+
+  if (profile.phases !== undefined) {
+    if (!Array.isArray(profile.phases)) {
+      errors.push(`${path}.phases: 配列を指定してください`);
+    } else {
+      profile.phases.forEach((phase, index) => {
+        const phase_path = `${path}.phases[${index}]`;
+        if (!isPlainObject(phase)) {
+          errors.push(`${phase_path}: オブジェクトを指定してください`);
+          return;
+        }
+        if (typeof phase.phase_name !== 'string' || !phase.phase_name) {
+          errors.push(`${phase_path}.phase_name: 空でない文字列を指定してください`);
+        }
+        if (!Array.isArray(phase.detection_patterns) || phase.detection_patterns.length === 0) {
+          errors.push(`${phase_path}.detection_patterns: 1つ以上のパターンを指定してください`);
+        } else {
+          validatePatterns(phase.detection_patterns, `${phase_path}.detection_patterns`, errors);
+        }
+        if (phase.max_cost !== undefined && phase.max_cost !== null && !(typeof phase.max_cost === 'number' && phase.max_cost > 0)) {
+          errors.push(`${phase_path}.max_cost: 0より大きい数値またはnullを指定してください`);
+        }
+        if (phase.cost_mode !== undefined && !PHASE_COST_MODES.includes(phase.cost_mode)) {
+          errors.push(`${phase_path}.cost_mode: ${PHASE_COST_MODES.map(mode => `"${mode}"`).join(' または ')} を指定してください`);
+        }
+        if (phase.timer_seconds !== undefined && phase.timer_seconds !== null && !(typeof phase.timer_seconds === 'number' && phase.timer_seconds > 0)) {
+          errors.push(`${phase_path}.timer_seconds: 0より大きい数値またはnullを指定してください`);
+        }
+      });
+    }
+  }
+
+  if (profile.gimmicks !== undefined &&
+      !(Array.isArray(profile.gimmicks) && profile.gimmicks.every(gimmick_key => typeof gimmick_key === 'string' && gimmick_key))) {
+    errors.push(`${path}.gimmicks: interval_gimmicksのキーの配列を指定してください`);
+  }
+}
+
+/**
+ * 1件のギミック（開始・終了の行の組で有効区間が決まるもの）を検証する
+ * @param {*} gimmick - interval_gimmicks内のギミック
+ * @param {string} path - エラー表示用の場所
+ * @param {Array<string>} errors - エラーの追加先
+ */
+function validateIntervalGimmick(gimmick, path, errors) {
+  if (!isPlainObject(gimmick)) {
+    errors.push(`${path}: オブジェクトを指定してください`);
+    return;
+  }
+
+  if (typeof gimmick.gimmick_name !== 'string' || !gimmick.gimmick_name) {
+    errors.push(`${path}.gimmick_name: 空でない文字列を指定してください`);
+  }
+  for (const key of ['start_patterns', 'end_patterns']) {
+    if (!Array.isArray(gimmick[key]) || gimmick[key].length === 0) {
+      errors.push(`${path}.${key}: 1つ以上のパターンを指定してください`);
+    } else {
+      validatePatterns(gimmick[key], `${path}.${key}`, errors);
+    }
+  }
+
+  // 区間中のバフ（buff_nameと継続フレーム数は区間から決まる）
+  if (!isPlainObject(gimmick.effect)) {
+    errors.push(`${path}.effect: オブジェクトを指定してください`);
+  } else {
+    validateBuffEntry({ buff_name: gimmick.gimmick_name || '-', ...gimmick.effect }, `${path}.effect`, errors);
+    if (gimmick.effect.event_type !== COST_REDUCTION_EVENT_TYPE && typeof gimmick.effect.buff_amount !== 'number') {
+      errors.push(`${path}.effect.buff_amount: 数値を指定してください`);
+    }
+  }
+
+  for (const key of ['auto_extend', 'allow_nested', 'always_enabled']) {
+    if (gimmick[key] !== undefined && typeof gimmick[key] !== 'boolean') {
+      errors.push(`${path}.${key}: true または false を指定してください`);
+    }
+  }
+}
+
+/**
+ * validateBuffData: バフデータ全体をbuff-data.schema.jsonに沿って検証する
+ * @param {*} data - 検証するバフデータ
+ * @returns {Array<string>} エラーの一覧（問題がなければ空配列）
+ */
+function validateBuffData(data) {
+  const errors = [];
+
+  if (!isPlainObject(data)) {
+    errors.push('バフデータ: オブジェクトを指定してください');
+    return errors;
+  }
+  if (!isPlainObject(data.cost_recovery_buffs)) {
+    errors.push('cost_recovery_buffs: オブジェクトを指定してください');
+    return errors;
+  }
+
+  for (const [buff_key, buff] of Object.entries(data.cost_recovery_buffs)) {
+    validateBuffEntry(buff, `cost_recovery_buffs.${buff_key}`, errors);
+  }
+
+  if (data.boss_profiles !== undefined) {
+    if (!isPlainObject(data.boss_profiles)) {
+      errors.push('boss_profiles: オブジェクトを指定してください');
+    } else {
+      for (const [boss_key, profile] of Object.entries(data.boss_profiles)) {
+        validateBossProfile(profile, `boss_profiles.${boss_key}`, errors);
+      }
+    }
+  }
+
+  if (data.interval_gimmicks !== undefined) {
+    if (!isPlainObject(data.interval_gimmicks)) {
+      errors.push('interval_gimmicks: オブジェクトを指定してください');
+    } else {
+      for (const [gimmick_key, gimmick] of Object.entries(data.interval_gimmicks)) {
+        validateIntervalGimmick(gimmick, `interval_gimmicks.${gimmick_key}`, errors);
+      }
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * parseBuffDataJSON: JSON文字列を解析し、検証する
+ * @param {string} text - JSON文字列
+ * @returns {Object} { buff_data, errors } 解析・検証に失敗した場合buff_dataはnull
+ */
+function parseBuffDataJSON(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    return { buff_data: null, errors: [`JSONとして読み込めません (${error.message})`] };
+  }
+
+  const errors = validateBuffData(data);
+  return { buff_data: errors.length === 0 ? data : null, errors: errors };
+}
+
+/**
+ * mergeBuffData: 既定のバフデータにユーザーのバフデータを統合する
+ * cost_recovery_buffs・boss_profiles・interval_gimmicksのキー単位で上書き・追加する（既定のgeburah, generalなどはそのまま残る）
+ * @param {Object} base_data - 既定のバフデータ（window.BUFF_DATA）
+ * @param {Object|null} override_data - ユーザーのバフデータ
+ * @returns {Object} 統合後のバフデータ
+ */
+function mergeBuffData(base_data, override_data) {
+  if (!override_data) {
+    return base_data;
+  }
+  return {
+    ...base_data,
+    ...override_data,
+    cost_recovery_buffs: {
+      ...(base_data ? base_data.cost_recovery_buffs : {}),
+      ...override_data.cost_recovery_buffs
+    },
+    boss_profiles: {
+      ...(base_data ? base_data.boss_profiles : {}),
+      ...override_data.boss_profiles
+    },
+    interval_gimmicks: {
+      ...(base_data ? base_data.interval_gimmicks : {}),
+      ...override_data.interval_gimmicks
+    }
+  };
+}
+
+const BuffDataLoader = {
+  SKILL_LEVEL_RANGES,
+  validateBuffData,
+  parseBuffDataJSON,
+  mergeBuffData
+};
+
+// モジュールエクスポート
+if (typeof module !== 'undefined' && module.exports) {
+  // Node.js環境
+  module.exports = BuffDataLoader;
+} else if (typeof window !== 'undefined') {
+  // ブラウザ環境
+  window.BuffDataLoader = BuffDataLoader;
+}
+
+})(); // IIFE終了
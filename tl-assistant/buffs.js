@@ -1,69 +1,76 @@
 /**
  * バフデータ定義ファイル
  * CORSエラー回避のため、JSONではなくJavaScriptファイルとして定義
+ * Node.js環境（tl-cli.js等）からは require('./buffs.js').BUFF_DATA で参照する
+ *
+ * 各項目の意味はbuff-data.schema.jsonを参照。ユーザーが用意したJSONファイルは
+ * buff-data-loader.jsで検証され、このデータにキー単位で上書き・追加される
+ *
+ * ボスのプロファイル（boss_profiles）は、ロール倍率・戦闘開始時に追加するバフ（コスト回復力の減少を含む）・
+ * 形態変化（フェーズの切り替え）・ギミック（interval_gimmicksのキー）を定義する。ボスの追加はここへの追加のみで行う
+ *
+ * 生徒のバフはstudent_id（students.jsの生徒ID）で検出する。表記ゆれ（「水おじ」など）は
+ * students.jsの別名として追加すること
  */
 
-window.BUFF_DATA = {
+const BUFF_DATA = {
   "cost_recovery_buffs": {
     "mizugi_hoshino": {
       "event_type": "cost_recovery_buff",
       "buff_name": "水着ホシノEX",
       "buff_target": "水着ホシノ",
+      "skill": "EX",
       "buff_amount": 684,
       "duration_frames": 1499,
+      "level_dependencies": [
+        // Lv1〜4はLv1をLv5の半分として線形に補間した暫定値（実測値で要確認）
+        { "skill": "EX", "property": "buff_amount", "values": { "1": 342, "2": 428, "3": 513, "4": 599, "5": 684 } },
+        { "skill": "EX", "property": "duration_frames", "values": { "1": 1499 } }  // 継続時間はレベルによらない
+      ],
       "offset_frames": 24,
-      "detection_patterns": [
-        {
-          "type": "regex",
-          "pattern": "(?=.*水)(?=.*(?:ホシノ|おじ)).*",
-          "description": "「水」と（「ホシノ」あるいは「おじ」）を順序を問わず含む"
-        }
-      ]
+      "student_id": "hoshino_swimsuit"
     },
     "seia": {
       "event_type": "cost_recovery_buff",
       "buff_name": "セイアEX",
       "buff_target": "セイア",
+      "skill": "EX",
       "buff_amount": 718,
-      "duration_frames": [451, 536],  // 451フレーム or 536フレーム
-      "offset_frames": 99,
-      "detection_patterns": [
-        {
-          "type": "regex",
-          "pattern": ".*セイア.*",
-          "description": "「セイア」を含む"
-        }
+      "duration_frames": 536,
+      "level_dependencies": [
+        // Lv1〜4はLv1をLv5の半分として線形に補間した暫定値（実測値で要確認）
+        { "skill": "EX", "property": "buff_amount", "values": { "1": 359, "2": 449, "3": 539, "4": 628, "5": 718 } },
+        { "skill": "UE", "property": "duration_frames", "values": { "0": 451, "2": 536 } }  // 固有2以上: 536フレーム / 未満: 451フレーム
       ],
-      "exclusion_patterns": [
-        {
-          "type": "regex", 
-          "pattern": ".*水.*",
-          "description": "「水」を含む場合は除外"
-        }
-      ]
+      "offset_frames": 99,
+      "student_id": "seia"
     },
     "magical_suzumi": {
       "event_type": "cost_recovery_buff",
       "buff_name": "マジカルスズミSS",
       "buff_target": "マジカルスズミ",
+      "skill": "SS",
       "buff_amount": 690,
-      "duration_frames": [1049, 1248],  // 1049フレーム or 1248フレーム
+      "duration_frames": 1248,
+      "level_dependencies": [
+        { "skill": "SS", "property": "buff_amount", "values": { "10": 690 } },
+        { "skill": "UE", "property": "duration_frames", "values": { "0": 1049, "2": 1248 } }  // 固有2以上: 1248フレーム / 未満: 1049フレーム
+      ],
       "offset_frames": 143,
-      "detection_patterns": [
-        {
-          "type": "regex",
-          "pattern": "(?=.*マジ)(?=.*スズ).*",
-          "description": "「マジ」と「スズ」の両方を順序を問わず含む"
-        }
-      ]
+      "student_id": "suzumi_magical"
     },
     "kanoe": {
       "event_type": "cost_recovery_buff",
       "buff_name": "カノエSS",
       "buff_target": "カノエ",
+      "skill": "SS",
       "buff_amount": null,
-      "base_buff_amount": 342,
-      "additional_buff_amount": 85,
+      "level_scaling": {
+        "setting": "kanoe_ss",
+        "base_amount": 342,
+        "amount_per_level": 85
+      },
+      "trigger": "battle_start",
       "duration_frames": 1000000,
       "offset_frames": 0,
       "detection_patterns": []
@@ -72,9 +79,14 @@ window.BUFF_DATA = {
       "event_type": "cost_recovery_buff",
       "buff_name": "チェリノSS",
       "buff_target": "チェリノ",
+      "skill": "SS",
       "buff_amount": null,
-      "base_buff_amount": 511,
-      "additional_buff_amount": 146,
+      "level_scaling": {
+        "setting": "cherino_ss",
+        "base_amount": 511,
+        "amount_per_level": 146
+      },
+      "trigger": "battle_start",
       "duration_frames": 1000000,
       "offset_frames": 0,
       "detection_patterns": []
@@ -99,7 +111,37 @@ window.BUFF_DATA = {
       "offset_frames": 0,
       "detection_patterns": []
     }
+  },
+  // ボスごとのコストに関わるギミック（TLの「ボス ○○」の行、または設定のbossで選択する）
+  "boss_profiles": {
+    "geburah": {
+      "boss_name": "ゲブラ",
+      "detection_patterns": ["ゲブラ", "Geburah"],
+      "role_multipliers": { "striker": 1.25, "special": 1 },  // ゲブラPS: ストライカーのコスト回復力+25%
+      "buffs": ["geburah"],
+      "phases": [],
+      "gimmicks": ["radiator"]
+    }
+  },
+  // 開始・終了の行の組で有効区間が決まるギミック（interval-event-manager.js）
+  // ボスのプロファイルのgimmicksに指定したもの、またはalways_enabledのものの区間中にeffectのバフが有効となる
+  "interval_gimmicks": {
+    "radiator": {
+      "gimmick_name": "ラジエーター過負荷",
+      "start_patterns": [{ "type": "regex", "pattern": "(ラジエータ|過負荷).*[始起]" }],  // 「ラジエーター起動」
+      "end_patterns": [{ "type": "regex", "pattern": "(ラジエータ|過負荷).*[終了停止]" }],  // 「ラジエーター終了」
+      "effect": { "buff_target": "all", "buff_amount": 500 },
+      "auto_extend": true,
+      "allow_nested": false
+    }
   }
 };
 
-console.log('buffs.js: バフデータ読み込み完了', window.BUFF_DATA);
\ No newline at end of file
+// モジュールとしてエクスポート（ブラウザ環境では window オブジェクトに追加）
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { BUFF_DATA };
+} else if (typeof window !== 'undefined') {
+  window.BUFF_DATA = BUFF_DATA;
+}
+
+console.log('buffs.js: バフデータ読み込み完了', BUFF_DATA);
\ No newline at end of file
@@ -14,10 +14,18 @@
  *    - processBeginning(): beginning部分の解析（時間・コスト・修飾子）
  *    - processEnding(): ending部分の解析（ラベル・コスト使用量）
  * 
- * 4. メイン処理
+ * 4. 指示行の処理
+ *    - processDirective(): 「@ストライカー」など行頭が@の行の解析
+ * 
+ * 5. EX使用コストの自動判定
+ *    - isExcludedFromAutoExCost(): 除外キーワードを含む行かどうかの判定
+ * 
+ * 6. メイン処理
  *    - createInputJSON(): input_originalからinput_jsonへの変換
+ *      （無視した行・解釈できない文字列は診断情報（diagnostics）として返す）
+ *    - buildBranchTree(): 分岐（「@分岐 A」）ごとの行の木構造の作成
  * 
- * 5. モジュールエクスポート
+ * 7. モジュールエクスポート
  */
 
 console.log('input-processor.js: スクリプト開始');
@@ -39,6 +47,26 @@ const InputProcessorCommon = (() => {
   }
 })();
 
+// 生徒データと生徒名の解決（student_idの設定とEX使用コストの自動判定に使用。読み込まれていない場合は行わない）
+const InputProcessorStudents = (() => {
+  if (typeof module !== 'undefined' && module.exports) {
+    // Node.js環境
+    return {
+      data: require('./students.js').STUDENT_DATA,
+      resolver: require('./student-resolver.js')
+    };
+  } else if (typeof window !== 'undefined' && window.STUDENT_DATA && window.StudentResolver) {
+    // ブラウザ環境
+    return {
+      data: window.STUDENT_DATA,
+      resolver: window.StudentResolver
+    };
+  } else {
+    console.warn('input-processor.js: students.js / student-resolver.js が読み込まれていないため、生徒の判定は行いません');
+    return null;
+  }
+})();
+
 // ==============================
 // 0. 前処理
 // ==============================
@@ -87,11 +115,15 @@ function extractReference(line) {
  * 文字列分解 Step 1.2：3分割の実行
  * beginning, event_name, endingに分解
  * @param {string} text - 分解対象の文字列
+ * @param {boolean} allow_frame_unit - 数字の直後の「f」（フレーム単位、例: 「#A+12f」）をbeginningに含めるか
+ *   ラベル参照の行のみtrueとする（通常の行ではイベント名の一部として扱う）
  * @returns {Object} { beginning, event_name, ending }
  */
-function splitIntoThreeParts(text) {
+function splitIntoThreeParts(text, allow_frame_unit = false) {
   // beginning: 行頭から始まり、数字・記号・空白・AUTOのみで構成される最長の文字列
-  const beginningMatch = text.match(/^(?:AUTO|[0-9\s\[\]:\.+\-])*/i);
+  const beginningMatch = allow_frame_unit ?
+    text.match(/^(?:AUTO|[0-9]f(?=[\s\[]|$)|[0-9\s\[\]:\.+\-])*/i) :
+    text.match(/^(?:AUTO|[0-9\s\[\]:\.+\-])*/i);
   const beginning = beginningMatch ? beginningMatch[0] : '';
   
   const afterBeginning = text.substring(beginning.length);
@@ -118,6 +150,7 @@ function splitIntoThreeParts(text) {
  * 2. referenceが存在する場合
  *    - referenceで与えられるラベルの指定時間に対し、時間を追加するか減少させるかの情報(modifier)を抽出
  *    - その後、何秒の時間を追加または減少させるか(modified_amount)を抽出
+ *    - 「12f」のようにfを付けた場合はフレーム数として扱い、modified_framesにも保存する
  * @param {string} beginning - beginning文字列
  * @param {string|null} reference - ラベル参照（reference）
  * @param {Object} settings - 設定オブジェクト（number_interpretationを含む）
@@ -129,7 +162,9 @@ function processBeginning(beginning, reference, settings = {}) {
     cost_timing: null,
     modifier: null,
     modified_amount: null,
-    is_auto: false
+    modified_frames: null, // フレーム単位で指定された場合のフレーム数（例: 「#A+12f」の12）
+    is_auto: false,
+    unparsable_token: null // 時間・コストとして解釈できなかった文字列（診断情報用）
   };
 
   // beginningになにも含まれない場合は何もしない
@@ -196,6 +231,10 @@ function processBeginning(beginning, reference, settings = {}) {
         }
       }
     }
+
+    if (result.time === null && result.cost_timing === null) {
+      result.unparsable_token = time_or_cost_timing;
+    }
   } else {
     // referenceが存在する場合
     
@@ -215,8 +254,18 @@ function processBeginning(beginning, reference, settings = {}) {
     const tokens = processedBeginning.split(' ').filter(token => token.length > 0);
     if (tokens.length > 0) {
       const timeStr = tokens[0];
-      // 修飾子処理時は flag_modifier = true を渡して backward/forward 変換をスキップ
-      result.modified_amount = InputProcessorCommon.parseTimeToSeconds(timeStr, settings, true);
+      const frameMatch = timeStr.match(/^(\d+)f$/i);
+      if (frameMatch) {
+        // フレーム単位の指定
+        result.modified_frames = parseInt(frameMatch[1], 10);
+        result.modified_amount = InputProcessorCommon.framesToSeconds(result.modified_frames);
+      } else {
+        // 修飾子処理時は flag_modifier = true を渡して backward/forward 変換をスキップ
+        result.modified_amount = InputProcessorCommon.parseTimeToSeconds(timeStr, settings, true);
+      }
+      if (result.modified_amount === null) {
+        result.unparsable_token = timeStr;
+      }
     }
   }
 
@@ -380,7 +429,67 @@ function processUserInputWithFrames(input_original, direction = 'forward', total
 */
 
 // ==============================
-// 4. メイン処理
+// 4. 指示行の処理
+// ==============================
+
+/**
+ * 指示行の名前と内部名の対応表
+ * 行頭の@に続く名前（大文字小文字を区別しない）から内部で使用するdirective名を引く
+ */
+const DIRECTIVE_NAMES = {
+  'ストライカー': 'striker',
+  'striker': 'striker',
+  'スペシャル': 'special',
+  'special': 'special',
+  '分岐': 'branch',
+  'branch': 'branch'
+};
+
+/**
+ * 指示行の解析
+ * 行頭が@で始まる行をTL全体に対する指示として解析する
+ * 例: "@ストライカー 水着ホシノ セイア ミカ:720 キサキ"
+ *   → { directive: 'striker', directive_name: 'ストライカー', directive_args: ['水着ホシノ', 'セイア', 'ミカ:720', 'キサキ'] }
+ * 未知の指示名の場合、directiveは@の後の名前をそのまま小文字にしたものとなる
+ * @param {string} line - 整形済みの行（@で始まる）
+ * @returns {Object} { directive, directive_name, directive_args }
+ */
+function processDirective(line) {
+  const tokens = line.substring(1).split(/\s+/).filter(token => token.length > 0);
+  // 「@ストライカー:」のような区切り文字も許容する
+  const directive_name = (tokens.shift() || '').replace(/[:：]$/, '');
+  const directive = DIRECTIVE_NAMES[directive_name.toLowerCase()] || directive_name.toLowerCase();
+
+  return {
+    directive: directive,
+    directive_name: directive_name,
+    directive_args: tokens
+  };
+}
+
+// ==============================
+// 5. EX使用コストの自動判定
+// ==============================
+
+/**
+ * 自動判定から除外するキーワードの既定値（スペース区切り）
+ */
+const DEFAULT_AUTO_EX_COST_EXCLUSIONS = 'NS PS SS 落 撤退';
+
+/**
+ * 除外キーワードを含む行かどうかの判定
+ * 「NS後ハレ」「ミカ 落」のようにEXの使用ではない行を自動判定の対象外にする
+ * @param {string} text - 判定する文字列（イベント名とending）
+ * @param {string} exclusions - 除外キーワード（スペース区切り）
+ * @returns {boolean} 除外キーワードを含む場合はtrue
+ */
+function isExcludedFromAutoExCost(text, exclusions) {
+  const keywords = normalizeText(exclusions).split(/\s+/).filter(keyword => keyword.length > 0);
+  return keywords.some(keyword => text.includes(keyword));
+}
+
+// ==============================
+// 6. メイン処理
 // ==============================
 
 /**
@@ -388,11 +497,18 @@ function processUserInputWithFrames(input_original, direction = 'forward', total
  * 各行(rowLine)に対し以下の処理を行う：
  *   - Step 0-2.2までの処理を順次行い結果を一つのobjectにまとめる(row_object)
  *   - これをinput_jsonに追加する
+ * 
+ * diagnosticsに配列を渡すと、以下の診断情報（utilities.jsのcreateDiagnostic）を追加する
+ *   - DROPPED_LINE: イベント名がなく無視した行
+ *   - UNPARSABLE_TOKEN: 時間・コストとして解釈できなかった行頭の文字列
+ * 各rowのline_number（1始まり）はTimelineProcessorの診断情報でも使用される
+ * 
  * @param {string} input_original - ユーザー入力文字列
  * @param {Object} settings - 設定オブジェクト
+ * @param {Array|null} diagnostics - 診断情報の追加先
  * @returns {Array} input_json - 配列
  */
-function createInputJSON(input_original, settings = {}) {
+function createInputJSON(input_original, settings = {}, diagnostics = null) {
   console.log('createInputJSON - 文字列をJSON化し処理可能な形に変換します。\n受け取った設定:', settings);
   
   if (typeof input_original !== 'string') {
@@ -401,8 +517,19 @@ function createInputJSON(input_original, settings = {}) {
 
   const lines = input_original.split('\n');
   const input_json = [];
+  // 分岐（「@分岐 A」）の名前と、現在の行が属する分岐
+  const branch_names = [];
+  let current_branch = null;
+
+  // 診断情報の追加（diagnosticsが渡されていない場合は何もしない）
+  const addDiagnostic = (severity, code, line_number, raw_line, target, message) => {
+    if (Array.isArray(diagnostics)) {
+      diagnostics.push(InputProcessorCommon.createDiagnostic(severity, code, line_number, raw_line, target, message));
+    }
+  };
 
-  for (const rawLine of lines) {
+  for (const [line_index, rawLine] of lines.entries()) {
+    const line_number = line_index + 1;
     // Step 0：文書の整形
     const normalizedLine = normalizeText(rawLine);
     
@@ -417,19 +544,52 @@ function createInputJSON(input_original, settings = {}) {
       continue;
     }
 
+    // 行頭が@で始まる行（指示行）は編成指定などTL全体への指示として扱う
+    if (normalizedLine.startsWith('@')) {
+      const directive = processDirective(normalizedLine);
+      // 「@分岐 A」以降の行は次の「@分岐」または最後の行まで分岐Aの行とする（名前がない場合は「分岐1」など）
+      if (directive.directive === 'branch') {
+        const branch_name = directive.directive_args[0] || `分岐${branch_names.length + 1}`;
+        if (branch_names.includes(branch_name)) {
+          addDiagnostic('warning', 'DUPLICATE_BRANCH', line_number, rawLine, directive.directive_args[0] || null,
+            `分岐「${branch_name}」は既にあるため、前の分岐の続きとして扱います`);
+        } else {
+          branch_names.push(branch_name);
+        }
+        current_branch = branch_name;
+      }
+      input_json.push({
+        ...directive,
+        is_directive: true,
+        event_name: null,
+        branch: current_branch, // 分岐の名前（共通部分の行はnull）
+        line_number: line_number,
+        original_line: rawLine,
+        normalized_line: normalizedLine,
+        note: []
+      });
+      continue;
+    }
+
     // Step 1.1：ラベル参照の抽出
     const { reference, remainingText } = extractReference(normalizedLine);
 
     // Step 1.2：3分割の実行
-    const { beginning, event_name, ending } = splitIntoThreeParts(remainingText);
+    const { beginning, event_name, ending } = splitIntoThreeParts(remainingText, reference !== null);
 
     // event_nameが空の場合はフォーマットを満たさない行として無視
     if (!event_name) {
+      addDiagnostic('warning', 'DROPPED_LINE', line_number, rawLine, null,
+        'イベント名がないため、この行は無視されました');
       continue;
     }
 
     // Step 2.1：beginningの処理
     const beginningResult = processBeginning(beginning, reference, settings);
+    if (beginningResult.unparsable_token) {
+      addDiagnostic('warning', 'UNPARSABLE_TOKEN', line_number, rawLine, beginningResult.unparsable_token,
+        `「${beginningResult.unparsable_token}」を時間・コストとして解釈できないため、指定なしとして扱います`);
+    }
 
     // Step 2.2：ending部分の処理
     const endingResult = processEnding(ending);
@@ -443,6 +603,30 @@ function createInputJSON(input_original, settings = {}) {
       finalCostTiming = finalCostUsed;
     }
 
+    // イベント名から生徒を判定する（student-resolver.jsの最も長く一致した表記）
+    const student = InputProcessorStudents ?
+      InputProcessorStudents.resolver.resolveStudent(event_name, InputProcessorStudents.data) :
+      null;
+
+    // cost_usedが書かれていない場合、生徒データからEX使用コストを自動判定する
+    const notes = [];
+    let is_auto_ex_cost = false;
+    if (finalCostUsed === null && settings.auto_ex_cost !== 'no' && student && student.ex_cost !== null) {
+      const exclusions = settings.auto_ex_cost_exclusions !== undefined ?
+        settings.auto_ex_cost_exclusions : DEFAULT_AUTO_EX_COST_EXCLUSIONS;
+
+      if (!isExcludedFromAutoExCost(`${event_name} ${ending || ''}`, exclusions)) {
+        finalCostUsed = student.ex_cost;
+        is_auto_ex_cost = true;
+        if (finalCostTiming === null) {
+          finalCostTiming = finalCostUsed;
+        }
+        const state_text = student.state_label ? `・${student.state_label}` : '';
+        notes.push(`EX使用コスト${student.ex_cost}を自動入力しました（${student.name}${state_text}）`);
+        console.log(`createInputJSON: "${event_name}" のEX使用コストを${student.ex_cost}と判定しました`);
+      }
+    }
+
     // cost_usedがnullの場合は明示的に0に設定
     if (finalCostUsed === null) {
       finalCostUsed = 0;
@@ -453,20 +637,28 @@ function createInputJSON(input_original, settings = {}) {
       reference: reference,
       time: beginningResult.time,
       cost_timing: finalCostTiming,
+      explicit_cost_timing: beginningResult.explicit_cost_timing || false, // []で囲まれたコスト指定かどうか
+      cost_timing_from_cost_used: beginningResult.cost_timing === null && finalCostTiming !== null, // cost_timingをcost_usedから補完したかどうか
       modifier: beginningResult.modifier,
       modified_amount: beginningResult.modified_amount,
+      modified_frames: beginningResult.modified_frames,
       is_auto: beginningResult.is_auto,
       event_name: event_name,
+      student_id: student ? student.id : null, // 生徒ID（students.js、判定できない場合null）
       label: endingResult.label,
+      branch: current_branch,           // 分岐の名前（共通部分の行はnull、buildBranchTree参照）
       cost_used: finalCostUsed,
+      is_auto_ex_cost: is_auto_ex_cost, // cost_usedを生徒データから自動入力したかどうか
       value: endingResult.value,        // 特殊コマンド用の値
       duration: endingResult.duration,  // 特殊コマンド用の秒数
       target: endingResult.target,      // 特殊コマンド用のターゲット
       ending: ending, // オリジナルのending文字列を保存
       ending_processed: endingResult.remaining_ending, // 加工後の文字列も保存
+      beginning: beginning, // 時間・コスト指定部分の文字列（診断情報の位置の特定用）
+      line_number: line_number, // 入力の行番号（1始まり）
       original_line: rawLine, // オリジナルの行を格納
       normalized_line: normalizedLine, // 整形済みの行を格納
-      note: [] // エラーや警告メッセージを格納する配列として初期化
+      note: notes // エラーや警告メッセージを格納する配列（EX使用コストの自動入力を含む）
     };
 
     // input_jsonに追加
@@ -477,20 +669,48 @@ function createInputJSON(input_original, settings = {}) {
   return input_json;
 }
 
+/**
+ * 分岐（「@分岐 A」）ごとの行の木構造を作成する
+ * 共通部分（最初の「@分岐」より前の行）と、分岐ごとの行（「@分岐」の指示行を含む）に分ける
+ * 例: 「[3]セイア / @分岐 A / [6]ミカ / @分岐 B / [5]ホシノ」
+ *   → { prefix: [セイア], branches: [{ name: 'A', rows: [@分岐 A, ミカ] }, { name: 'B', rows: [@分岐 B, ホシノ] }] }
+ * @param {Array} input_json - createInputJSONの結果
+ * @returns {Object} { prefix, branches: [{ name, line_number, rows }] }（分岐がない場合branchesは空）
+ */
+function buildBranchTree(input_json) {
+  const prefix = [];
+  const branches = [];
+  for (const row of input_json) {
+    if (row.branch == null) {
+      prefix.push(row);
+      continue;
+    }
+    let branch = branches.find(candidate => candidate.name === row.branch);
+    if (!branch) {
+      branch = { name: row.branch, line_number: row.line_number, rows: [] };
+      branches.push(branch);
+    }
+    branch.rows.push(row);
+  }
+  return { prefix: prefix, branches: branches };
+}
+
 // ==============================
-// 5. モジュールエクスポート
+// 7. モジュールエクスポート
 // ==============================
 
 // モジュールとしてエクスポート（ブラウザ環境では window オブジェクトに追加）
 if (typeof module !== 'undefined' && module.exports) {
   console.log('input-processor.js: Node.js環境でエクスポート');
   module.exports = {
-    createInputJSON
+    createInputJSON,
+    buildBranchTree
   };
 } else if (typeof window !== 'undefined') {
   console.log('input-processor.js: ブラウザ環境でエクスポート');
   window.InputProcessor = {
-    createInputJSON
+    createInputJSON,
+    buildBranchTree
   };
   console.log('input-processor.js: window.InputProcessor =', window.InputProcessor);
 }
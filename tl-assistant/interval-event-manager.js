@@ -0,0 +1,228 @@
+/**
+ * IntervalEventManager - 開始・終了の行の組で有効区間が決まるギミックの管理クラス
+ * 開始・終了イベントを検出し、有効区間を計算する
+ *
+ * 【概要】
+ * ラジエーター過負荷（ゲブラ）・ボスの発狂・フィールド効果・シールドなどは、
+ * TLの開始の行（「ラジエーター起動」）と終了の行（「ラジエーター終了」）の組で構成される特殊なバフです。
+ * このクラスは、バフデータのinterval_gimmicksの1件の設定に従ってタイムライン内の開始・終了の行を検出し、
+ * 有効区間（start_frame～end_frame）を計算して管理します。区間ごとの効果はtl-editor.jsが
+ * 設定のeffect（バフのテンプレート）からバフイベントとして追加します。
+ *
+ * 【設定（buff_data.interval_gimmicksの1件）】
+ * - gimmick_name: タイムラインに表示する名前（区間ごとに「ラジエーター過負荷1開始」のように表示）
+ * - start_patterns / end_patterns: 開始・終了の行のイベント名との照合パターン（detection_patternsと同じ形式）
+ * - effect: 区間中に有効なバフのテンプレート（buff_target, buff_amountなど）
+ * - auto_extend: 終了の行がない開始を戦闘終了まで延長する（省略時true、falseの場合は警告して無視）
+ * - allow_nested: 有効な区間の中の開始を別の区間とする（省略時false、falseの場合は警告して無視）
+ *
+ * 【主な機能】
+ * 1. 開始・終了の行の検出・抽出
+ * 2. 開始・終了の行の組からの有効区間計算と、組にならなかった行の診断情報
+ * 3. 指定フレームでの有効状態判定
+ *
+ * 【使用方法】
+ * const manager = new IntervalEventManager({ gimmick_key: 'radiator', ...buff_data.interval_gimmicks.radiator },
+ *   { match_patterns: matchesTextPatterns });
+ * manager.extractIntervalEvents(timeline, row => processor.intervalFrameOf(row, phases));
+ * manager.calculateIntervals(battle_time_frames);
+ * const isActive = manager.isActiveAt(frame);
+ */
+
+(function() {
+'use strict';
+
+/**
+ * IntervalEventManager - 開始・終了の行の組で有効区間が決まるギミックの管理クラス
+ */
+class IntervalEventManager {
+  /**
+   * コンストラクタ
+   * @param {Object} config - ギミックの設定（buff_data.interval_gimmicksの1件にgimmick_keyを加えたもの）
+   * @param {Object} options - オプション
+   * @param {Function} options.match_patterns - (text, patterns) => boolean イベント名とパターンの照合
+   *   （tl-editor.jsのmatchesTextPatterns、detection_patternsと同じ形式）
+   */
+  constructor(config, options = {}) {
+    if (typeof options.match_patterns !== 'function') {
+      throw new Error('IntervalEventManager: options.match_patternsに照合の関数を指定してください');
+    }
+    this.match_patterns = options.match_patterns;
+    this.config = {
+      auto_extend: true,
+      allow_nested: false,
+      ...config
+    };
+    this.interval_events = [];  // 開始・終了イベントのリスト
+    this.intervals = [];        // 有効区間のリスト
+    this.diagnostics = [];      // 組にならなかった行の診断情報 { row, severity, code, message }
+  }
+
+  /**
+   * イベント名が開始イベントかどうかを判定
+   * @param {string} event_name - イベント名
+   * @returns {boolean} 開始イベントの場合true
+   */
+  isStartEvent(event_name) {
+    if (!event_name) return false;
+    return this.match_patterns(event_name, this.config.start_patterns);
+  }
+
+  /**
+   * イベント名が終了イベントかどうかを判定
+   * @param {string} event_name - イベント名
+   * @returns {boolean} 終了イベントの場合true
+   */
+  isEndEvent(event_name) {
+    if (!event_name) return false;
+    return this.match_patterns(event_name, this.config.end_patterns);
+  }
+
+  /**
+   * 開始・終了イベントの抽出と処理
+   * @param {Array} timeline - timelineイベントリスト（input_json.timeline - 既に時間変換済み）
+   * @param {Function|null} resolve_frame - (row) => フレーム数|null 行のフレームの解決
+   *   （TimelineProcessor.intervalFrameOf、フェーズのタイマーを考慮する。row.frameがある行はそのフレームを使用する）
+   */
+  extractIntervalEvents(timeline, resolve_frame = null) {
+    // interval_eventsをクリア
+    this.interval_events = [];
+
+    // timelineから開始・終了イベントを抽出
+    for (const event of timeline) {
+      const is_start = this.isStartEvent(event.event_name);
+      const is_end = this.isEndEvent(event.event_name);
+      if (!is_start && !is_end) {
+        continue;
+      }
+
+      // 開始・終了イベントを特殊コマンドとして認定（参照渡しで直接設定）
+      event.is_special_command = true;
+      console.log(`${this.config.gimmick_name}の開始・終了コマンドを特殊コマンド認定: ${event.event_name}`);
+
+      // フレーム：event.frameがない場合はresolve_frameで行の時間から解決する
+      let frame = event.frame;
+      if (frame === undefined || frame === null) {
+        frame = resolve_frame ? resolve_frame(event) : null;
+        if (frame === null || frame === undefined) {
+          // フレームを解決できない（時間の指定がない）場合は不正なデータとしてスキップ
+          console.warn(`${this.config.gimmick_name}のイベントにフレーム情報がありません。スキップします: ${event.event_name}`);
+          continue;
+        }
+      }
+
+      const interval_event = {
+        frame: frame,
+        event_name: event.event_name,
+        is_start: is_start,
+        is_end: is_end,
+        row: event,
+        source: 'timeline'
+      };
+      this.interval_events.push(interval_event);
+    }
+
+    // フレーム順にソート（同じフレームでは入力順）
+    this.interval_events.sort((a, b) => a.frame - b.frame);
+
+    // デバッグ: 抽出されたイベントを出力
+    console.log(`IntervalEventManager: 抽出された${this.config.gimmick_name}のイベント:`, this.interval_events.map(({ row, ...event }) => event));
+
+    // 有効区間の計算は外部から呼び出し
+    // this.calculateIntervals() は tl-editor 側で battle_time_frames と共に呼び出される
+  }
+
+  /**
+   * 有効区間の計算
+   * 開始イベントから終了イベントまでの区間を計算し、intervalsに格納
+   *
+   * @param {number} battle_time_frames - 戦闘終了フレーム（自動延長用）
+   *
+   * 【アルゴリズム】
+   * 1. interval_eventsを前から順に処理
+   * 2. 開始イベント検出時：開始フレームを記録（allow_nestedの場合は有効な区間の中でも記録する）
+   * 3. 終了イベント検出時：最後に記録した開始フレームからの区間をintervalsに追加
+   * 4. 最後に開始されたままの区間：auto_extendの場合はbattle_time_framesまで延長
+   *
+   * 【組にならなかった行の診断情報】
+   * - 開始されていない終了イベント：無視（GIMMICK_END_WITHOUT_START）
+   * - 有効な区間の中の開始イベント（allow_nestedでない場合）：無視（GIMMICK_NESTED_START）
+   * - 終了イベントのない開始イベント（auto_extendでない場合）：無視（GIMMICK_START_WITHOUT_END）
+   */
+  calculateIntervals(battle_time_frames = null) {
+    const gimmick_name = this.config.gimmick_name;
+    this.intervals = [];
+    this.diagnostics = [];
+    const open_starts = []; // 終了していない開始イベント（最後の要素が最も新しい）
+
+    for (const event of this.interval_events) {
+      // 開始イベント（開始と終了の両方に一致する場合は、有効な区間がなければ開始として扱う）
+      if (event.is_start && (open_starts.length === 0 || !event.is_end)) {
+        if (open_starts.length > 0 && !this.config.allow_nested) {
+          this.diagnostics.push({ row: event.row, severity: 'warning', code: 'GIMMICK_NESTED_START',
+            message: `「${gimmick_name}」は既に開始しているため、この開始は無視されます` });
+          continue;
+        }
+        open_starts.push(event);
+        console.log(`IntervalEventManager: ${gimmick_name}開始設定: ${event.frame}`);
+        continue;
+      }
+
+      // 終了イベント
+      if (open_starts.length === 0) {
+        this.diagnostics.push({ row: event.row, severity: 'warning', code: 'GIMMICK_END_WITHOUT_START',
+          message: `「${gimmick_name}」が開始していないため、この終了は無視されます` });
+        continue;
+      }
+      const start = open_starts.pop();
+      this.intervals.push({
+        start_frame: start.frame,
+        end_frame: event.frame,
+        auto_extended: false
+      });
+      console.log(`IntervalEventManager: ${gimmick_name}区間作成: ${start.frame} ～ ${event.frame}`);
+    }
+
+    // 最後に開始されたままの区間
+    for (const start of open_starts) {
+      if (this.config.auto_extend && battle_time_frames !== null) {
+        // 戦闘終了まで延長
+        this.intervals.push({
+          start_frame: start.frame,
+          end_frame: battle_time_frames,
+          auto_extended: true
+        });
+        console.log(`${gimmick_name}区間を戦闘終了まで延長: ${start.frame} → ${battle_time_frames}`);
+      } else {
+        this.diagnostics.push({ row: start.row, severity: 'warning', code: 'GIMMICK_START_WITHOUT_END',
+          message: `「${gimmick_name}」の終了がないため、この開始は無視されます` });
+      }
+    }
+
+    // 区間は開始フレーム順に並べる（入れ子の区間は内側から作成されるため）
+    this.intervals.sort((a, b) => a.start_frame - b.start_frame);
+
+    // デバッグ: 計算された区間を出力
+    console.log(`IntervalEventManager: 計算された${gimmick_name}区間:`, this.intervals);
+  }
+
+  /**
+   * 指定フレームでギミックが有効かどうかを判定
+   * @param {number} frame - 判定するフレーム
+   * @returns {boolean} 有効な場合true
+   */
+  isActiveAt(frame) {
+    return this.intervals.some(interval => frame >= interval.start_frame && frame < interval.end_frame);
+  }
+}
+
+// モジュールエクスポート
+if (typeof module !== 'undefined' && module.exports) {
+  // Node.js環境
+  module.exports = { IntervalEventManager };
+} else if (typeof window !== 'undefined') {
+  // ブラウザ環境
+  window.IntervalEventManager = IntervalEventManager;
+}
+
+})(); // IIFE終了
@@ -0,0 +1,231 @@
+/**
+ * Run Reconciler
+ * 計画したTLと、実際の戦闘（録画など）で記録したEXの使用時間を照合する
+ *
+ * 【入力】
+ * - 計画: 通常のTL
+ * - 実測: 「時間 イベント名」の行（TLと同じ書式、例: 「2:51.800 水着セイア」）
+ *   実測の行は、両方にあるラベルはラベルで、それ以外は生徒（生徒IDがない場合はイベント名）の順で
+ *   計画の行と対応付ける（timeline-diff.jsのalignDiffEventsを使用）
+ *
+ * 【処理】
+ * 1. 計画のTLをTimelineProcessorで処理し、各行の計画のフレームを求める
+ * 2. 実測のある行のフレームを実測の時間に固定して（row.frame、estimateFrameFromRowのPriority 0）計画のTLを処理し直す
+ *    実測のない行はresolveRowTimingで実測後の状態から再計算される（ラベルマップも実測の時間で更新されるため、
+ *    ラベル参照の行も実測に合わせてずれる）
+ * 3. 行ごとに計画とのずれを求め、計画ではコストが足りていたが再計算でコストが足りなくなった行を
+ *    「使用不可」とする（時間指定・ラベル参照の行は、それより前の行の遅れでコストが足りなくなることがある）
+ *
+ * 【使用方法】
+ * const result = RunReconciler.reconcileRun(plan_text, observed_text, settings, BUFF_DATA);
+ * RunReconciler.formatReconciliation(result);
+ */
+
+(function() {
+  'use strict';
+
+  console.log('run-reconciler.js: スクリプト開始');
+
+  // コストポイント変換定数
+  const COST_POINT_UNIT = 30 * 10000;  // コスト1.0 = 300,000ポイント
+  const FPS = 30;
+
+  /**
+   * 依存モジュールの参照（Node.jsではrequire、ブラウザではwindowから取得）
+   * @returns {Object} { InputProcessor, TLEditor, TimelineFormatter, TimelineDiff }
+   */
+  function getReconcilerModules() {
+    if (typeof module !== 'undefined' && module.exports) {
+      // Node.js環境
+      return {
+        InputProcessor: require('./input-processor.js'),
+        TLEditor: require('./tl-editor.js'),
+        TimelineFormatter: require('./timeline-formatter.js'),
+        TimelineDiff: require('./timeline-diff.js')
+      };
+    }
+    if (typeof window !== 'undefined' && window.InputProcessor && window.TLEditor && window.TimelineFormatter && window.TimelineDiff) {
+      // ブラウザ環境
+      return {
+        InputProcessor: window.InputProcessor,
+        TLEditor: window.TLEditor,
+        TimelineFormatter: window.TimelineFormatter,
+        TimelineDiff: window.TimelineDiff
+      };
+    }
+    throw new Error('input-processor.js, tl-editor.js, timeline-formatter.js, timeline-diff.js を先に読み込んでください');
+  }
+
+  /**
+   * TL文字列を処理する
+   * @param {string} text - TL文字列
+   * @param {Object} settings - 設定
+   * @param {Object} buff_data - バフデータ
+   * @param {Object} modules - 依存モジュール
+   * @param {Map<number, number>} pinned_frames - 行の位置 → 固定するフレーム
+   * @param {string|null} branch - 処理する分岐（「@分岐 A」のA、nullの場合は最初の分岐）
+   * @returns {Object} { input_json, timeline_json }
+   */
+  function runPlan(text, settings, buff_data, modules, pinned_frames = new Map(), branch = null) {
+    const rows = modules.InputProcessor.createInputJSON(text, settings);
+    for (const [index, frame] of pinned_frames) {
+      rows[index].frame = frame;
+    }
+    const input_json = { timeline: rows, branch: branch };
+    const timeline_json = new modules.TLEditor.TimelineProcessor(input_json, settings, buff_data).createTimelineJSON();
+    return { input_json: input_json, timeline_json: timeline_json };
+  }
+
+  /**
+   * 計画と実測を照合し、実測に合わせて計画の残りを再計算する
+   * @param {string} plan_text - 計画のTL
+   * @param {string} observed_text - 実測の時間（「時間 イベント名」の行）
+   * @param {Object} settings - 設定
+   * @param {Object} buff_data - バフデータ
+   * @param {string|null} branch - 計画のTLで照合する分岐（「@分岐 A」のA、nullの場合は最初の分岐）
+   * @returns {Object} { rows, unmatched_observations, branch, input_json, timeline_json }
+   *   rows: 計画の行ごとの { line_number, event_name, planned_frame, observed_frame, frame, deviation_frames,
+   *          shift_frames, remaining_cost_points, insufficient_cost, became_impossible }
+   *     observed_frame: 実測のフレーム（実測がない場合はnull）、frame: 再計算したフレーム
+   *     deviation_frames: 実測と計画の差（実測がない場合はnull）、shift_frames: 再計算したフレームと計画の差
+   *     insufficient_cost: 再計算でコストが足りない、became_impossible: 計画では足りていたが再計算で足りなくなった
+   *   unmatched_observations: 計画の行と対応しなかった実測 { line_number, event_name, frame }
+   *   branch: 照合した分岐（分岐のないTLではnull）
+   *   input_json, timeline_json: 再計算の結果
+   */
+  function reconcileRun(plan_text, observed_text, settings, buff_data, branch = null) {
+    const modules = getReconcilerModules();
+
+    // 1. 計画のフレーム
+    const planned = runPlan(plan_text, settings, buff_data, modules, new Map(), branch);
+    const plan_rows = planned.input_json.timeline
+      .map((row, index) => ({ row: row, index: index }))
+      .filter(entry => typeof entry.row.timeline_index === 'number');
+
+    // 2. 実測の行を計画の行に対応付ける（生徒名の表記揺れは生徒IDで吸収する）
+    const observed_rows = modules.InputProcessor.createInputJSON(observed_text, settings)
+      .filter(row => !row.is_directive && typeof row.time === 'number' && row.event_name);
+    const toAlignEvent = (row, payload) => ({
+      event_name: row.student_id || row.event_name,
+      label: row.label ? row.label.trim() : null,
+      payload: payload
+    });
+    const pairs = modules.TimelineDiff.alignDiffEvents(
+      plan_rows.map(entry => toAlignEvent(entry.row, entry)),
+      observed_rows.map(row => toAlignEvent(row, row))
+    );
+
+    const pinned_frames = new Map();
+    const unmatched_observations = [];
+    for (const pair of pairs) {
+      if (pair.base && pair.target) {
+        pinned_frames.set(pair.base.payload.index, Math.round(pair.target.payload.time * FPS));
+      } else if (pair.target) {
+        const row = pair.target.payload;
+        unmatched_observations.push({ line_number: row.line_number, event_name: row.event_name, frame: Math.round(row.time * FPS) });
+      }
+    }
+
+    // 3. 実測の時間に固定して再計算
+    const actual = runPlan(plan_text, settings, buff_data, modules, pinned_frames, branch);
+    const rows = plan_rows.map(entry => {
+      const actual_row = actual.input_json.timeline[entry.index];
+      const planned_event = planned.timeline_json.timeline[entry.row.timeline_index];
+      const actual_event = actual.timeline_json.timeline[actual_row.timeline_index];
+      const observed_frame = pinned_frames.has(entry.index) ? pinned_frames.get(entry.index) : null;
+      const insufficient_cost = actual_event.remaining_cost_points < 0;
+
+      return {
+        line_number: entry.row.line_number,
+        event_name: entry.row.event_name,
+        is_auto: !!entry.row.is_auto,
+        planned_frame: entry.row.frame,
+        observed_frame: observed_frame,
+        frame: actual_row.frame,
+        deviation_frames: observed_frame !== null ? observed_frame - entry.row.frame : null,
+        shift_frames: actual_row.frame - entry.row.frame,
+        remaining_cost_points: actual_event.remaining_cost_points,
+        insufficient_cost: insufficient_cost,
+        became_impossible: insufficient_cost && planned_event.remaining_cost_points >= 0
+      };
+    });
+
+    console.log(`run-reconciler.js: 実測 ${pinned_frames.size}行を照合, 使用不可 ${rows.filter(row => row.became_impossible).length}行`);
+
+    return {
+      rows: rows,
+      unmatched_observations: unmatched_observations,
+      branch: actual.timeline_json.metadata.branch || null,
+      input_json: actual.input_json,
+      timeline_json: actual.timeline_json
+    };
+  }
+
+  /**
+   * 照合結果をテキストで出力する
+   * @param {Object} result - reconcileRunの結果
+   * @param {Object} options - { time_format, battle_time }（省略時は再計算したtimeline_jsonの設定）
+   * @returns {string} テキスト
+   */
+  function formatReconciliation(result, options = {}) {
+    const { formatInputTime, padDisplay, displayWidth } = getReconcilerModules().TimelineFormatter;
+    const settings = (result.timeline_json.metadata && result.timeline_json.metadata.settings) || {};
+    const time_settings = {
+      time_display_format: options.time_format || settings.time_display_format || 'backward',
+      battle_time: options.battle_time || settings.battle_time || 180
+    };
+    const signedSeconds = frames => `${frames < 0 ? '-' : '+'}${(Math.abs(frames) / FPS).toFixed(3)}秒`;
+
+    const names = result.rows.map(row => `${row.is_auto ? 'AUTO ' : ''}${row.event_name}`);
+    const name_width = Math.max(displayWidth('イベント'), ...names.map(displayWidth));
+    const lines = [`行   ${padDisplay('イベント', name_width)} 計画      実測      ずれ        再計算`];
+    // 分岐のあるTLは照合した分岐を示す
+    if (result.branch) {
+      lines.unshift(`分岐「${result.branch}」の計画と照合しました`);
+    }
+
+    result.rows.forEach((row, index) => {
+      let line = `${String(row.line_number).padStart(3)}  ${padDisplay(names[index], name_width)} ` +
+        `${formatInputTime(row.planned_frame, time_settings)}  ` +
+        (row.observed_frame !== null ?
+          `${formatInputTime(row.observed_frame, time_settings)}  ${padDisplay(signedSeconds(row.deviation_frames), 10)}  ` :
+          `${'-'.padEnd(10)}${' '.repeat(12)}`) +
+        formatInputTime(row.frame, time_settings);
+      if (row.observed_frame === null && row.shift_frames !== 0) {
+        line += `（${signedSeconds(row.shift_frames)}）`;
+      }
+      if (row.insufficient_cost) {
+        const shortage = (-row.remaining_cost_points / COST_POINT_UNIT).toFixed(1);
+        line += row.became_impossible ? ` ⚠ 使用不可（コストが${shortage}足りません）` : ` ⚠ コストが${shortage}足りません（計画でも不足）`;
+      }
+      lines.push(line);
+    });
+
+    for (const observation of result.unmatched_observations) {
+      lines.push(`実測の${observation.line_number}行目（${formatInputTime(observation.frame, time_settings)} ${observation.event_name}）は計画の行と対応しませんでした`);
+    }
+
+    const impossible_count = result.rows.filter(row => row.became_impossible).length;
+    if (impossible_count > 0) {
+      lines.push(`実測の遅れにより${impossible_count}行が使用できなくなりました`);
+    }
+
+    return lines.join('\n');
+  }
+
+  // エクスポート
+  const RunReconciler = {
+    reconcileRun,
+    formatReconciliation
+  };
+
+  // モジュールとしてエクスポート
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RunReconciler;
+  } else if (typeof window !== 'undefined') {
+    window.RunReconciler = RunReconciler;
+  }
+
+  console.log('run-reconciler.js: 初期化完了');
+
+})();
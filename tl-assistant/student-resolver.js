@@ -0,0 +1,235 @@
+/**
+ * StudentResolver - イベント名・編成指定の生徒名を生徒データ（students.js）の生徒に解決する
+ *
+ * 【概要】
+ * TLの表記は「水着ホシノ」「水おじ」「ホシノ（水着）」「Hoshino (Swimsuit)」のようにゆれるため、
+ * students.jsの正式名・衣装違いの表記・愛称・ローマ字表記から照合用の文字列を作り、
+ * 最も長く一致した生徒を返す。
+ * input-processor.js（EX使用コストの自動判定、row.student_id）と
+ * tl-editor.js（バフの検出、編成・撤退の生徒名）はこの結果を共通で使用する。
+ *
+ * 【照合用の文字列】
+ * - name, aliases: そのまま
+ * - base_name + costume: 「ホシノ（水着）」「水ホシノ」（COSTUME_VARIANTSの略称）
+ * - romaji: 「Seia」、衣装違いは「Hoshino (Swimsuit)」「Swimsuit Hoshino」「hoshino_swimsuit」
+ * - cost_states.prefixes: 上記すべての前に付けたもの（「Cミカ」）
+ * 照合は normalizeStudentText で全角半角・大文字小文字・ひらがなとカタカナ・空白などを揃えてから部分一致で行う
+ * （別名の一覧による照合のため、一覧にない誤字や漢字表記は解決しない）
+ * ただし英字で始まる・終わる照合用文字列（ローマ字表記、「Cミカ」など）は、英字の単語の途中には一致させない
+ * （「Mario」の中の「rio」、「Sakurako」の中の「ako」など）
+ *
+ * 【使用方法】
+ * const student = StudentResolver.resolveStudent('[9]水おじ', STUDENT_DATA);
+ * // → { id: 'hoshino_swimsuit', name: '水着ホシノ', ex_cost: 5, state_label: null, matched: '水おじ' }
+ */
+
+(function() {
+'use strict';
+
+/**
+ * 衣装の表記ゆれ
+ * short: 衣装名の略称（「水着ホシノ」→「水ホシノ」）, english: ローマ字表記で使う衣装名
+ */
+const COSTUME_VARIANTS = {
+  '水着': { short: ['水'], english: 'Swimsuit' },
+  '制服': { short: [], english: 'Uniform' },
+  'ドレス': { short: ['ド'], english: 'Dress' },
+  'アイドル': { short: [], english: 'Idol' },
+  'マジカル': { short: ['マジ'], english: 'Magical' }
+};
+
+/**
+ * 生徒データごとの照合用文字列の一覧（長い順）のキャッシュ
+ */
+const match_key_cache = new WeakMap();
+
+/**
+ * toKatakana: ひらがなをカタカナにする（「せいあ」→「セイア」）
+ * @param {string} text - 対象の文字列
+ * @returns {string} ひらがなをカタカナにした文字列
+ */
+function toKatakana(text) {
+  return text.replace(/[\u3041-\u3096]/g, char => String.fromCharCode(char.charCodeAt(0) + 0x60));
+}
+
+/**
+ * normalizeStudentText: 照合用に文字列を揃える
+ * 全角英数字・全角括弧を半角に、英字を小文字に、ひらがなをカタカナにし、空白・区切り記号（_ - ・）を取り除く
+ * @param {string} text - 対象の文字列
+ * @returns {string} 揃えた文字列
+ */
+function normalizeStudentText(text) {
+  if (typeof text !== 'string') {
+    return '';
+  }
+  return toKatakana(text.normalize('NFKC').toLowerCase()).replace(/[\s_\-・]/g, '');
+}
+
+/**
+ * normalizeWithBoundaries: normalizeStudentTextと同じ文字列と、英字の単語の区切りの位置を返す
+ * 位置iは、取り除いた空白・区切り記号があるか、i-1文字目とi文字目のどちらかが英字でない場合に区切りとなる
+ * （先頭と末尾は常に区切り）
+ * @param {string} text - 対象の文字列
+ * @returns {Object} { normalized, boundaries: Set<number> }
+ */
+function normalizeWithBoundaries(text) {
+  const chars = [];
+  const boundaries = new Set([0]);
+  let separated = false;
+  for (const char of toKatakana((typeof text === 'string' ? text : '').normalize('NFKC').toLowerCase())) {
+    if (/[\s_\-・]/.test(char)) {
+      separated = true;
+      continue;
+    }
+    if (separated || !/[a-z]/.test(char) || !/[a-z]/.test(chars[chars.length - 1] || '')) {
+      boundaries.add(chars.length);
+    }
+    chars.push(char);
+    separated = false;
+  }
+  boundaries.add(chars.length);
+  return { normalized: chars.join(''), boundaries: boundaries };
+}
+
+/**
+ * matchesAtWordBoundary: 照合用文字列が英字の単語の途中でない位置に含まれるかを判定する
+ * 照合用文字列の先頭（末尾）が英字の場合のみ、一致した位置の前（後）が区切りであることを求める
+ * @param {Object} target - normalizeWithBoundariesの戻り値
+ * @param {string} key - 照合用文字列
+ * @returns {boolean} 含まれる場合true
+ */
+function matchesAtWordBoundary(target, key) {
+  const check_start = /[a-z]/.test(key[0]);
+  const check_end = /[a-z]/.test(key[key.length - 1]);
+  for (let index = target.normalized.indexOf(key); index !== -1; index = target.normalized.indexOf(key, index + 1)) {
+    if ((!check_start || target.boundaries.has(index)) && (!check_end || target.boundaries.has(index + key.length))) {
+      return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * 1人の生徒の表記（状態の接頭辞を除く）を列挙する
+ * @param {Object} student - students.jsの生徒
+ * @returns {Array<string>} 表記の一覧
+ */
+function listStudentNames(student) {
+  const names = [student.name, ...(student.aliases || [])];
+  const costume = student.costume ? COSTUME_VARIANTS[student.costume] : null;
+
+  if (student.base_name && student.costume) {
+    names.push(`${student.base_name}(${student.costume})`);
+    for (const short of (costume ? costume.short : [])) {
+      names.push(short + student.base_name);
+    }
+  }
+
+  if (student.romaji) {
+    if (costume) {
+      names.push(`${student.romaji}(${costume.english})`);
+      names.push(costume.english + student.romaji);
+      names.push(student.romaji + costume.english);
+    } else {
+      names.push(student.romaji);
+    }
+  }
+
+  return names;
+}
+
+/**
+ * 生徒データから照合用文字列の一覧を作る（長い順、キャッシュあり）
+ * @param {Object} student_data - students.jsのSTUDENT_DATA
+ * @returns {Array<Object>} { key, student, state_label, ex_cost } の配列
+ */
+function getMatchKeys(student_data) {
+  if (match_key_cache.has(student_data)) {
+    return match_key_cache.get(student_data);
+  }
+
+  const keys = [];
+  for (const student of student_data.students || []) {
+    const names = listStudentNames(student);
+    // 状態なし（prefix: ''）と各状態のprefixを組み合わせる
+    const states = [
+      { prefix: '', label: null, ex_cost: student.ex_cost },
+      ...(student.cost_states || []).flatMap(state =>
+        state.prefixes.map(prefix => ({ prefix: prefix, label: state.label, ex_cost: state.ex_cost }))
+      )
+    ];
+
+    for (const state of states) {
+      for (const name of names) {
+        const key = normalizeStudentText(state.prefix + name);
+        if (key && !keys.some(existing => existing.key === key)) {
+          keys.push({ key: key, student: student, state_label: state.label, ex_cost: state.ex_cost });
+        }
+      }
+    }
+  }
+
+  // 長いものから照合する（「水着セイア」が「セイア」より優先される）
+  // sortは安定なので、同じ長さの場合は生徒データの順序が優先される
+  keys.sort((a, b) => b.key.length - a.key.length);
+  match_key_cache.set(student_data, keys);
+  return keys;
+}
+
+/**
+ * resolveStudent: 文字列に含まれる生徒を解決する
+ * 照合用文字列のうち最も長く一致したものの生徒を返す（英字の照合用文字列は単語の途中に一致させない）
+ * @param {string} text - イベント名や編成指定の生徒名
+ * @param {Object|null} student_data - students.jsのSTUDENT_DATA
+ * @returns {Object|null} { id, name, ex_cost, state_label, matched } 見つからない場合はnull
+ */
+function resolveStudent(text, student_data) {
+  if (!text || !student_data) {
+    return null;
+  }
+
+  const target = normalizeWithBoundaries(text);
+  for (const entry of getMatchKeys(student_data)) {
+    if (matchesAtWordBoundary(target, entry.key)) {
+      return {
+        id: entry.student.id,
+        name: entry.student.name,
+        ex_cost: entry.ex_cost !== undefined ? entry.ex_cost : null,
+        state_label: entry.state_label,
+        matched: entry.key
+      };
+    }
+  }
+  return null;
+}
+
+/**
+ * findStudentById: IDから生徒を取得する
+ * @param {string} student_id - 生徒ID
+ * @param {Object|null} student_data - students.jsのSTUDENT_DATA
+ * @returns {Object|null} students.jsの生徒、見つからない場合はnull
+ */
+function findStudentById(student_id, student_data) {
+  if (!student_id || !student_data) {
+    return null;
+  }
+  return (student_data.students || []).find(student => student.id === student_id) || null;
+}
+
+const StudentResolver = {
+  COSTUME_VARIANTS,
+  normalizeStudentText,
+  resolveStudent,
+  findStudentById
+};
+
+// モジュールエクスポート
+if (typeof module !== 'undefined' && module.exports) {
+  // Node.js環境
+  module.exports = StudentResolver;
+} else if (typeof window !== 'undefined') {
+  // ブラウザ環境
+  window.StudentResolver = StudentResolver;
+}
+
+})(); // IIFE終了
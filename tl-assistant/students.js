@@ -0,0 +1,78 @@
+/**
+ * 生徒データ定義ファイル
+ * CORSエラー回避のため、JSONではなくJavaScriptファイルとして定義
+ * Node.js環境（tl-cli.js等）からは require('./students.js').STUDENT_DATA で参照する
+ *
+ * 【用途】
+ * student-resolver.jsでイベント名・編成指定の生徒名を生徒に解決するための表記の一覧。
+ * 解決した生徒のIDは入力行のstudent_idとして保持され、以下で共通に使われる
+ * - input-processor.jsのcreateInputJSON：コストが書かれていない行のEX使用コストを自動で補う
+ *   （設定 auto_ex_cost が 'yes' の場合）
+ * - tl-editor.js：buffs.jsのstudent_idによるバフの検出、編成・撤退の生徒名の正規化
+ *
+ * 【各項目の意味】
+ * - id: 生徒ID（英小文字。衣装違いは「hoshino_swimsuit」のように衣装を付ける）
+ * - name: 生徒名（表記の基準。buffs.jsのbuff_targetと同じ表記にする）
+ * - base_name, costume: 衣装違いの生徒の元の名前と衣装名（「ホシノ（水着）」「水ホシノ」などの表記を自動で追加する）
+ * - romaji: ローマ字表記（衣装違いは「Hoshino (Swimsuit)」などの表記を自動で追加する）
+ * - aliases: その他の別名・愛称（「水おじ」など）
+ * - ex_cost: EXスキルの使用コスト（不明な場合はnullとし、自動判定を行わない）
+ * - cost_states: コスト軽減状態などでEX使用コストが変わる場合の定義
+ *   - label: 状態の名前（自動入力時のメッセージに使用）
+ *   - prefixes: 生徒名の前に付けて状態を表す文字列（例: 「Cミカ」）
+ *   - ex_cost: その状態でのEX使用コスト
+ *
+ * EX使用コストは同梱のサンプルTLで使われている値をもとにしている。
+ * キサキのEXなどによる一時的なコスト軽減は処理されないため、その場合はTLにコストを書くこと
+ */
+
+const STUDENT_DATA = {
+  "students": [
+    { "id": "hoshino_swimsuit", "name": "水着ホシノ", "base_name": "ホシノ", "costume": "水着", "romaji": "Hoshino", "aliases": ["水おじ", "水着おじ"], "ex_cost": 5 },
+    { "id": "seia", "name": "セイア", "romaji": "Seia", "aliases": [], "ex_cost": 3 },
+    { "id": "seia_swimsuit", "name": "水着セイア", "base_name": "セイア", "costume": "水着", "romaji": "Seia", "aliases": [], "ex_cost": 3 },
+    {
+      "id": "mika",
+      "name": "ミカ",
+      "romaji": "Mika",
+      "aliases": [],
+      "ex_cost": 6,
+      "cost_states": [
+        { "label": "コスト軽減", "prefixes": ["C", "Ｃ"], "ex_cost": 3 }
+      ]
+    },
+    { "id": "kisaki", "name": "キサキ", "romaji": "Kisaki", "aliases": [], "ex_cost": 3 },
+    { "id": "nagisa", "name": "ナギサ", "romaji": "Nagisa", "aliases": [], "ex_cost": 3 },
+    { "id": "nagisa_swimsuit", "name": "水着ナギサ", "base_name": "ナギサ", "costume": "水着", "romaji": "Nagisa", "aliases": [], "ex_cost": 3 },
+    { "id": "rio", "name": "リオ", "romaji": "Rio", "aliases": [], "ex_cost": 2 },
+    { "id": "koharu", "name": "コハル", "romaji": "Koharu", "aliases": [], "ex_cost": 3 },
+    { "id": "mimori", "name": "ミモリ", "romaji": "Mimori", "aliases": [], "ex_cost": 3 },
+    { "id": "miyo", "name": "ミヨ", "romaji": "Miyo", "aliases": [], "ex_cost": 2 },
+    { "id": "hare", "name": "ハレ", "romaji": "Hare", "aliases": [], "ex_cost": 2 },
+    { "id": "kayoko", "name": "カヨコ", "romaji": "Kayoko", "aliases": [], "ex_cost": 2 },
+    { "id": "kanna", "name": "カンナ", "romaji": "Kanna", "aliases": [], "ex_cost": 2 },
+    { "id": "kanna_swimsuit", "name": "水着カンナ", "base_name": "カンナ", "costume": "水着", "romaji": "Kanna", "aliases": [], "ex_cost": 2 },
+    { "id": "kanoe", "name": "カノエ", "romaji": "Kanoe", "aliases": [], "ex_cost": 3 },
+    { "id": "cherino", "name": "チェリノ", "romaji": "Cherino", "aliases": [], "ex_cost": null },
+    { "id": "karin", "name": "カリン", "romaji": "Karin", "aliases": [], "ex_cost": 7 },
+    { "id": "karin_uniform", "name": "制服カリン", "base_name": "カリン", "costume": "制服", "romaji": "Karin", "aliases": [], "ex_cost": 7 },
+    { "id": "saki", "name": "サキ", "romaji": "Saki", "aliases": [], "ex_cost": 3 },
+    { "id": "saki_swimsuit", "name": "水着サキ", "base_name": "サキ", "costume": "水着", "romaji": "Saki", "aliases": [], "ex_cost": 4 },
+    { "id": "iori", "name": "イオリ", "romaji": "Iori", "aliases": [], "ex_cost": 3 },
+    { "id": "ako", "name": "アコ", "romaji": "Ako", "aliases": [], "ex_cost": 3 },
+    { "id": "aru_dress", "name": "ドレスアル", "base_name": "アル", "costume": "ドレス", "romaji": "Aru", "aliases": [], "ex_cost": 3 },
+    { "id": "satsuki", "name": "サツキ", "romaji": "Satsuki", "aliases": [], "ex_cost": 6 },
+    { "id": "mari_idol", "name": "アイドルマリー", "base_name": "マリー", "costume": "アイドル", "romaji": "Mari", "aliases": [], "ex_cost": 2 },
+    { "id": "sakurako_idol", "name": "アイドルサクラコ", "base_name": "サクラコ", "costume": "アイドル", "romaji": "Sakurako", "aliases": [], "ex_cost": 3 },
+    { "id": "suzumi_magical", "name": "マジカルスズミ", "base_name": "スズミ", "costume": "マジカル", "romaji": "Suzumi", "aliases": ["マジスズ"], "ex_cost": null }
+  ]
+};
+
+// モジュールとしてエクスポート（ブラウザ環境では window オブジェクトに追加）
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { STUDENT_DATA };
+} else if (typeof window !== 'undefined') {
+  window.STUDENT_DATA = STUDENT_DATA;
+}
+
+console.log('students.js: 生徒データ読み込み完了', STUDENT_DATA);
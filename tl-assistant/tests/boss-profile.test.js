@@ -0,0 +1,134 @@
+/**
+ * ボスのプロファイル（buffs.jsのboss_profiles）による、ボスごとのロール倍率・バフ・形態変化・ギミックのテスト
+ *
+ * 【実行方法】
+ *   node --test tl-assistant/tests/
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+// 各モジュールのログ出力を抑制
+console.log = () => {};
+console.warn = () => {};
+
+const { createInputJSON } = require('../input-processor.js');
+const { TimelineProcessor } = require('../tl-editor.js');
+const { BUFF_DATA } = require('../buffs.js');
+const { DEFAULT_SETTINGS } = require('../tl-cli.js');
+const { parseBuffDataJSON, mergeBuffData } = require('../buff-data-loader.js');
+
+/**
+ * TL文字列を処理し、timeline_jsonを返す
+ * @param {string} text - TL文字列
+ * @param {Object} overrides - DEFAULT_SETTINGSを上書きする設定
+ * @param {Object} buff_data - バフデータ
+ * @returns {Object} timeline_json
+ */
+function runTimeline(text, overrides = {}, buff_data = BUFF_DATA) {
+  const settings = { ...DEFAULT_SETTINGS, ...overrides };
+  const rows = createInputJSON(text, settings);
+  return new TimelineProcessor({ timeline: rows }, settings, buff_data).createTimelineJSON();
+}
+
+/**
+ * タイムラインを [イベント名, フレーム, 総コスト回復力] の配列にする
+ * @param {Object} timeline_json - timeline_json
+ * @returns {Array} [[event_name, frame, total_cost_recovery]]
+ */
+function summarize(timeline_json) {
+  return timeline_json.timeline.map(event => [event.event_name, event.frame, event.total_cost_recovery]);
+}
+
+test('「ボス：ゲブラ」の行と設定のbossは同じ結果となり、ロール倍率とラジエーターはボスの行より前から適用する', () => {
+  const radiator_tl = '2:50 ラジエーター起動\n2:40 ラジエーター終了\n[6]ミカ';
+  const by_line = runTimeline(`${radiator_tl}\nボス：ゲブラ`);
+  const by_setting = runTimeline(radiator_tl, { boss: 'geburah' });
+
+  assert.deepStrictEqual(summarize(by_line), summarize(by_setting));
+  assert.deepStrictEqual(summarize(by_setting), [
+    ['タイム計測開始', 0, 0],
+    ['戦闘開始', 60, 5752],
+    ['ゲブラPS知性の根源', 60, 5752],
+    ['ラジエーター過負荷1開始', 300, 9858],
+    ['ミカ', 343, 9858]
+  ]);
+  assert.strictEqual(by_line.metadata.boss, 'geburah');
+
+  // ボスの指定がない場合はストライカーも等倍
+  const no_boss = runTimeline('[6]ミカ');
+  assert.strictEqual(no_boss.timeline[1].total_cost_recovery, 5052);
+  assert.strictEqual(no_boss.metadata.boss, undefined);
+});
+
+test('バフデータで追加したボスのロール倍率・コスト回復力の減少・形態変化を処理する', () => {
+  const { buff_data, errors } = parseBuffDataJSON(JSON.stringify({
+    cost_recovery_buffs: {
+      test_boss_debuff: { buff_name: 'テストボスの妨害', buff_target: 'all', buff_amount: -200, duration_frames: 10000000, offset_frames: 0 }
+    },
+    boss_profiles: {
+      test_boss: {
+        boss_name: 'テストボス',
+        role_multipliers: { special: 0.5 },
+        buffs: ['test_boss_debuff'],
+        phases: [{ phase_name: '第2形態', detection_patterns: ['第2形態', '発狂'], max_cost: 5, cost_mode: 'reset', timer_seconds: 60 }]
+      }
+    }
+  }));
+  assert.deepStrictEqual(errors, []);
+
+  const timeline_json = runTimeline('ボス テストボス\n[6]ミカ\n2:00 発狂\n0:50 ミカ 3', {}, mergeBuffData(BUFF_DATA, buff_data));
+  const phase_start = (DEFAULT_SETTINGS.battle_time - 120) * 30;
+
+  // スペシャル2人のコスト回復力が半分になり、全員のコスト回復力が200減少する（SS有効）
+  assert.deepStrictEqual(summarize(timeline_json).slice(1, 3), [['戦闘開始', 60, 4352], ['テストボスの妨害開始', 60, 3106]]);
+  // 「発狂」はプロファイルの内容のフェーズの切り替えとなる
+  assert.deepStrictEqual(timeline_json.metadata.phases.map(phase => [phase.name, phase.start_frame, phase.max_cost, phase.cost_mode, phase.timer_seconds]),
+    [['第2形態', phase_start, 5, 'reset', 60]]);
+  const last = timeline_json.timeline[timeline_json.timeline.length - 1];
+  assert.strictEqual(last.frame, phase_start + 10 * 30);
+});
+
+test('バフデータにないボス・2つ目のボスの行は警告し、EXの使用としては扱わない', () => {
+  const timeline_json = runTimeline('ボス：ゲブラ\n[6]ミカ\nボス：ヒエロニムス\nボス Geburah\nボス テストボス', {}, mergeBuffData(BUFF_DATA, {
+    cost_recovery_buffs: {},
+    boss_profiles: { test_boss: { boss_name: 'テストボス' } }
+  }));
+
+  assert.deepStrictEqual(timeline_json.diagnostics.map(diagnostic => [diagnostic.code, diagnostic.line]),
+    [['UNKNOWN_BOSS', 3], ['BOSS_ALREADY_SET', 5]]);
+  assert.deepStrictEqual(timeline_json.timeline.map(event => event.event_name).slice(-1), ['ミカ']);
+});
+
+test('「：」のない行はボス名がプロファイルに一致する場合のみボスの指定とし、それ以外は通常の行とする', () => {
+  const timeline_json = runTimeline('[3]水着セイア\n2:30 ボス怒り\n[6]ミカ');
+  const without_boss_row = runTimeline('[3]水着セイア\n2:30 怒り\n[6]ミカ');
+
+  assert.ok(!timeline_json.diagnostics.some(diagnostic => diagnostic.code === 'UNKNOWN_BOSS'));
+  assert.strictEqual(timeline_json.metadata.boss, undefined);
+  assert.deepStrictEqual(summarize(timeline_json).map(([event_name, frame]) => [event_name, frame]),
+    summarize(without_boss_row).map(([event_name, frame]) => [event_name === '怒り' ? 'ボス怒り' : event_name, frame]));
+  assert.strictEqual(runTimeline('ボスゲブラ\n[6]ミカ').metadata.boss, 'geburah');
+});
+
+test('不正なボスのプロファイルは場所付きのエラーを返す', () => {
+  const { errors } = parseBuffDataJSON(JSON.stringify({
+    cost_recovery_buffs: {},
+    boss_profiles: {
+      broken: {
+        boss_name: '',
+        role_multipliers: { tank: 1.1 },
+        phases: [{ phase_name: '第2形態', detection_patterns: [], cost_mode: 'keep' }]
+      }
+    }
+  }));
+
+  assert.deepStrictEqual(errors, [
+    'boss_profiles.broken.boss_name: 空でない文字列を指定してください',
+    'boss_profiles.broken.role_multipliers.tank: "striker" または "special" を指定してください',
+    'boss_profiles.broken.phases[0].detection_patterns: 1つ以上のパターンを指定してください',
+    'boss_profiles.broken.phases[0].cost_mode: "carry" または "reset" を指定してください'
+  ]);
+});
@@ -0,0 +1,192 @@
+/**
+ * バフデータの読み込み・検証（buff-data-loader.js）と、データによるバフ処理のテスト
+ *
+ * 【実行方法】
+ *   node --test tl-assistant/tests/
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+// 各モジュールのログ出力を抑制
+console.log = () => {};
+console.warn = () => {};
+
+const { validateBuffData, parseBuffDataJSON, mergeBuffData } = require('../buff-data-loader.js');
+const { createInputJSON } = require('../input-processor.js');
+const { TimelineProcessor } = require('../tl-editor.js');
+const { BUFF_DATA } = require('../buffs.js');
+const { DEFAULT_SETTINGS } = require('../tl-cli.js');
+
+/**
+ * TL文字列を処理し、timeline_jsonを返す
+ * @param {string} text - TL文字列
+ * @param {Object} buff_data - バフデータ
+ * @param {Object} overrides - DEFAULT_SETTINGSを上書きする設定
+ * @returns {Object} timeline_json
+ */
+function runTimeline(text, buff_data, overrides = {}) {
+  const settings = { ...DEFAULT_SETTINGS, ...overrides };
+  const rows = createInputJSON(text, settings);
+  return new TimelineProcessor({ timeline: rows }, settings, buff_data).createTimelineJSON();
+}
+
+test('既定のバフデータはスキーマの検証を通る', () => {
+  assert.deepStrictEqual(validateBuffData(BUFF_DATA), []);
+});
+
+test('不正なバフデータは場所付きのエラーを返す', () => {
+  const { buff_data, errors } = parseBuffDataJSON(JSON.stringify({
+    cost_recovery_buffs: {
+      broken: {
+        buff_name: 'テストEX',
+        buff_target: 'テスト',
+        duration_frames: -1,
+        detection_patterns: [{ type: 'regex', pattern: '(' }]
+      }
+    }
+  }));
+
+  assert.strictEqual(buff_data, null);
+  assert.ok(errors.some(error => error.startsWith('cost_recovery_buffs.broken.duration_frames:')));
+  assert.ok(errors.some(error => error.startsWith('cost_recovery_buffs.broken.detection_patterns[0].pattern:')));
+  assert.ok(errors.includes('cost_recovery_buffs.broken: buff_amount、level_scaling、level_dependencies のいずれかが必要です'));
+});
+
+test('JSONとして読み込めない場合はエラーを返す', () => {
+  const { buff_data, errors } = parseBuffDataJSON('{ cost_recovery_buffs: ');
+  assert.strictEqual(buff_data, null);
+  assert.strictEqual(errors.length, 1);
+});
+
+test('ユーザーのバフデータは既定のバフデータにキー単位で統合される', () => {
+  const { buff_data, errors } = parseBuffDataJSON(JSON.stringify({
+    cost_recovery_buffs: {
+      test_ss: {
+        buff_name: 'テストSS',
+        buff_target: 'テスト',
+        buff_amount: null,
+        level_scaling: { setting: 'test_ss', base_amount: 100, amount_per_level: 50 },
+        trigger: 'battle_start',
+        duration_frames: 1000000,
+        offset_frames: 0
+      }
+    }
+  }));
+  assert.deepStrictEqual(errors, []);
+
+  const merged = mergeBuffData(BUFF_DATA, buff_data);
+  assert.ok(merged.cost_recovery_buffs.seia, '既定のバフは残る');
+  assert.ok(merged.cost_recovery_buffs.test_ss);
+
+  // レベル3: 100 + 2 * 50 = 200 が戦闘開始時に追加される
+  const leveled = runTimeline('ミカ 6', merged, { test_ss: '3' });
+  const buff = leveled.additional_events.find(event => event.event_name === 'テストSS');
+  assert.strictEqual(buff.start_frame, 60);
+  assert.strictEqual(buff.buff_amount, 200);
+
+  // レベル0（未所持）の場合は追加されない
+  const unowned = runTimeline('ミカ 6', merged, { test_ss: '0' });
+  assert.ok(!unowned.additional_events.some(event => event.event_name === 'テストSS'));
+});
+
+test('level_dependenciesは生徒のスキルレベル以下で最も高いレベルの値を使用する', () => {
+  const seia_duration = overrides => {
+    const timeline_json = runTimeline('セイア 3', BUFF_DATA, overrides);
+    const event = timeline_json.additional_events.find(e => e.event_name === 'セイアEX');
+    return event.end_frame - event.start_frame;
+  };
+
+  assert.strictEqual(seia_duration({}), 536, 'レベル未設定の場合は最も高いレベルの値');
+  assert.strictEqual(seia_duration({ skill_levels: { 'セイア': { UE: 3 } } }), 536);
+  assert.strictEqual(seia_duration({ skill_levels: { 'セイア': { UE: 1 } } }), 451);
+
+  // 旧設定（固有2の有無）はskill_levelsの指定がない場合のみ使用される
+  assert.strictEqual(seia_duration({ seia_koyuu2: 'no' }), 451);
+  assert.strictEqual(seia_duration({ seia_koyuu2: 'no', skill_levels: { 'セイア': { UE: 2 } } }), 536);
+});
+
+test('EXのレベルごとにバフ量が変わる', () => {
+  const buff_amount = (student, cost, level) => {
+    const timeline_json = runTimeline(`${student} ${cost}`, BUFF_DATA, { skill_levels: { [student]: { EX: level } } });
+    const buff = timeline_json.additional_events.find(e => e.event_name === `${student}EX`);
+    assert.strictEqual(buff.note, undefined);
+    return buff.buff_amount;
+  };
+
+  assert.strictEqual(buff_amount('水着ホシノ', 5, 5), 684);
+  assert.notStrictEqual(buff_amount('水着ホシノ', 5, 4), buff_amount('水着ホシノ', 5, 5));
+  assert.strictEqual(buff_amount('セイア', 3, 5), 718);
+  assert.notStrictEqual(buff_amount('セイア', 3, 4), buff_amount('セイア', 3, 5));
+
+  // 継続時間はEXのレベルによらない
+  const hoshino = runTimeline('水着ホシノ 5', BUFF_DATA, { skill_levels: { '水着ホシノ': { EX: 1 } } })
+    .additional_events.find(e => e.event_name === '水着ホシノEX');
+  assert.strictEqual(hoshino.end_frame - hoshino.start_frame, 1499);
+});
+
+test('データのないスキルレベルは最も低いレベルの値を使用し警告する', () => {
+  const timeline_json = runTimeline('マジカルスズミ 3\nミカ 6', BUFF_DATA, { skill_levels: { 'マジカルスズミ': { SS: 9 } } });
+  const buff = timeline_json.additional_events.find(e => e.event_name === 'マジカルスズミSS');
+  assert.strictEqual(buff.buff_amount, 690);
+  assert.deepStrictEqual(buff.note, ['マジカルスズミのSS Lv9のデータがないため、Lv10の値を使用しています']);
+});
+
+test('スキルレベルごとのデータを追加すると低いレベルの生徒を計算できる', () => {
+  const { buff_data, errors } = parseBuffDataJSON(JSON.stringify({
+    cost_recovery_buffs: {
+      mizugi_hoshino: {
+        ...BUFF_DATA.cost_recovery_buffs.mizugi_hoshino,
+        level_dependencies: [
+          { skill: 'EX', property: 'buff_amount', values: { '4': 600, '5': 684 } }
+        ]
+      }
+    }
+  }));
+  assert.deepStrictEqual(errors, []);
+
+  const merged = mergeBuffData(BUFF_DATA, buff_data);
+  const timeline_json = runTimeline('水着ホシノ 5', merged, { skill_levels: { '水着ホシノ': { EX: 4 } } });
+  const buff = timeline_json.additional_events.find(e => e.event_name === '水着ホシノEX');
+  assert.strictEqual(buff.buff_amount, 600);
+  assert.strictEqual(buff.note, undefined);
+});
+
+test('範囲外のスキルレベルは検証エラーになる', () => {
+  const errors = validateBuffData({
+    cost_recovery_buffs: {
+      test: {
+        buff_name: 'テストEX',
+        buff_amount: 100,
+        duration_frames: 300,
+        level_dependencies: [{ skill: 'EX', property: 'buff_amount', values: { '6': 100 } }]
+      }
+    }
+  });
+  assert.deepStrictEqual(errors, ['cost_recovery_buffs.test.level_dependencies[0].values.6: レベルは1～5で指定してください']);
+});
+
+test('EX使用コストの軽減バフの定義を検証する', () => {
+  const reduction_data = {
+    cost_recovery_buffs: {
+      mika_flat: {
+        event_type: 'cost_reduction_buff', buff_name: 'ミカ軽減', buff_target: 'ミカ',
+        cost_reduction: { type: 'flat', amount: 2, charges: 1 }, duration_frames: 900, offset_frames: 0,
+        detection_patterns: ['ヒナ']
+      },
+      all_percent: {
+        event_type: 'cost_reduction_buff', buff_name: '全員軽減', buff_target: '全員',
+        cost_reduction: { type: 'percent', amount: 25 }, duration_frames: 300, offset_frames: 0,
+        detection_patterns: ['ヒナ']
+      }
+    }
+  };
+  assert.deepStrictEqual(validateBuffData(reduction_data), []);
+  assert.deepStrictEqual(validateBuffData({ cost_recovery_buffs: { bad: { ...reduction_data.cost_recovery_buffs.mika_flat, cost_reduction: { type: 'half', amount: 2, charges: 0 } } } }), [
+    'cost_recovery_buffs.bad.cost_reduction.type: "flat" または "percent" を指定してください',
+    'cost_recovery_buffs.bad.cost_reduction.charges: 1以上の整数またはnullを指定してください'
+  ]);
+
+});
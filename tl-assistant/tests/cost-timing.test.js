@@ -0,0 +1,161 @@
+/**
+ * コストタイミング予測（TimelineProcessor.predictCostTimingFrame）のテスト
+ *
+ * 【実行方法】
+ *   node --test tl-assistant/tests/
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+// 各モジュールのログ出力を抑制
+console.log = () => {};
+console.warn = () => {};
+
+const { createInputJSON } = require('../input-processor.js');
+const { TimelineProcessor } = require('../tl-editor.js');
+const { BUFF_DATA } = require('../buffs.js');
+const { DEFAULT_SETTINGS } = require('../tl-cli.js');
+const { mergeBuffData } = require('../buff-data-loader.js');
+
+const COST_POINT_UNIT = 30 * 10000;
+
+/**
+ * TL文字列を処理し、処理済みの入力行とtimeline_jsonを返す
+ * @param {string} text - TL文字列
+ * @param {Object} overrides - DEFAULT_SETTINGSを上書きする設定
+ * @param {Object} buff_data - バフデータ
+ * @returns {Object} { rows, timeline_json }
+ */
+function runTimeline(text, overrides = {}, buff_data = BUFF_DATA) {
+  const settings = { ...DEFAULT_SETTINGS, ...overrides };
+  const rows = createInputJSON(text, settings);
+  const processor = new TimelineProcessor({ timeline: rows }, settings, buff_data);
+  return { rows, timeline_json: processor.createTimelineJSON() };
+}
+
+test('複数のバフ境界をまたぐコストタイミングは区間ごとに積分される', () => {
+  const { rows } = runTimeline([
+    '水着ホシノ 5',
+    'セイア 3',
+    '[2]マジカルスズミ 2',
+    '[9.8]セイア 3'
+  ].join('\n'));
+
+  const row = rows[3];
+  const segments = row.cost_timing_segments;
+  assert.ok(segments.length >= 2, '少なくとも1つのバフ境界をまたぐ');
+
+  // 区間は連続しており、最後の区間の終端が確定フレーム
+  for (let i = 1; i < segments.length; i++) {
+    assert.strictEqual(segments[i].start_frame, segments[i - 1].end_frame);
+  }
+  const last = segments[segments.length - 1];
+  assert.strictEqual(last.end_frame, row.frame);
+
+  // 確定フレームで初めて目標コストに到達している
+  const target_points = 9.8 * COST_POINT_UNIT;
+  const reached = last.start_cost_points + (last.end_frame - last.start_frame) * last.total_cost_recovery;
+  const one_frame_before = reached - last.total_cost_recovery;
+  assert.ok(reached >= target_points);
+  assert.ok(one_frame_before < target_points);
+});
+
+test('最大コストを超えるコストタイミングは最大コスト到達時点とし警告する', () => {
+  const { rows, timeline_json } = runTimeline('[10.5]ミカ 6', { max_cost: 10, ss_enabled: false });
+
+  const row = rows[0];
+  assert.deepStrictEqual(row.note, ['10.5コスは最大コスト10を超えています']);
+
+  const mika = timeline_json.timeline.find(event => event.event_name === 'ミカ');
+  assert.strictEqual(mika.remaining_cost_points + 6 * COST_POINT_UNIT, 10 * COST_POINT_UNIT);
+});
+
+test('予定されたコストの即時増減を反映してコストタイミングを予測し、増加であふれた分はあふれたコストとする', () => {
+  const { rows, timeline_json } = runTimeline([
+    '[3]水着セイア',
+    '2:30 コスト +2',
+    '[9]ミカ',
+    'コスト -5 ボス',
+    '[10]ミカ',
+    '2:00 コスト +12',
+    '1:59 ミカ 0'
+  ].join('\n'));
+
+  const gain = timeline_json.timeline.find(event => event.event_name === 'コスト+2');
+  const drain = timeline_json.timeline.find(event => event.event_name === 'コスト-5（ボス）');
+  assert.strictEqual(gain.cost_change, 2);
+  assert.strictEqual(drain.cost_change, -5);
+  // 減少は0で止まる（ミカの使用後は約3.0）
+  assert.strictEqual(drain.remaining_cost_points, 0);
+
+  // 2:30の増加をまたいで10コスに到達する
+  assert.ok(rows[4].cost_timing_segments.some(segment => segment.start_frame === gain.frame && segment.start_cost_points === gain.remaining_cost_points));
+
+  // 最大コストを超える増加はあふれたコストとなる（増加前のコストは0以上のため、少なくとも2はあふれる）
+  const overflow = timeline_json.timeline.find(event => event.event_name === 'コスト+12');
+  assert.strictEqual(overflow.remaining_cost_points, 10 * COST_POINT_UNIT);
+  assert.ok(overflow.overflow_cost >= 2);
+});
+
+/**
+ * EX使用コストの軽減バフのバフデータを作成する
+ * @param {Object} buffs - cost_recovery_buffsに追加するバフ { キー: { buff_name, buff_target, cost_reduction, duration_frames } }
+ * @returns {Object} BUFF_DATAに追加したバフデータ
+ */
+function withCostReductions(buffs) {
+  const cost_recovery_buffs = {};
+  for (const [key, buff] of Object.entries(buffs)) {
+    cost_recovery_buffs[key] = { event_type: 'cost_reduction_buff', offset_frames: 0, detection_patterns: ['ヒナ'], ...buff };
+  }
+  return mergeBuffData(BUFF_DATA, { cost_recovery_buffs });
+}
+
+test('EX使用コストの軽減バフは対象の生徒の使用コストを軽減回数だけ減らし、軽減前の使用コストを残す', () => {
+  const buff_data = withCostReductions({
+    mika_flat: { buff_name: 'ミカ軽減', buff_target: 'ミカ', cost_reduction: { type: 'flat', amount: 2, charges: 1 }, duration_frames: 900 },
+    all_percent: { buff_name: '全員軽減', buff_target: '全員', cost_reduction: { type: 'percent', amount: 25 }, duration_frames: 300 }
+  });
+
+  const { timeline_json } = runTimeline('[3]水着セイア\n[3]ヒナ\n[4]ミカ\n[6]ミカ', {}, buff_data);
+  const [first, second] = timeline_json.timeline.filter(event => event.event_name === 'ミカ');
+  // 2コス減らしてから25%減らす
+  assert.deepStrictEqual([first.nominal_cost_used, first.cost_used, first.cost_reductions], [6, 3, ['ミカ軽減', '全員軽減']]);
+  // 軽減回数を使い切ったバフは使用したフレームで終了し、継続時間の過ぎたバフは適用しない
+  assert.ok(timeline_json.timeline.some(event => event.event_name === 'ミカ軽減終了' && event.frame === first.frame));
+  assert.deepStrictEqual([second.nominal_cost_used, second.cost_used], [undefined, 6]);
+  // コスト回復力は変わらない
+  const hina = timeline_json.timeline.find(event => event.event_name === 'ヒナ');
+  const reduction_start = timeline_json.timeline.find(event => event.event_name === '全員軽減開始');
+  assert.strictEqual(reduction_start.total_cost_recovery, hina.total_cost_recovery);
+});
+
+test('使用コストから補完したコストタイミングは軽減後の使用コストに到達した時点とし、明示的なコスト指定はそのまま待つ', () => {
+  const buff_data = withCostReductions({
+    mika_half: { buff_name: 'ミカ半減', buff_target: 'ミカ', cost_reduction: { type: 'percent', amount: 50, charges: 1 }, duration_frames: 1800 }
+  });
+
+  const { rows, timeline_json } = runTimeline('[1]ヒナ\nミカ\n[6]ミカ', {}, buff_data);
+  const [implicit, explicit] = timeline_json.timeline.filter(event => event.event_name === 'ミカ');
+  assert.deepStrictEqual([implicit.nominal_cost_used, implicit.cost_used], [6, 3]);
+
+  // 3コスに到達したフレームで使用する（6コスまで待たない）
+  const last = rows[1].cost_timing_segments[rows[1].cost_timing_segments.length - 1];
+  assert.strictEqual(last.end_frame, implicit.frame);
+  const reached = last.start_cost_points + (last.end_frame - last.start_frame) * last.total_cost_recovery;
+  assert.ok(reached >= 3 * COST_POINT_UNIT);
+  assert.ok(reached - last.total_cost_recovery < 3 * COST_POINT_UNIT);
+
+  // 軽減回数を使い切ったバフは同じフレームで終了し、その後の[6]は6コスまで待つ
+  assert.ok(timeline_json.timeline.some(event => event.event_name === 'ミカ半減終了' && event.frame === implicit.frame));
+  assert.deepStrictEqual([explicit.nominal_cost_used, explicit.cost_used], [undefined, 6]);
+  assert.ok(explicit.remaining_cost_points < COST_POINT_UNIT);
+
+  // 開始したフレームで軽減回数を使い切る場合も同様に処理する
+  const same_frame = runTimeline('[3]ヒナ\nミカ\n[6]ミカ', {}, buff_data).timeline_json.timeline;
+  const hina = same_frame.find(event => event.event_name === 'ヒナ');
+  assert.deepStrictEqual(same_frame.filter(event => event.event_name.startsWith('ミカ')).map(event => [event.event_name, event.frame === hina.frame]),
+    [['ミカ半減開始', true], ['ミカ', true], ['ミカ半減終了', true], ['ミカ', false]]);
+});
@@ -0,0 +1,99 @@
+/**
+ * フレームごとのコストの推移（TimelineProcessor.getCostTrace）のテスト
+ *
+ * 【実行方法】
+ *   node --test tl-assistant/tests/
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+
+// 各モジュールのログ出力を抑制
+console.log = () => {};
+console.warn = () => {};
+
+const { createInputJSON } = require('../input-processor.js');
+const { TimelineProcessor } = require('../tl-editor.js');
+const { BUFF_DATA } = require('../buffs.js');
+const { DEFAULT_SETTINGS, loadSettingsFile } = require('../tl-cli.js');
+
+const COST_POINT_UNIT = 30 * 10000;
+const GOLDEN_DIR = path.join(__dirname, 'golden');
+
+/**
+ * TL文字列を処理し、処理済みの入力行・timeline_json・TimelineProcessorを返す
+ * @param {string} text - TL文字列
+ * @param {Object} settings - 設定
+ * @returns {Object} { rows, timeline_json, processor }
+ */
+function runTimeline(text, settings = DEFAULT_SETTINGS) {
+  const rows = createInputJSON(text, settings);
+  const processor = new TimelineProcessor({ timeline: rows }, settings, BUFF_DATA);
+  return { rows, timeline_json: processor.createTimelineJSON(), processor };
+}
+
+test('イベントの間はフレームごとに回復し、イベントのフレームは処理後の状態となる', () => {
+  const { timeline_json, processor } = runTimeline('ミカ 6');
+  const trace = processor.getCostTrace();
+  const mika = timeline_json.timeline.find(event => event.event_name === 'ミカ');
+
+  assert.strictEqual(trace.at(60).remaining_cost_points, 0);
+  assert.strictEqual(trace.at(61).remaining_cost_points, trace.at(60).total_cost_recovery);
+  assert.strictEqual(trace.at(mika.frame).remaining_cost_points, mika.remaining_cost_points);
+  assert.strictEqual(trace.findFrameReachingCost(6, 60), mika.frame);
+  assert.strictEqual(trace.end_frame, 180 * 30);
+  assert.throws(() => trace.at(180 * 30 + 1), RangeError);
+});
+
+test('最後のイベントより後も予定されたバフの終了で回復力が変わり、最大コストを超えた分はあふれとして累計する', () => {
+  const { timeline_json, processor } = runTimeline('水着ホシノ 5');
+  const trace = processor.getCostTrace();
+  const buff = timeline_json.additional_events.find(event => event.event_name === '水着ホシノEX');
+
+  const during = trace.at(buff.end_frame - 1);
+  const after = trace.at(buff.end_frame);
+  assert.deepStrictEqual(during.active_buffs.map(active => active.event_name), ['水着ホシノEX']);
+  assert.deepStrictEqual(after.active_buffs, []);
+  assert.ok(during.total_cost_recovery > after.total_cost_recovery);
+
+  // 最大コストに到達した後は、回復した分がすべてあふれとなる
+  const full_frame = trace.findFrameReachingCost(10);
+  assert.strictEqual(trace.costPointsAt(full_frame), 10 * COST_POINT_UNIT);
+  assert.ok(trace.costPointsAt(full_frame - 1) < 10 * COST_POINT_UNIT);
+  assert.strictEqual(trace.at(full_frame + 1).overflow_points - trace.at(full_frame).overflow_points, during.total_cost_recovery);
+  assert.strictEqual(trace.at(trace.end_frame).overflow_points - trace.at(buff.end_frame).overflow_points,
+    (trace.end_frame - buff.end_frame) * after.total_cost_recovery);
+  assert.strictEqual(trace.findFrameReachingCost(10.5, 0), null);
+});
+
+test('frames()はフレームごとの状態を順に返す', () => {
+  const { processor } = runTimeline('セイア 3');
+  const states = [...processor.getCostTrace().frames(60, 62)];
+  assert.deepStrictEqual(states.map(state => state.frame), [60, 61, 62]);
+  assert.ok(states[2].remaining_cost_points > states[1].remaining_cost_points);
+});
+
+for (const name of fs.readdirSync(GOLDEN_DIR).filter(file => file.endsWith('.txt')).sort()) {
+  test(`コストの推移はtimelineと一致する: ${name}`, () => {
+    const settings_path = path.join(GOLDEN_DIR, name.replace(/\.txt$/, '.settings.json'));
+    const settings = loadSettingsFile(fs.existsSync(settings_path) ? settings_path : null);
+    const { timeline_json, processor } = runTimeline(fs.readFileSync(path.join(GOLDEN_DIR, name), 'utf8'), settings);
+    const trace = processor.getCostTrace();
+
+    // 同じフレームのイベントは最後のイベントの処理後の状態と一致する
+    const last_event_of_frame = new Map(timeline_json.timeline.map(event => [event.frame, event]));
+    for (const [frame, event] of last_event_of_frame) {
+      const state = trace.at(frame);
+      assert.strictEqual(state.remaining_cost_points, event.remaining_cost_points, `${event.event_name} (${frame})`);
+      assert.strictEqual(state.total_cost_recovery, event.total_cost_recovery, `${event.event_name} (${frame})`);
+    }
+
+    // 最後のイベントまでにあふれたコストポイントの累計はoverflow_costの合計と一致する
+    const overflow_points = timeline_json.timeline.reduce((sum, event) => sum + Math.round((event.overflow_cost || 0) * COST_POINT_UNIT), 0);
+    assert.strictEqual(trace.at(timeline_json.metadata.final_frame).overflow_points, overflow_points);
+  });
+}
@@ -0,0 +1,109 @@
+/**
+ * ゴールデンファイル回帰テスト - TimelineProcessorのコスト計算
+ *
+ * 【概要】
+ * tests/golden/ 以下のTL入力（<name>.txt）と設定（<name>.settings.json、省略可）から
+ * timeline_jsonを生成し、保存済みのスナップショット（<name>.expected.json）と比較する。
+ * calculateTotalCostRecovery, addEventToTimeline, resolveRowTiming 等の変更で
+ * どのイベントのフレーム・コストポイントが動いたかを差分として表示する。
+ *
+ * 【実行方法】
+ *   node --test tl-assistant/tests/
+ *
+ * 【スナップショットの更新】
+ * 計算結果の変化が意図したものである場合のみ、以下で更新する
+ *   UPDATE_GOLDEN=1 node --test tl-assistant/tests/
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+
+// 各モジュールのログ出力を抑制
+console.log = () => {};
+console.warn = () => {};
+
+const { loadSettingsFile, processTimelineText } = require('../tl-cli.js');
+
+const GOLDEN_DIR = path.join(__dirname, 'golden');
+const UPDATE_GOLDEN = process.env.UPDATE_GOLDEN === '1';
+
+const modules = {
+  InputProcessor: require('../input-processor.js'),
+  TLEditor: require('../tl-editor.js'),
+  TimelineFormatter: require('../timeline-formatter.js'),
+  BuffData: require('../buffs.js').BUFF_DATA
+};
+
+/**
+ * 差分表示で比較するタイムラインイベントのキー
+ */
+const COMPARED_EVENT_KEYS = [
+  'event_name',
+  'frame',
+  'cost_used',
+  'remaining_cost_points',
+  'total_cost_recovery',
+  'overflow_cost'
+];
+
+/**
+ * 2つのtimeline_jsonのtimelineを比較し、変化したイベントを人間が読める形で列挙する
+ * @param {Object} expected - スナップショットのtimeline_json
+ * @param {Object} actual - 今回生成したtimeline_json
+ * @returns {Array<string>} 差分の説明
+ */
+function describeTimelineDifferences(expected, actual) {
+  const differences = [];
+  const length = Math.max(expected.timeline.length, actual.timeline.length);
+
+  for (let i = 0; i < length; i++) {
+    const expected_event = expected.timeline[i];
+    const actual_event = actual.timeline[i];
+
+    if (!expected_event || !actual_event) {
+      const event = expected_event || actual_event;
+      differences.push(`#${i} ${event.event_name}: ${expected_event ? '消失' : '追加'} (frame ${event.frame})`);
+      continue;
+    }
+
+    const changes = COMPARED_EVENT_KEYS
+      .filter(key => expected_event[key] !== actual_event[key])
+      .map(key => `${key} ${expected_event[key]} → ${actual_event[key]}`);
+
+    if (changes.length > 0) {
+      differences.push(`#${i} ${expected_event.event_name}: ${changes.join(', ')}`);
+    }
+  }
+
+  return differences;
+}
+
+const cases = fs.readdirSync(GOLDEN_DIR)
+  .filter(file => file.endsWith('.txt'))
+  .map(file => path.basename(file, '.txt'))
+  .sort();
+
+for (const name of cases) {
+  test(`golden: ${name}`, () => {
+    const input_text = fs.readFileSync(path.join(GOLDEN_DIR, `${name}.txt`), 'utf8');
+    const settings_path = path.join(GOLDEN_DIR, `${name}.settings.json`);
+    const settings = loadSettingsFile(fs.existsSync(settings_path) ? settings_path : null);
+    const expected_path = path.join(GOLDEN_DIR, `${name}.expected.json`);
+
+    const actual = JSON.parse(processTimelineText(input_text, settings, 'json', modules));
+
+    if (UPDATE_GOLDEN || !fs.existsSync(expected_path)) {
+      fs.writeFileSync(expected_path, JSON.stringify(actual, null, 2) + '\n');
+      return;
+    }
+
+    const expected = JSON.parse(fs.readFileSync(expected_path, 'utf8'));
+    const differences = describeTimelineDifferences(expected, actual);
+    assert.deepStrictEqual(differences, [], `${name} のタイムラインが変化しました:\n${differences.join('\n')}`);
+    assert.deepStrictEqual(actual, expected);
+  });
+}
@@ -0,0 +1,123 @@
+/**
+ * 入力処理（input-processor.js の createInputJSON）と診断情報のテスト
+ *
+ * 【実行方法】
+ *   node --test tl-assistant/tests/
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+// 各モジュールのログ出力を抑制
+console.log = () => {};
+console.warn = () => {};
+
+const { createInputJSON, buildBranchTree } = require('../input-processor.js');
+const { TimelineProcessor } = require('../tl-editor.js');
+const { BUFF_DATA } = require('../buffs.js');
+const { DEFAULT_SETTINGS } = require('../tl-cli.js');
+
+/**
+ * TL文字列を入力処理し、行ごとの [event_name, cost_timing, cost_used] を返す
+ * @param {string} text - TL文字列
+ * @param {Object} overrides - DEFAULT_SETTINGSを上書きする設定
+ * @returns {Array} 行ごとの値
+ */
+function costsOf(text, overrides = {}) {
+  return createInputJSON(text, { ...DEFAULT_SETTINGS, ...overrides })
+    .map(row => [row.event_name, row.cost_timing, row.cost_used]);
+}
+
+test('コストのない行は生徒データの最も長く一致した名前からEX使用コストを補う', () => {
+  const rows = createInputJSON('[4]水着セイア\n水着おじさん', DEFAULT_SETTINGS);
+
+  assert.deepStrictEqual(rows.map(row => [row.cost_timing, row.cost_used]), [[4, 3], [5, 5]]);
+  assert.deepStrictEqual(rows[1].note, ['EX使用コスト5を自動入力しました（水着ホシノ）']);
+});
+
+test('自動判定なしの場合はコストのない行を0コスとする', () => {
+  assert.deepStrictEqual(costsOf('ミカ', { auto_ex_cost: 'no' }), [['ミカ', null, 0]]);
+});
+
+test('除外キーワードは設定で変更できる', () => {
+  const text = 'ミカ 落\nミカ 待機';
+  assert.deepStrictEqual(costsOf(text), [['ミカ', null, 0], ['ミカ', 6, 6]]);
+  assert.deepStrictEqual(costsOf(text, { auto_ex_cost_exclusions: '待機' }), [['ミカ', 6, 6], ['ミカ', null, 0]]);
+});
+
+test('無視した行と解釈できない時間は行・列付きの診断情報になる', () => {
+  const diagnostics = [];
+  createInputJSON('\n[5]\n2:3:4 セイア 3', DEFAULT_SETTINGS, diagnostics);
+
+  assert.deepStrictEqual(diagnostics.map(d => [d.code, d.line, d.column, d.end_column]), [
+    ['DROPPED_LINE', 2, 1, 4],
+    ['UNPARSABLE_TOKEN', 3, 1, 6]
+  ]);
+});
+
+test('TimelineProcessorの警告は入力行の位置付きでtimeline_json.diagnosticsに含まれる', () => {
+  const text = [
+    '#nolabel セイア 3',
+    '2:40 ミカ 1',
+    '[1]ハレ 2',
+    '2:50 キサキ 3'
+  ].join('\n');
+  const diagnostics = [];
+  const rows = createInputJSON(text, DEFAULT_SETTINGS, diagnostics);
+  const timeline_json = new TimelineProcessor({ timeline: rows, diagnostics: diagnostics }, DEFAULT_SETTINGS, BUFF_DATA)
+    .createTimelineJSON();
+
+  assert.deepStrictEqual(timeline_json.diagnostics.map(d => [d.severity, d.code, d.line, d.column, d.end_column]), [
+    ['error', 'UNKNOWN_LABEL', 1, 1, 9],
+    ['warning', 'TIME_BACKWARDS', 1, 1, 9], // 存在しないラベルは0:00として扱われるため
+    ['warning', 'COST_ALREADY_REACHED', 3, 1, 4],
+    ['warning', 'TIME_BACKWARDS', 4, 1, 5]
+  ]);
+});
+
+test('診断情報とする警告はconsole.warnに重複して出力しない', (t) => {
+  const warnings = [];
+  t.mock.method(console, 'warn', (...args) => warnings.push(args.join(' ')));
+  const diagnostics = [];
+  const rows = createInputJSON('#nolabel セイア 3\n[5]\n2:3:4 ミカ 1\n[1]ハレ 2\n2:50 キサキ 3\n#A+1 セイア 3\n2:30 ミカ 6 #A', DEFAULT_SETTINGS, diagnostics);
+  const timeline_json = new TimelineProcessor({ timeline: rows, diagnostics: diagnostics }, DEFAULT_SETTINGS, BUFF_DATA)
+    .createTimelineJSON();
+
+  assert.ok(timeline_json.diagnostics.length >= 5);
+  assert.deepStrictEqual(warnings, []);
+});
+
+test('「@分岐」以降の行は次の「@分岐」まで分岐の行となり、共通部分と分岐ごとの木構造に分ける', () => {
+  const diagnostics = [];
+  const rows = createInputJSON('[3]水着セイア\n@分岐 A\n[6]ミカ\n@分岐\n[5]水着ホシノ\n@branch A\n[3]セイア', DEFAULT_SETTINGS, diagnostics);
+  const tree = buildBranchTree(rows);
+
+  assert.deepStrictEqual(tree.prefix.map(row => row.event_name), ['水着セイア']);
+  assert.deepStrictEqual(tree.branches.map(branch => [branch.name, branch.line_number, branch.rows.filter(row => !row.is_directive).map(row => row.event_name)]), [
+    ['A', 2, ['ミカ', 'セイア']],
+    ['分岐2', 4, ['水着ホシノ']]
+  ]);
+  assert.deepStrictEqual(diagnostics.map(d => [d.code, d.line]), [['DUPLICATE_BRANCH', 6]]);
+});
+
+test('分岐ごとに共通部分から処理し、分岐を指定しない場合は最初の分岐を処理する', () => {
+  const rows = createInputJSON('[3]水着セイア #s\n@分岐 A\n[6]ミカ\n@分岐 B\n#s+5 水着ホシノ 5', DEFAULT_SETTINGS);
+  const results = TimelineProcessor.createBranchTimelines({ timeline: rows }, DEFAULT_SETTINGS, BUFF_DATA);
+  const eventsOf = timeline_json => timeline_json.timeline.slice(2).map(event => [event.event_name, event.frame]);
+
+  assert.deepStrictEqual(results.map(result => result.branch), ['A', 'B']);
+  assert.deepStrictEqual(eventsOf(results[0].timeline_json), [['水着セイア', 239], ['ミカ', 595]]);
+  assert.deepStrictEqual(eventsOf(results[1].timeline_json), [['水着セイア', 239], ['水着ホシノ', 239 + 150]]);
+  assert.deepStrictEqual(results[1].timeline_json.metadata.branches, ['A', 'B']);
+  // 入力行は分岐ごとに複製して処理する
+  assert.ok(rows.every(row => row.frame === undefined));
+
+  const default_json = new TimelineProcessor({ timeline: rows }, DEFAULT_SETTINGS, BUFF_DATA).createTimelineJSON();
+  assert.deepStrictEqual(eventsOf(default_json), eventsOf(results[0].timeline_json));
+  // 分岐を指定しない場合は、処理しなかった分岐を診断情報とする
+  assert.deepStrictEqual(default_json.diagnostics.map(d => [d.code, d.line]), [['BRANCH_NOT_PROCESSED', 4]]);
+  assert.ok(results.every(result => result.timeline_json.diagnostics.length === 0));
+  assert.throws(() => new TimelineProcessor({ timeline: rows, branch: 'C' }, DEFAULT_SETTINGS, BUFF_DATA), /分岐「C」は存在しません（A, B）/);
+});
@@ -0,0 +1,150 @@
+/**
+ * 開始・終了の行の組で有効区間が決まるギミック（interval-event-manager.js）のテスト
+ *
+ * 【実行方法】
+ *   node --test tl-assistant/tests/
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+// 各モジュールのログ出力を抑制
+console.log = () => {};
+console.warn = () => {};
+
+const { IntervalEventManager } = require('../interval-event-manager.js');
+const { createInputJSON } = require('../input-processor.js');
+const { TimelineProcessor } = require('../tl-editor.js');
+const { BUFF_DATA } = require('../buffs.js');
+const { DEFAULT_SETTINGS } = require('../tl-cli.js');
+const { parseBuffDataJSON, mergeBuffData } = require('../buff-data-loader.js');
+
+const ENRAGE = {
+  gimmick_key: 'enrage',
+  gimmick_name: '発狂',
+  start_patterns: ['発狂開始'],
+  end_patterns: ['発狂終了'],
+  effect: { buff_target: 'all', buff_amount: -300 }
+};
+
+/**
+ * 文字列のパターンとの部分一致（TimelineProcessorではmatchesTextPatternsを指定する）
+ * @param {string} text - イベント名
+ * @param {Array<string>} patterns - パターン
+ * @returns {boolean} 一致する場合true
+ */
+function matchPatterns(text, patterns) {
+  return patterns.some(pattern => text.includes(pattern));
+}
+
+/**
+ * 経過フレームと行名の組から区間を計算する
+ * @param {Object} config - ギミックの設定
+ * @param {Array} events - [[frame, event_name]]
+ * @returns {IntervalEventManager} calculateIntervals済みのマネージャー
+ */
+function calculate(config, events) {
+  const manager = new IntervalEventManager(config, { match_patterns: matchPatterns });
+  manager.extractIntervalEvents(events.map(([frame, event_name], index) => ({ frame, event_name, line_number: index + 1 })));
+  manager.calculateIntervals(7200);
+  return manager;
+}
+
+test('入れ子の開始・開始していない終了は診断情報とし、終了のない開始は戦闘終了まで延長する', () => {
+  const manager = calculate(ENRAGE, [[300, '発狂開始'], [450, '発狂開始'], [600, '発狂終了'], [700, '発狂終了'], [900, '発狂開始']]);
+
+  assert.deepStrictEqual(manager.intervals, [
+    { start_frame: 300, end_frame: 600, auto_extended: false },
+    { start_frame: 900, end_frame: 7200, auto_extended: true }
+  ]);
+  assert.deepStrictEqual(manager.diagnostics.map(diagnostic => [diagnostic.code, diagnostic.row.line_number]),
+    [['GIMMICK_NESTED_START', 2], ['GIMMICK_END_WITHOUT_START', 4]]);
+  assert.strictEqual(manager.isActiveAt(599), true);
+  assert.strictEqual(manager.isActiveAt(600), false);
+});
+
+test('allow_nestedでは終了を最も新しい開始と組にし、auto_extendでない場合は終了のない開始を無視する', () => {
+  const manager = calculate({ ...ENRAGE, allow_nested: true, auto_extend: false },
+    [[300, '発狂開始'], [450, '発狂開始'], [600, '発狂終了'], [900, '発狂開始']]);
+
+  assert.deepStrictEqual(manager.intervals.map(interval => [interval.start_frame, interval.end_frame]), [[450, 600]]);
+  assert.deepStrictEqual(manager.diagnostics.map(diagnostic => [diagnostic.code, diagnostic.row.line_number]),
+    [['GIMMICK_START_WITHOUT_END', 1], ['GIMMICK_START_WITHOUT_END', 4]]);
+});
+
+test('バフデータで追加したギミックの区間中は効果のバフを計算し、組にならなかった行は入力の診断情報とする', () => {
+  const { buff_data, errors } = parseBuffDataJSON(JSON.stringify({
+    cost_recovery_buffs: {},
+    interval_gimmicks: {
+      field: {
+        gimmick_name: 'フィールド効果',
+        start_patterns: [{ type: 'regex', pattern: '^フィールド(展開|開始)' }],
+        end_patterns: ['フィールド解除'],
+        effect: { buff_target: 'all', buff_amount: -300 },
+        always_enabled: true
+      }
+    }
+  }));
+  assert.deepStrictEqual(errors, []);
+
+  const settings = DEFAULT_SETTINGS;
+  const rows = createInputJSON('2:50 フィールド展開\n2:40 フィールド解除\n2:30 フィールド解除\n[6]ミカ', settings);
+  const timeline_json = new TimelineProcessor({ timeline: rows }, settings, mergeBuffData(BUFF_DATA, buff_data)).createTimelineJSON();
+
+  const field = timeline_json.additional_events.find(event => event.gimmick_key === 'field');
+  assert.deepStrictEqual([field.event_name, field.start_frame, field.end_frame, field.buff_amount], ['フィールド効果1', 300, 600, -300]);
+  assert.ok(rows.slice(0, 3).every(row => row.is_special_command));
+  assert.deepStrictEqual(timeline_json.diagnostics.map(diagnostic => [diagnostic.code, diagnostic.line]), [['GIMMICK_END_WITHOUT_START', 3]]);
+
+  // ボスの指定がない場合、ゲブラのラジエーター過負荷は計算しない（行は特殊コマンドとする）
+  assert.ok(!timeline_json.additional_events.some(event => event.gimmick_key === 'radiator'));
+});
+
+test('フェーズの切り替えより後の開始・終了の行の時間はフェーズのタイマーで解釈する', () => {
+  const buff_data = mergeBuffData(BUFF_DATA, {
+    cost_recovery_buffs: {},
+    interval_gimmicks: {
+      field: {
+        gimmick_name: 'フィールド効果',
+        start_patterns: ['フィールド展開'],
+        end_patterns: ['フィールド解除'],
+        effect: { buff_target: 'all', buff_amount: -300 },
+        always_enabled: true
+      }
+    }
+  });
+  const settings = DEFAULT_SETTINGS;
+  const rows = createInputJSON([
+    '2:55 フィールド展開',
+    '2:54 フィールド解除',
+    '[3]水着セイア',
+    '2:00 フェーズ2 最大コスト20 コストリセット 制限時間3:00',
+    '2:50 フィールド展開',
+    '2:40 フィールド解除',
+    '2:30 ミカ 5'
+  ].join('\n'), settings);
+  const timeline_json = new TimelineProcessor({ timeline: rows }, settings, buff_data).createTimelineJSON();
+
+  const phase_start = (settings.battle_time - 120) * 30;
+  assert.deepStrictEqual(timeline_json.additional_events.filter(event => event.gimmick_key === 'field').map(event => [event.start_frame, event.end_frame]),
+    [[150, 180], [phase_start + 300, phase_start + 600]]);
+  const field = timeline_json.timeline.find(event => event.event_name === 'フィールド効果2開始');
+  assert.strictEqual(field.frame, phase_start + 300);
+});
+
+test('不正なギミックの定義は場所付きのエラーを返す', () => {
+  const { errors } = parseBuffDataJSON(JSON.stringify({
+    cost_recovery_buffs: {},
+    interval_gimmicks: {
+      broken: { gimmick_name: '発狂', start_patterns: ['発狂開始'], end_patterns: [], effect: { buff_target: 'all' }, allow_nested: 'yes' }
+    }
+  }));
+
+  assert.deepStrictEqual(errors, [
+    'interval_gimmicks.broken.end_patterns: 1つ以上のパターンを指定してください',
+    'interval_gimmicks.broken.effect.buff_amount: 数値を指定してください',
+    'interval_gimmicks.broken.allow_nested: true または false を指定してください'
+  ]);
+});
@@ -0,0 +1,70 @@
+/**
+ * ラベル参照（フレーム単位の指定・ラベルの連鎖・未来のラベル・循環参照）のテスト
+ *
+ * 【実行方法】
+ *   node --test tl-assistant/tests/
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+// 各モジュールのログ出力を抑制
+console.log = () => {};
+console.warn = () => {};
+
+const { createInputJSON } = require('../input-processor.js');
+const { TimelineProcessor } = require('../tl-editor.js');
+const { BUFF_DATA } = require('../buffs.js');
+const { DEFAULT_SETTINGS } = require('../tl-cli.js');
+
+/**
+ * TL文字列を処理し、入力行とtimeline_jsonを返す
+ * @param {string} text - TL文字列
+ * @returns {Object} { rows, timeline_json }
+ */
+function runTimeline(text) {
+  const rows = createInputJSON(text, DEFAULT_SETTINGS);
+  const timeline_json = new TimelineProcessor({ timeline: rows }, DEFAULT_SETTINGS, BUFF_DATA).createTimelineJSON();
+  return { rows, timeline_json };
+}
+
+test('「f」を付けた修飾はフレーム数として扱う', () => {
+  const { rows, timeline_json } = runTimeline('[3]水着セイア #s\n#s+12f ミカ 0\n#s-1f ヒナ 0');
+  const [seia, mika] = rows;
+
+  assert.deepStrictEqual([mika.event_name, mika.modifier, mika.modified_frames], ['ミカ', '+', 12]);
+  assert.strictEqual(mika.frame, seia.frame + 12);
+  // 「#s-1f」はミカより前となるため、ミカと同じフレームに調整される
+  assert.strictEqual(rows[2].frame, mika.frame);
+  assert.deepStrictEqual(timeline_json.diagnostics.map(d => [d.code, d.line]), [['TIME_BACKWARDS', 3]]);
+
+  // ラベル参照のない行ではイベント名の一部として扱う
+  assert.strictEqual(createInputJSON('2:30 fミカ', DEFAULT_SETTINGS)[0].event_name, 'fミカ');
+});
+
+test('後の行のラベルは、ラベル参照の連鎖を含めて反復計算で求める', () => {
+  const { rows, timeline_json } = runTimeline([
+    '[3]水着セイア #s',
+    '#c-2 ミカ 0',
+    '#s+10 ヒナ 0 #b',
+    '#b+1.5 セイア 0 #c'
+  ].join('\n'));
+  const [seia, mika, hina, seia2] = rows.map(row => row.frame);
+
+  assert.strictEqual(hina, seia + 300);
+  assert.strictEqual(seia2, hina + 45);
+  assert.strictEqual(mika, seia2 - 60);
+  assert.deepStrictEqual(timeline_json.diagnostics, []);
+});
+
+test('ラベルの参照の循環は、循環に含まれる行のエラーとする', () => {
+  const { timeline_json } = runTimeline('[3]水着セイア #s\n#b+1 ミカ 0 #a\n#a+1 ヒナ 0 #b\n#a+1 セイア 0');
+  const cycles = timeline_json.diagnostics.filter(d => d.code === 'LABEL_REFERENCE_CYCLE');
+
+  assert.deepStrictEqual(cycles.map(d => [d.severity, d.line, d.message]), [
+    ['error', 2, 'ラベルの参照が循環しています（#a → #b → #a）'],
+    ['error', 3, 'ラベルの参照が循環しています（#a → #b → #a）']
+  ]);
+});
@@ -0,0 +1,135 @@
+/**
+ * フェーズの切り替え（最大コストの変更・コストのリセット・フェーズのタイマー）と最大コストの設定・変更のテスト
+ *
+ * 【実行方法】
+ *   node --test tl-assistant/tests/
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+// 各モジュールのログ出力を抑制
+console.log = () => {};
+console.warn = () => {};
+
+const { createInputJSON } = require('../input-processor.js');
+const { TimelineProcessor } = require('../tl-editor.js');
+const { BUFF_DATA } = require('../buffs.js');
+const { DEFAULT_SETTINGS, processTimelineText } = require('../tl-cli.js');
+const { renderTimeline } = require('../timeline-formatter.js');
+
+const COST_POINT_UNIT = 30 * 10000;
+
+const MODULES = {
+  InputProcessor: require('../input-processor.js'),
+  TLEditor: require('../tl-editor.js'),
+  TimelineFormatter: require('../timeline-formatter.js'),
+  BuffData: BUFF_DATA
+};
+
+const PHASE_TL = [
+  '[3]水着セイア',
+  '[6]ミカ',
+  '2:00 フェーズ2 最大コスト20 コストリセット 制限時間3:00',
+  '2:50 ミカ 5',
+  '[15]ミカ'
+].join('\n');
+
+/**
+ * TL文字列を処理し、入力行とtimeline_jsonを返す
+ * @param {string} text - TL文字列
+ * @returns {Object} { rows, timeline_json }
+ */
+function runTimeline(text) {
+  const rows = createInputJSON(text, DEFAULT_SETTINGS);
+  const timeline_json = new TimelineProcessor({ timeline: rows }, DEFAULT_SETTINGS, BUFF_DATA).createTimelineJSON();
+  return { rows, timeline_json };
+}
+
+test('フェーズの切り替えでコストをリセットし、以降の時間はフェーズのタイマーで解釈する', () => {
+  const { rows, timeline_json } = runTimeline(PHASE_TL);
+  const phase_start = (DEFAULT_SETTINGS.battle_time - 120) * 30;
+  const phase_event = timeline_json.timeline.find(event => event.event_name === 'フェーズ2');
+
+  assert.strictEqual(phase_event.frame, phase_start);
+  assert.strictEqual(phase_event.remaining_cost_points, 0);
+  assert.deepStrictEqual(timeline_json.metadata.phases.map(phase => [phase.name, phase.start_frame, phase.max_cost, phase.cost_mode, phase.timer_seconds]),
+    [['フェーズ2', phase_start, 20, 'reset', 180]]);
+
+  // 「2:50」はフェーズのタイマー（3:00から）で10秒後
+  assert.strictEqual(rows[3].frame, phase_start + 10 * 30);
+  // 切り替え後は最大コスト20まで溜まる
+  const last = timeline_json.timeline[rows[4].timeline_index];
+  assert.strictEqual(Math.round((last.remaining_cost_points / COST_POINT_UNIT + last.cost_used) * 10), 150);
+  assert.ok(rows.every(row => !(row.diagnostics || []).some(diagnostic => diagnostic.code === 'COST_EXCEEDS_MAX')));
+});
+
+test('最大コストを下げる切り替えでは溜まっているコストを切り捨て、あふれたコストに含めない', () => {
+  const { timeline_json } = runTimeline('[3]水着セイア\n2:00 フェーズ2 最大コスト5\n1:50 ミカ 3');
+  const phase_event = timeline_json.timeline.find(event => event.event_name === 'フェーズ2');
+  const mika = timeline_json.timeline[timeline_json.timeline.length - 1];
+
+  assert.strictEqual(phase_event.remaining_cost_points, 5 * COST_POINT_UNIT);
+  // 切り替えの時点のあふれたコストは、切り替えのないTLの同じ時点と同じ
+  const reference = runTimeline('[3]水着セイア\n2:00 ミカ 0').timeline_json.timeline;
+  assert.strictEqual(phase_event.overflow_cost, reference[reference.length - 1].overflow_cost);
+  // 切り替え後は最大コスト5であふれる
+  assert.strictEqual(mika.remaining_cost_points, 2 * COST_POINT_UNIT);
+  assert.ok(mika.overflow_cost > 0);
+});
+
+test('出力の時間はフェーズのタイマーで書き、再入力可能なTLは同じTLとなる', () => {
+  const text = renderTimeline('compact', runTimeline(PHASE_TL).timeline_json);
+  assert.deepStrictEqual(text.split('\n').map(line => line.split(' ')[0]), ['2:52.033', '2:40.167', '2:50.000', '2:20.400']);
+
+  const tl = processTimelineText(PHASE_TL, DEFAULT_SETTINGS, 'tl', MODULES);
+  assert.ok(tl.includes('2:00 フェーズ2 最大コスト20 コストリセット 制限時間3:00\n! 3:00.000 フェーズ2\n2:50.000 ミカ 5'));
+  assert.strictEqual(processTimelineText(tl, DEFAULT_SETTINGS, 'tl', MODULES), tl);
+});
+
+test('制約解除決戦の最大コストを設定でき、戦闘中の「最大コスト」で変更すると下がった分は切り捨てる', () => {
+  const settings = { ...DEFAULT_SETTINGS, max_cost: '21.5' };
+  const rows = createInputJSON('[21.5]ミカ\n1:30 最大コスト 8\n1:20 ミカ\n0:50 最大コスト\n', settings);
+  const timeline_json = new TimelineProcessor({ timeline: rows }, settings, BUFF_DATA).createTimelineJSON();
+
+  assert.strictEqual(timeline_json.metadata.settings.max_cost_points, 21.5 * COST_POINT_UNIT);
+  assert.strictEqual(timeline_json.timeline[rows[0].timeline_index].remaining_cost_points, 15.5 * COST_POINT_UNIT);
+
+  const change = timeline_json.timeline.find(event => event.event_name === '最大コスト8');
+  assert.strictEqual(change.remaining_cost_points, 8 * COST_POINT_UNIT);
+  assert.deepStrictEqual(timeline_json.metadata.phases.map(phase => [phase.name, phase.max_cost, phase.cost_mode, phase.timer_seconds]),
+    [['最大コスト8', 8, 'carry', null]]);
+  assert.strictEqual(timeline_json.timeline[rows[2].timeline_index].remaining_cost_points, 2 * COST_POINT_UNIT);
+
+  // 値のない「最大コスト」は警告し、EXの使用としては扱わない
+  assert.strictEqual(rows[3].is_special_command, true);
+  assert.ok(timeline_json.diagnostics.some(diagnostic => diagnostic.code === 'INVALID_MAX_COST' && diagnostic.line === 4));
+});
+
+test('時間指定のない「最大コスト」で最大コストを下げた後に、下げた最大コストを超える行があっても処理を続ける', () => {
+  for (const change of ['最大コスト 5', 'フェーズ2 最大コスト5 コストリセット']) {
+    const { rows, timeline_json } = runTimeline(`セイア 3\n${change}\nキサキ 6`);
+    const kisaki = timeline_json.timeline[rows[2].timeline_index];
+
+    assert.strictEqual(kisaki.event_name, 'キサキ');
+    assert.ok(timeline_json.diagnostics.some(diagnostic =>
+      diagnostic.code === 'COST_EXCEEDS_MAX' && diagnostic.line === 3 && diagnostic.message === '6コスは最大コスト5を超えています'));
+    // 最大コスト5に到達した時点で使用し、残りコストは0で止める
+    assert.strictEqual(kisaki.remaining_cost_points, 0);
+    assert.ok(kisaki.note.includes('最大コストまでしか溜まらないため、残りコストを0とします'));
+  }
+});
+
+test('最大コストを下げた後の最大コストを超える行は、残りコストを負にしない', () => {
+  const { rows, timeline_json } = runTimeline('[3]水着セイア\n2:50 最大コスト 5\n[6]ミカ 6\n[3]セイア 3');
+  const mika = timeline_json.timeline[rows[2].timeline_index];
+
+  assert.strictEqual(mika.remaining_cost_points, 0);
+  assert.ok(mika.note.includes('6コスは最大コスト5を超えています'));
+  assert.ok(mika.note.includes('最大コストまでしか溜まらないため、残りコストを0とします'));
+  assert.ok(timeline_json.timeline.every(event => event.remaining_cost_points >= 0));
+  // 最大コストを超えない行は通常どおり
+  assert.ok(!timeline_json.timeline[rows[3].timeline_index].note.includes('最大コストまでしか溜まらないため、残りコストを0とします'));
+});
@@ -0,0 +1,77 @@
+/**
+ * 計画したTLと実測した時間の照合（run-reconciler.js）のテスト
+ *
+ * 【実行方法】
+ *   node --test tl-assistant/tests/
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+// 各モジュールのログ出力を抑制
+console.log = () => {};
+console.warn = () => {};
+
+const { reconcileRun, formatReconciliation } = require('../run-reconciler.js');
+const { BUFF_DATA } = require('../buffs.js');
+const { DEFAULT_SETTINGS } = require('../tl-cli.js');
+
+test('実測のある行は実測の時間に固定し、以降の行とラベル参照は実測後の状態から再計算する', () => {
+  const plan = [
+    '[3]水着セイア #s',
+    '[6]ミカ',
+    '#s+20 水着ホシノ 5'
+  ].join('\n');
+  // 別名（水おじ）の実測も生徒IDで計画の行と対応付ける
+  const result = reconcileRun(plan, '2:50.000 水着セイア\n2:30 水おじ\n2:20 ヒナ', DEFAULT_SETTINGS, BUFF_DATA);
+  const [seia, mika, hoshino] = result.rows;
+
+  assert.deepStrictEqual([seia.planned_frame, seia.observed_frame, seia.frame, seia.deviation_frames], [239, 300, 300, 61]);
+  assert.strictEqual(mika.observed_frame, null);
+  assert.strictEqual(mika.deviation_frames, null);
+  // 最大コストに達していなければ、前の行が遅れても同じコストが溜まる時点は変わらない
+  assert.strictEqual(mika.shift_frames, 0);
+  assert.deepStrictEqual([hoshino.observed_frame, hoshino.frame], [900, 900]);
+  assert.deepStrictEqual(result.unmatched_observations, [{ line_number: 3, event_name: 'ヒナ', frame: 1200 }]);
+  assert.ok(result.rows.every(row => !row.insufficient_cost));
+});
+
+test('実測なしのラベル参照の行は実測したラベルの時間からずれる', () => {
+  const result = reconcileRun('[3]水着セイア #s\n#s+10 ミカ 0', '2:50 水着セイア', DEFAULT_SETTINGS, BUFF_DATA);
+  assert.strictEqual(result.rows[1].frame, 300 + 10 * 30);
+  assert.strictEqual(result.rows[1].shift_frames, 61);
+});
+
+test('前の行の遅れでコストがあふれ、時間指定の行のコストが足りなくなった場合は使用不可とする', () => {
+  const plan = [
+    '[3]水着セイア',
+    '[6]ミカ',
+    '2:24 ミカ 6',
+    '[3]セイア'
+  ].join('\n');
+
+  const on_time = reconcileRun(plan, '2:40.167 ミカ', DEFAULT_SETTINGS, BUFF_DATA);
+  assert.ok(on_time.rows.every(row => !row.became_impossible));
+
+  const late = reconcileRun(plan, '2:25 ミカ', DEFAULT_SETTINGS, BUFF_DATA);
+  assert.deepStrictEqual(late.rows.map(row => row.became_impossible), [false, false, true, false]);
+  assert.ok(late.rows[2].remaining_cost_points < 0);
+
+  const lines = formatReconciliation(late).split('\n');
+  assert.strictEqual(lines[0], '行   イベント   計画      実測      ずれ        再計算');
+  assert.strictEqual(lines[2], '  2  ミカ       2:40.167  2:25.000  +15.167秒   2:25.000');
+  assert.match(lines[3], /^ {2}3 {2}ミカ {7}2:24\.000  - {21}2:24\.000 ⚠ 使用不可（コストが\d\.\d足りません）$/);
+  assert.strictEqual(lines[lines.length - 1], '実測の遅れにより1行が使用できなくなりました');
+});
+
+test('分岐のあるTLは指定した分岐の計画と照合し、照合した分岐を示す', () => {
+  const plan = '[3]水着セイア\n@分岐 A\n[6]ミカ\n@分岐 B\n[5]水着ホシノ';
+  const result = reconcileRun(plan, '2:50 水着セイア', DEFAULT_SETTINGS, BUFF_DATA, 'B');
+
+  assert.strictEqual(result.branch, 'B');
+  assert.deepStrictEqual(result.rows.map(row => row.event_name), ['水着セイア', '水着ホシノ']);
+  assert.strictEqual(formatReconciliation(result).split('\n')[0], '分岐「B」の計画と照合しました');
+  assert.strictEqual(reconcileRun(plan, '2:50 水着セイア', DEFAULT_SETTINGS, BUFF_DATA).branch, 'A');
+});
@@ -0,0 +1,90 @@
+/**
+ * 生徒名の解決（student-resolver.js）と、生徒IDによるバフ検出のテスト
+ *
+ * 【実行方法】
+ *   node --test tl-assistant/tests/
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+// 各モジュールのログ出力を抑制
+console.log = () => {};
+console.warn = () => {};
+
+const { resolveStudent, findStudentById } = require('../student-resolver.js');
+const { STUDENT_DATA } = require('../students.js');
+const { createInputJSON } = require('../input-processor.js');
+const { TimelineProcessor } = require('../tl-editor.js');
+const { BUFF_DATA } = require('../buffs.js');
+const { DEFAULT_SETTINGS } = require('../tl-cli.js');
+
+/**
+ * 文字列を生徒IDに解決する
+ * @param {string} text - イベント名など
+ * @returns {string|null} 生徒ID
+ */
+function idOf(text) {
+  const student = resolveStudent(text, STUDENT_DATA);
+  return student ? student.id : null;
+}
+
+test('衣装違い・愛称・ローマ字表記は同じ生徒に解決される', () => {
+  for (const text of ['水着ホシノ', '水ホシノ', 'ホシノ（水着）', '水おじ', '水着おじさん', 'Hoshino (Swimsuit)', 'hoshino_swimsuit', 'ＨＯＳＨＩＮＯ（ＳＷＩＭＳＵＩＴ）']) {
+    assert.strictEqual(idOf(text), 'hoshino_swimsuit', text);
+  }
+  assert.strictEqual(idOf('マジスズ'), 'suzumi_magical');
+  assert.strictEqual(idOf('ドアル'), 'aru_dress');
+});
+
+test('複数の生徒名を含む場合は最も長く一致した生徒に解決される', () => {
+  assert.strictEqual(idOf('セイア'), 'seia');
+  assert.strictEqual(idOf('水着セイア'), 'seia_swimsuit');
+  assert.strictEqual(idOf('水セイア'), 'seia_swimsuit');
+  assert.strictEqual(idOf('ナギサ（柱＆本体）'), 'nagisa');
+  assert.strictEqual(idOf('ラジエーター起動'), null);
+});
+
+test('ローマ字表記は英字の単語の途中には一致しない', () => {
+  assert.strictEqual(idOf('Rio'), 'rio');
+  assert.strictEqual(idOf('[2]rio 3'), 'rio');
+  assert.strictEqual(idOf('Swimsuit Hoshino'), 'hoshino_swimsuit');
+  assert.strictEqual(idOf('Sakurako (Idol)'), 'sakurako_idol');
+  for (const text of ['Mario', 'Period', 'Share', 'Takosaki', 'Mikan']) {
+    assert.strictEqual(idOf(text), null, text);
+  }
+});
+
+test('コスト軽減状態の接頭辞は状態のEX使用コストを返す', () => {
+  const student = resolveStudent('Ｃミカ', STUDENT_DATA);
+  assert.strictEqual(student.id, 'mika');
+  assert.strictEqual(student.ex_cost, 3);
+  assert.strictEqual(student.state_label, 'コスト軽減');
+  assert.strictEqual(findStudentById('mika', STUDENT_DATA).ex_cost, 6);
+});
+
+test('入力行のstudent_idでバフを検出する', () => {
+  const settings = { ...DEFAULT_SETTINGS };
+  const rows = createInputJSON('ホシノ（水着） 5\n水着セイア 3\nセイア 3', settings);
+  assert.deepStrictEqual(rows.map(row => row.student_id), ['hoshino_swimsuit', 'seia_swimsuit', 'seia']);
+
+  const timeline_json = new TimelineProcessor({ timeline: rows }, settings, BUFF_DATA).createTimelineJSON();
+  const buff_names = timeline_json.additional_events.map(event => event.event_name);
+  assert.deepStrictEqual(buff_names, ['水着ホシノEX', 'セイアEX']);
+});
+
+test('ひらがなの表記はカタカナの表記と同じ生徒に解決される', () => {
+  assert.strictEqual(idOf('せいあ'), 'seia');
+  assert.strictEqual(idOf('水着ほしの'), 'hoshino_swimsuit');
+  assert.strictEqual(idOf('水オジ'), 'hoshino_swimsuit');
+});
+
+test('使用コストが書かれた行で生徒を判定できない場合は診断情報とする', () => {
+  const settings = { ...DEFAULT_SETTINGS };
+  const rows = createInputJSON('セイア 3\nてすと 2\nラベル待ち\nコスト回復力増加 10%', settings);
+  const timeline_json = new TimelineProcessor({ timeline: rows }, settings, BUFF_DATA).createTimelineJSON();
+  const unknown = timeline_json.diagnostics.filter(diagnostic => diagnostic.code === 'UNKNOWN_STUDENT');
+  assert.deepStrictEqual(unknown.map(diagnostic => [diagnostic.line, diagnostic.severity]), [[2, 'info']]);
+});
@@ -0,0 +1,67 @@
+/**
+ * コストの推移とバフ区間のグラフ（timeline-chart.js）のテスト
+ *
+ * 【実行方法】
+ *   node --test tl-assistant/tests/
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+// 各モジュールのログ出力を抑制
+console.log = () => {};
+console.warn = () => {};
+
+const { buildCostSeries, buildBuffLanes, renderTimelineChartSVG } = require('../timeline-chart.js');
+
+/**
+ * テスト用のtimeline_json（最大コスト10、回復力は1フレームあたり10000ポイント）
+ */
+const CHART_TIMELINE_JSON = {
+  metadata: { settings: { max_cost: 10, max_cost_points: 3000000, battle_time: 180 }, final_frame: 400 },
+  timeline: [
+    { frame: 0, cost_used: 0, event_name: '戦闘開始', remaining_cost_points: 0, total_cost_recovery: 10000 },
+    { frame: 100, cost_used: 3, event_name: 'セイア', is_auto: false, remaining_cost_points: 100000, total_cost_recovery: 10000 },
+    { frame: 400, cost_used: 6, event_name: 'ミカ<C>', is_auto: true, remaining_cost_points: 1200000, total_cost_recovery: 10000 }
+  ],
+  additional_events: [
+    { start_frame: 120, end_frame: 300, event_name: 'セイアEX', buff_target: 'セイア', buff_amount: 718 },
+    { start_frame: 150, end_frame: 10000150, event_name: 'ハナコ撤退', event_kind: 'retreat', buff_target: null, buff_amount: 0 },
+    { start_frame: 50, end_frame: 900, event_name: 'ラジエーター過負荷1', buff_target: 'all', buff_amount: 500 }
+  ]
+};
+
+test('次のイベントまでの回復を計算し、最大コストに到達した区間をあふれとする', () => {
+  const series = buildCostSeries(CHART_TIMELINE_JSON, 400);
+
+  assert.deepStrictEqual(series.points.map(point => [point.frame, point.cost_points]), [
+    [0, 0], [100, 1000000],
+    [100, 100000], [390, 3000000], [400, 3000000],
+    [400, 1200000]
+  ]);
+  assert.deepStrictEqual(series.overflow_intervals, [{ start_frame: 390, end_frame: 400 }]);
+  // EXの使用は使用直前のコスト（最大コストを上限とする）に表示する
+  assert.deepStrictEqual(series.ex_markers.map(marker => [marker.frame, marker.cost_points]), [[100, 1000000], [400, 3000000]]);
+});
+
+test('バフ区間はbuff_targetごとの行にまとめ、撤退は含めない', () => {
+  const lanes = buildBuffLanes(CHART_TIMELINE_JSON.additional_events, 400);
+
+  assert.deepStrictEqual(lanes.map(lane => [lane.label, lane.bars.map(bar => [bar.start_frame, bar.end_frame])]), [
+    ['全体', [[50, 400]]],
+    ['セイア', [[120, 300]]]
+  ]);
+});
+
+test('SVGにはコストの推移・EXの使用・撤退・バフ区間が含まれ、名前はエスケープされる', () => {
+  const svg = renderTimelineChartSVG(CHART_TIMELINE_JSON, { time_format: 'forward' });
+
+  assert.match(svg, /^<svg xmlns="http:\/\/www\.w3\.org\/2000\/svg"/);
+  assert.strictEqual((svg.match(/<circle /g) || []).length, 2);
+  assert.match(svg, /<title>0:13\.333 AUTO ミカ&lt;C&gt; 6コス<\/title>/);
+  assert.match(svg, /<title>0:05\.000 ハナコ撤退<\/title>/);
+  assert.match(svg, /<title>コストあふれ 0:13\.000 ～ 0:13\.333（0\.333秒）<\/title>/);
+  assert.match(svg, /<title>ラジエーター過負荷1（500） 0:01\.667 ～ 0:30\.000<\/title>/);
+});
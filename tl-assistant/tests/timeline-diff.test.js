@@ -0,0 +1,123 @@
+/**
+ * 2つのTLの比較（timeline-diff.js）のテスト
+ *
+ * 【実行方法】
+ *   node --test tl-assistant/tests/
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+// 各モジュールのログ出力を抑制
+console.log = () => {};
+console.warn = () => {};
+
+const { alignDiffEvents, diffTimelines, formatTimelineDiff } = require('../timeline-diff.js');
+const { DEFAULT_SETTINGS, compareTimelineTexts } = require('../tl-cli.js');
+
+const COST_POINT_UNIT = 30 * 10000;
+
+const MODULES = {
+  InputProcessor: require('../input-processor.js'),
+  TLEditor: require('../tl-editor.js'),
+  TimelineDiff: require('../timeline-diff.js'),
+  BuffData: require('../buffs.js').BUFF_DATA
+};
+
+const BASE_TL = [
+  '[3]水着セイア #s',
+  '[6]ミカ',
+  '[5]水着ホシノ',
+  '#s+40 ミカ'
+].join('\n');
+
+const TARGET_TL = [
+  '[3]水着セイア #s',
+  '[9]ミカ',
+  '[5]水着ホシノ',
+  '[3]セイア',
+  '#s+45 ミカ'
+].join('\n');
+
+test('両方にあるラベルはラベルで、それ以外はイベント名の順で対応付ける', () => {
+  const events = names => names.map(name => {
+    const [event_name, label] = name.split(' ');
+    return { event_name, label: label || null };
+  });
+  const pairs = alignDiffEvents(
+    events(['セイア #a', 'ミカ', 'ハレ', 'ミカ #b']),
+    events(['ハレ #a', 'ミカ', 'ミカ #b', 'ヒナ'])
+  );
+
+  assert.deepStrictEqual(pairs.map(pair => [pair.base && pair.base.event_name, pair.target && pair.target.event_name]), [
+    ['セイア', 'ハレ'],
+    ['ミカ', 'ミカ'],
+    ['ハレ', null],
+    ['ミカ', 'ミカ'],
+    [null, 'ヒナ']
+  ]);
+});
+
+test('対応したイベントごとに時間・使用時のコスト・あふれたコストの累計の差を求める', () => {
+  const diff = JSON.parse(compareTimelineTexts(BASE_TL, TARGET_TL, DEFAULT_SETTINGS, 'json', MODULES));
+
+  assert.deepStrictEqual(diff.entries.map(entry => [entry.base && entry.base.event_name, entry.target && entry.target.event_name]), [
+    ['水着セイア', '水着セイア'],
+    ['ミカ', 'ミカ'],
+    ['水着ホシノ', '水着ホシノ'],
+    [null, 'セイア'],
+    ['ミカ', 'ミカ']
+  ]);
+  assert.strictEqual(diff.entries[0].frame_delta, 0);
+  // コストタイミングで使用した場合、使用直前のコストは指定したコストを1フレーム分の回復量未満だけ上回る
+  assert.strictEqual(Math.round(diff.entries[1].cost_delta_points / COST_POINT_UNIT), 3);
+  assert.strictEqual(diff.entries[4].frame_delta, 5 * 30);
+  assert.deepStrictEqual(diff.summary, {
+    matched_count: 4,
+    base_only_count: 0,
+    target_only_count: 1,
+    final_frame_delta: 150,
+    base_overflow_points: diff.summary.base_overflow_points,
+    target_overflow_points: diff.summary.target_overflow_points
+  });
+
+  // 区間ごとのあふれたコストの差の増減の合計は、最後に対応したイベントでの差と一致する
+  const last = diff.entries[4];
+  assert.ok(last.overflow_delta_points > 0);
+  assert.strictEqual(diff.sections.reduce((sum, section) => sum + section.overflow_change_points, 0), last.overflow_delta_points);
+});
+
+test('テキストでは左右に並べ、あふれたコストの差が生じた区間をまとめる', () => {
+  const text = compareTimelineTexts(BASE_TL, TARGET_TL, DEFAULT_SETTINGS, 'text', MODULES, { base_name: '参考', target_name: '自分' });
+  const lines = text.split('\n');
+
+  assert.strictEqual(lines[0], '参考                      | 自分                      | 時間差 コスト差 あふれ差');
+  assert.strictEqual(lines[2], '2:40.167 ミカ [6.0]       | 2:34.233 ミカ [9.0]       | +5.933秒 +3.0 +0.0');
+  assert.strictEqual(lines[4], '-                         | 2:25.067 セイア [3.0]     |');
+  assert.ok(lines.includes('最後に対応したイベント（ミカ）: 自分の方が5.000秒遅い'));
+  assert.match(text, /水着ホシノ → ミカ: 自分の方が\d\.\dコス多くあふれた（時間差 \+5\.000秒）/);
+});
+
+test('同じTLの比較では差がなく、区間も表示しない', () => {
+  const run = text => {
+    const input_json = { timeline: MODULES.InputProcessor.createInputJSON(text, DEFAULT_SETTINGS) };
+    return { input_json, timeline_json: new MODULES.TLEditor.TimelineProcessor(input_json, DEFAULT_SETTINGS, MODULES.BuffData).createTimelineJSON() };
+  };
+  const diff = diffTimelines(run(BASE_TL), run(BASE_TL));
+
+  assert.ok(diff.entries.every(entry => entry.frame_delta === 0 && entry.cost_delta_points === 0 && entry.overflow_delta_points === 0));
+  assert.doesNotMatch(formatTimelineDiff(diff), /コストの差が生じた区間/);
+});
+
+test('分岐のあるTLは指定した分岐を比較し、比較した分岐を表示名に示す', () => {
+  const branched_tl = `${BASE_TL}\n@分岐 A\n[3]セイア\n@分岐 B\n[5]水着ホシノ`;
+  const diff = JSON.parse(compareTimelineTexts(branched_tl, branched_tl, DEFAULT_SETTINGS, 'json', MODULES, {}, 'B'));
+  assert.deepStrictEqual(diff.branches, { base: 'B', target: 'B' });
+  assert.ok(diff.entries.some(entry => entry.target && entry.target.event_name === '水着ホシノ'));
+  assert.ok(!diff.entries.some(entry => entry.target && entry.target.event_name === 'セイア'));
+
+  const text = compareTimelineTexts(BASE_TL, branched_tl, DEFAULT_SETTINGS, 'text', MODULES, { base_name: '参考', target_name: '自分' });
+  assert.match(text.split('\n')[0], /^参考 +\| 自分（分岐A） +\| 時間差/);
+});
@@ -0,0 +1,171 @@
+/**
+ * timeline-formatter.js のテスト
+ * - 再入力可能なTLの生成（serializeTimelineInput）
+ *   tests/golden/ 以下のすべてのTL入力について、
+ *   生成したTLを再度処理しても同じタイムラインとなり、再度生成しても同じ文字列となることを確認する
+ * - 出力形式の登録（registerTimelineRenderer / renderTimeline）
+ *
+ * 【実行方法】
+ *   node --test tl-assistant/tests/
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+
+// 各モジュールのログ出力を抑制
+console.log = () => {};
+console.warn = () => {};
+
+const { createInputJSON } = require('../input-processor.js');
+const { TimelineProcessor } = require('../tl-editor.js');
+const {
+  generateTimelineNew,
+  formatInputTime,
+  serializeTimelineInput,
+  registerTimelineRenderer,
+  listTimelineRenderers,
+  renderTimeline
+} = require('../timeline-formatter.js');
+const { BUFF_DATA } = require('../buffs.js');
+const { DEFAULT_SETTINGS, loadSettingsFile } = require('../tl-cli.js');
+
+const GOLDEN_DIR = path.join(__dirname, 'golden');
+
+/**
+ * TL文字列を処理し、タイムラインと再入力可能なTLを返す
+ * @param {string} text - TL文字列
+ * @param {Object} settings - 設定
+ * @param {Object} options - serializeTimelineInputの追加設定
+ * @returns {Object} { timeline, serialized }
+ */
+function roundTrip(text, settings, options = {}) {
+  const input_json = { timeline: createInputJSON(text, settings) };
+  const timeline_json = new TimelineProcessor(input_json, settings, BUFF_DATA).createTimelineJSON();
+  return {
+    timeline: timeline_json.timeline.map(event => [event.event_name, event.frame, event.cost_used, event.remaining_cost_points]),
+    serialized: serializeTimelineInput(input_json, timeline_json, { ...settings, ...options })
+  };
+}
+
+test('時間表記はフレームに戻せる精度で残り時間・経過時間を書く', () => {
+  const settings = { battle_time: 180, time_display_format: 'backward' };
+  assert.strictEqual(formatInputTime(239, settings), '2:52.033');
+  assert.strictEqual(formatInputTime(1, { battle_time: 60 }), '0:59.967');
+  assert.strictEqual(formatInputTime(1801, { time_display_format: 'forward' }), '1:00.033');
+  assert.strictEqual(formatInputTime(5430, settings), '-0:01.000');
+  assert.strictEqual(formatInputTime(7215, settings), '-1:00.500');
+});
+
+test('戦闘時間を過ぎた時間表記は再入力すると同じフレームになる', () => {
+  const settings = { ...DEFAULT_SETTINGS, time_display_format: 'backward' };
+  for (const frame of [5400, 5401, 5430, 7215]) {
+    const [row] = createInputJSON(`${formatInputTime(frame, settings)} ミカ 6`, settings);
+    assert.strictEqual(Math.round(row.time * 30), frame, formatInputTime(frame, settings));
+  }
+});
+
+test('コスト指定は時間に置き換え、ラベル・参照・自動入力したコストを残す', () => {
+  const settings = { ...DEFAULT_SETTINGS };
+  const text = [
+    '! コメント',
+    '[4]水着セイア #start',
+    '#start+5 ミカ',
+    '撤退 キサキ'
+  ].join('\n');
+
+  assert.strictEqual(roundTrip(text, settings, { additional_events: 'omit' }).serialized, [
+    '2:50.067 水着セイア #start 3',
+    '#start+5 ミカ 6',
+    '撤退 キサキ'
+  ].join('\n'));
+});
+
+for (const name of fs.readdirSync(GOLDEN_DIR).filter(file => file.endsWith('.txt')).sort()) {
+  test(`再入力: ${name}`, () => {
+    const settings_path = path.join(GOLDEN_DIR, name.replace(/\.txt$/, '.settings.json'));
+    const settings = loadSettingsFile(fs.existsSync(settings_path) ? settings_path : null);
+    const original = roundTrip(fs.readFileSync(path.join(GOLDEN_DIR, name), 'utf8'), settings);
+    const frozen = roundTrip(original.serialized, settings);
+
+    assert.deepStrictEqual(frozen.timeline, original.timeline);
+    assert.strictEqual(frozen.serialized, original.serialized);
+  });
+}
+
+/**
+ * 出力形式のテスト用のtimeline_json
+ */
+const RENDER_TIMELINE_JSON = {
+  metadata: { settings: { battle_time: 180, time_display_format: 'backward' } },
+  timeline: [
+    { frame: 60, cost_used: 0, event_name: '戦闘開始', is_auto: false, remaining_cost_points: 0, note: [] },
+    { frame: 239, cost_used: 3, event_name: '水着セイア', is_auto: false, remaining_cost_points: 4308, note: [] },
+    { frame: 753, cost_used: 0, event_name: 'セイアEX開始', remaining_cost_points: 1701036, overflow_cost: 0.5, note: ['警告, "注意"'] },
+    { frame: 968, cost_used: 6, event_name: 'ミカ', is_auto: true, remaining_cost_points: 600000, note: [] }
+  ]
+};
+
+test('既定の出力形式が登録されている', () => {
+  assert.deepStrictEqual(listTimelineRenderers().map(renderer => renderer.name), ['text', 'csv', 'markdown', 'discord', 'compact']);
+  assert.throws(() => renderTimeline('unknown', RENDER_TIMELINE_JSON), /不明な出力形式です/);
+});
+
+test('CSVはフレーム・時間・コストの列を持ち、カンマ・引用符を含む値をエスケープする', () => {
+  const lines = renderTimeline('csv', RENDER_TIMELINE_JSON, { time_decimals: 1 }).split('\n');
+  assert.strictEqual(lines[0], 'frame,time,event,auto,cost_used,cost_timing,remaining_cost,overflow_cost,notes');
+  assert.strictEqual(lines[2], '239,2:52.0,水着セイア,0,3,3.0,0.0,0.0,');
+  assert.strictEqual(lines[3], '753,2:34.9,セイアEX開始,0,0,5.7,5.7,0.5,"警告, ""注意"""');
+});
+
+test('オプションで時間の向き・あふれたコスト・警告の表示を切り替える', () => {
+  const options = { time_format: 'forward', show_overflow: false, show_notes: false };
+  assert.strictEqual(renderTimeline('markdown', RENDER_TIMELINE_JSON, options).split('\n')[3],
+    '| 0:07.967 | 水着セイア | 3 | 3.0 | 0.0 |');
+  assert.strictEqual(renderTimeline('compact', RENDER_TIMELINE_JSON, { time_decimals: 0 }),
+    '2:52 水着セイア\n2:28 AUTO ミカ');
+
+  // text形式も同じオプションを使用する
+  const text_lines = renderTimeline('text', RENDER_TIMELINE_JSON, { ...options, time_decimals: 1 }).split('\n');
+  assert.strictEqual(text_lines[4], '00:25.1 [5.7] セイアEX開始 残:5.7');
+  assert.strictEqual(renderTimeline('text', RENDER_TIMELINE_JSON).split('\n')[4],
+    '02:34.900 [5.7] セイアEX開始 残:5.7 溢:0.5 [警告: 警告, "注意"]');
+});
+
+test('Discord形式は全角文字の幅を考慮して列を揃える', () => {
+  const lines = renderTimeline('discord', RENDER_TIMELINE_JSON, { show_notes: false }).split('\n');
+  assert.strictEqual(lines[0], '```');
+  assert.strictEqual(lines[2], '2:52.033 [3.0] 水着セイア    3');
+  assert.strictEqual(lines[4], '2:27.733 [8.0] AUTO ミカ     6');
+  assert.strictEqual(lines[5], '```');
+});
+
+test('コストの即時増減はEXの使用と区別して符号付きで表示する', () => {
+  const timeline_json = {
+    metadata: RENDER_TIMELINE_JSON.metadata,
+    timeline: [
+      ...RENDER_TIMELINE_JSON.timeline.slice(0, 2),
+      { frame: 900, cost_used: 0, event_name: 'コスト-3（ボス）', remaining_cost_points: 300000, cost_change: -3, note: [] }
+    ]
+  };
+
+  assert.match(generateTimelineNew(timeline_json).text, /02:30\.000 \[1\.0\] コスト-3（ボス） 増減:-3\.0 残:1\.0$/);
+  const csv = renderTimeline('csv', timeline_json).split('\n');
+  assert.strictEqual(csv[0], 'frame,time,event,auto,cost_used,cost_timing,remaining_cost,cost_change,overflow_cost,notes');
+  assert.strictEqual(csv[3], '900,2:30.000,コスト-3（ボス）,0,0,1.0,1.0,-3.0,0.0,');
+  assert.strictEqual(csv[2], '239,2:52.033,水着セイア,0,3,3.0,0.0,,0.0,');
+  // EXの使用のみの出力には含めない
+  assert.strictEqual(renderTimeline('compact', timeline_json), '2:52.033 水着セイア');
+});
+
+test('独自の出力形式を登録できる', () => {
+  registerTimelineRenderer('event-names', {
+    label: 'イベント名のみ',
+    render: (timeline_json, options) => timeline_json.timeline.map(event => event.event_name).join(options.separator)
+  });
+  assert.strictEqual(renderTimeline('event-names', RENDER_TIMELINE_JSON, { separator: '/' }), '戦闘開始/水着セイア/セイアEX開始/ミカ');
+  assert.strictEqual(listTimelineRenderers().find(renderer => renderer.name === 'event-names').extension, 'txt');
+});
@@ -0,0 +1,65 @@
+/**
+ * CLI（tl-cli.js）の標準出力・標準エラー出力のテスト
+ *
+ * 【実行方法】
+ *   node --test tl-assistant/tests/
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { spawnSync } = require('node:child_process');
+
+const CLI_PATH = path.join(__dirname, '..', 'tl-cli.js');
+
+/**
+ * TL文字列を一時ファイルに書き出してCLIを実行する
+ * @param {string} text - TL文字列
+ * @param {Array<string>} args - ファイル名の前に渡す引数
+ * @returns {Object} spawnSyncの結果（stdout, stderrは文字列）
+ */
+function runCli(text, args = []) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tl-cli-test-'));
+  const file = path.join(dir, 'input.txt');
+  fs.writeFileSync(file, text);
+  try {
+    return { file, ...spawnSync(process.execPath, [CLI_PATH, ...args, file], { encoding: 'utf8', timeout: 60000 }) };
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+test('--verboseでない場合、標準エラー出力は診断情報のみとなる（モジュールの警告を出力しない）', () => {
+  const result = runCli('#nolabel セイア 3\n2:40 ミカ 1\n[1]ハレ 2\n2:50 キサキ 3', ['-f', 'json']);
+
+  assert.strictEqual(result.status, 0);
+  JSON.parse(result.stdout);
+  const lines = result.stderr.split('\n').filter(line => line !== '');
+  assert.deepStrictEqual(lines.map(line => line.slice(result.file.length + 1).split(':')[0]), ['1', '1', '3', '4']);
+  assert.ok(lines.every(line => line.startsWith(`${result.file}:`)), result.stderr);
+});
+
+test('ヘルプの出力形式の一覧は登録されたレンダラーと-fで受け付ける形式から生成する', () => {
+  const original_log = console.log;
+  console.log = () => {};
+  const { formatUsage } = require('../tl-cli.js');
+  const TimelineFormatter = require('../timeline-formatter.js');
+  console.log = original_log;
+  TimelineFormatter.registerTimelineRenderer('test-format', { label: 'テスト用の形式', extension: 'test.txt', render: () => '' });
+
+  const usage = formatUsage(TimelineFormatter);
+  for (const name of ['text', 'csv', 'markdown', 'discord', 'compact', 'html', 'json', 'tl', 'svg']) {
+    assert.match(usage, new RegExp(`^ +${name} +\\S`, 'm'), name);
+  }
+  assert.match(usage, /^ +test-format +テスト用の形式$/m);
+  assert.match(usage, /--decimals <n> +\S*test-format\S*の時間の小数点以下の桁数/);
+
+  // 不明な形式のエラーも同じ一覧を示す
+  const result = runCli('[3]水着セイア', ['-f', 'unknown']);
+  assert.strictEqual(result.status, 2);
+  assert.match(result.stderr, /text, csv, markdown, discord, compact, html, json, tl, svg/);
+});
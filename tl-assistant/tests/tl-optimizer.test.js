@@ -0,0 +1,110 @@
+/**
+ * EXのタイミングの探索（tl-optimizer.js）のテスト
+ *
+ * 【実行方法】
+ *   node --test tl-assistant/tests/
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+// 各モジュールのログ出力を抑制
+console.log = () => {};
+console.warn = () => {};
+
+const { createInputJSON } = require('../input-processor.js');
+const { TimelineProcessor } = require('../tl-editor.js');
+const { parseAfterConstraint, optimizeTimeline } = require('../tl-optimizer.js');
+const { BUFF_DATA } = require('../buffs.js');
+const { DEFAULT_SETTINGS } = require('../tl-cli.js');
+
+/**
+ * TL文字列を処理し、入力行のフレームとtimeline_jsonを返す
+ * @param {string} text - TL文字列
+ * @returns {Object} { frames, timeline_json }
+ */
+function runTimeline(text) {
+  const rows = createInputJSON(text, DEFAULT_SETTINGS);
+  const timeline_json = new TimelineProcessor({ timeline: rows }, DEFAULT_SETTINGS, BUFF_DATA).createTimelineJSON();
+  return { frames: rows.map(row => row.frame), timeline_json };
+}
+
+/**
+ * TL文字列を処理し、戦闘終了までにあふれたコストの累計を返す
+ * @param {string} text - TL文字列
+ * @param {Object} settings - 設定
+ * @returns {number} あふれたコスト
+ */
+function battleEndOverflowCost(text, settings) {
+  const processor = new TimelineProcessor({ timeline: createInputJSON(text, settings) }, settings, BUFF_DATA);
+  processor.createTimelineJSON();
+  const battle_end_frame = 180 * 30;
+  return processor.getCostTrace(battle_end_frame).at(battle_end_frame).overflow_points / 300000;
+}
+
+test('「#ラベル+秒数」の制約をフレーム数に変換する', () => {
+  assert.deepStrictEqual(parseAfterConstraint('#s1+5'), { label: 's1', offset_frames: 150 });
+  assert.deepStrictEqual(parseAfterConstraint('#s1 - 0.5'), { label: 's1', offset_frames: -15 });
+  assert.deepStrictEqual(parseAfterConstraint('#s1'), { label: 's1', offset_frames: 0 });
+  assert.strictEqual(parseAfterConstraint('s1+5'), null);
+});
+
+test('制約がない場合はコストが溜まった時点で使用し、コストタイミングで書いたTLと同じフレームとなる', () => {
+  const plan = { actions: [{ name: '水着セイア' }, { name: 'ミカ' }, { name: '水着ホシノ' }] };
+  const result = optimizeTimeline(plan, DEFAULT_SETTINGS, BUFF_DATA, { objective: 'finish' });
+
+  assert.deepStrictEqual(result.frames, runTimeline('[3]水着セイア\n[6]ミカ\n[5]水着ホシノ').frames);
+  assert.strictEqual(result.text.split('\n')[0], '2:52.033 水着セイア 3');
+});
+
+test('ラベルからの時間・最も早い時間の制約を満たし、出力したTLは同じタイムラインとなる', () => {
+  const plan = {
+    actions: [
+      { name: '水着セイア', label: 's1' },
+      { name: 'ミカ', earliest: '2:45' },
+      { name: '水着ホシノ', after: '#s1+60' },
+      { name: 'ミカ', auto: true }
+    ]
+  };
+  const result = optimizeTimeline(plan, DEFAULT_SETTINGS, BUFF_DATA);
+  const [seia, mika] = result.frames;
+
+  assert.ok(mika >= 15 * 30);
+  assert.ok(result.frames[2] >= seia + 60 * 30);
+  assert.match(result.text, /^\S+ AUTO ミカ 6$/m);
+
+  // 出力したTLを処理した結果と一致する
+  const processed = runTimeline(result.text);
+  assert.deepStrictEqual(processed.frames, result.frames);
+  assert.strictEqual(result.overflow_cost, battleEndOverflowCost(result.text, DEFAULT_SETTINGS));
+});
+
+test('あふれたコストは最後の行動の後を含む戦闘終了（既定値180秒）までの累計とする', () => {
+  const settings = { ...DEFAULT_SETTINGS, battle_time: undefined };
+  const result = optimizeTimeline({ actions: [{ name: 'ミカ' }] }, settings, BUFF_DATA);
+  const last_action_overflow = runTimeline(result.text).timeline_json.timeline
+    .reduce((sum, event) => sum + (event.overflow_cost || 0), 0);
+
+  assert.strictEqual(result.overflow_cost, battleEndOverflowCost(result.text, settings));
+  assert.ok(result.overflow_cost > last_action_overflow);
+});
+
+test('headerに分岐がある場合は、行動が属する最後の分岐を評価する', () => {
+  const plan = { header: ['[3]水着セイア', '@分岐 A', '[5]水着ホシノ', '@分岐 B'], actions: [{ name: 'ミカ' }] };
+  const result = optimizeTimeline(plan, DEFAULT_SETTINGS, BUFF_DATA, { objective: 'finish' });
+
+  assert.strictEqual(result.branch, 'B');
+  assert.deepStrictEqual(result.timeline_json.timeline.slice(2).map(event => event.event_name), ['水着セイア', 'ミカ']);
+});
+
+test('制約を満たせない場合・プランが不正な場合はエラーとする', () => {
+  assert.throws(() => optimizeTimeline({ actions: [{ name: 'ミカ', latest: '2:59' }] }, DEFAULT_SETTINGS, BUFF_DATA),
+    /行動1（ミカ）の制約を満たすタイミングが見つかりません/);
+  assert.throws(() => optimizeTimeline({ actions: [{ name: 'ミカ', after: '#none+1' }] }, DEFAULT_SETTINGS, BUFF_DATA),
+    /ラベル #none が見つかりません/);
+  assert.throws(() => optimizeTimeline({ actions: [] }, DEFAULT_SETTINGS, BUFF_DATA), /actions/);
+  assert.throws(() => optimizeTimeline({ actions: [{ name: 'ミカ' }] }, DEFAULT_SETTINGS, BUFF_DATA, { objective: 'damage' }),
+    /不明な評価の基準です/);
+});
@@ -0,0 +1,302 @@
+/**
+ * Timeline Chart
+ * timeline_json からコストの推移とバフ区間のグラフ（SVG）を生成
+ *
+ * 【グラフの内容】
+ * - 上段: コストの推移（折れ線）、最大コスト（赤の破線）、最大コストであふれている区間（赤の網掛け）、
+ *         EXの使用（使用直前のコストの位置の丸印）、撤退（灰色の縦線）
+ * - 下段: additional_eventsのバフ区間（ラジエーター過負荷などのギミックの区間を含む）をbuff_targetごとの横棒で表示
+ * 各要素には<title>で名前・時間を付けているため、ブラウザではマウスを重ねると表示される
+ *
+ * 【コストの推移の計算】
+ * timelineの各イベントの直後のコスト（remaining_cost_points）から、
+ * 次のイベントまではそのイベントの総コスト回復力（total_cost_recovery）で一定に回復するものとして計算する
+ * （TimelineProcessorのaddEventToTimelineと同じ計算）
+ *
+ * 【使用方法】
+ * const svg = TimelineChart.renderTimelineChartSVG(timeline_json, { width: 960 });
+ * document.getElementById('timelineChart').innerHTML = svg;
+ */
+
+(function() {
+  'use strict';
+
+  console.log('timeline-chart.js: スクリプト開始');
+
+  // コストポイント変換定数
+  const COST_POINT_UNIT = 30 * 10000;  // コスト1.0 = 300,000ポイント
+  const FPS = 30;
+
+  /**
+   * グラフのオプションの既定値
+   * time_format, battle_timeがnullの場合はtimeline_jsonの設定（metadata.settings）を使用する
+   */
+  const DEFAULT_CHART_OPTIONS = {
+    width: 960,             // 全体の幅（px）
+    cost_height: 220,       // コストの推移の高さ（px）
+    lane_height: 18,        // バフ区間1行の高さ（px）
+    label_width: 110,       // 左側のラベルの幅（px）
+    tick_seconds: 10,       // 時間の目盛りの間隔（秒）
+    time_format: null,      // 目盛りの時間の向き（'backward': 残り時間, 'forward': 経過時間）
+    battle_time: null       // 戦闘時間（秒）
+  };
+
+  /**
+   * グラフの色
+   */
+  const CHART_COLORS = {
+    cost_line: '#4f46e5',
+    max_cost: '#dc2626',
+    overflow: 'rgba(220, 38, 38, 0.2)',
+    ex_marker: '#f59e0b',
+    retreat: '#6b7280',
+    buff_bar: '#10b981',
+    debuff_bar: '#ef4444',
+    gimmick_bar: '#0ea5e9',
+    grid: '#e5e7eb',
+    text: '#374151'
+  };
+
+  /**
+   * SVGのテキスト・属性用にエスケープする
+   * @param {*} value - 値
+   * @returns {string} エスケープした文字列
+   */
+  function escapeSvg(value) {
+    return String(value)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+
+  /**
+   * 目盛り・ツールチップ用の時間表記（m:ss.fff）
+   * @param {number} frame - 経過フレーム数
+   * @param {Object} options - 解決済みのオプション
+   * @returns {string} 時間表記
+   */
+  function formatChartTime(frame, options) {
+    const elapsed = frame / FPS;
+    const seconds = Math.max(0, options.time_format === 'backward' ? options.battle_time - elapsed : elapsed);
+    const totalMilliseconds = Math.round(seconds * 1000);
+    const minutes = Math.floor(totalMilliseconds / 60000);
+    return `${minutes}:${((totalMilliseconds % 60000) / 1000).toFixed(3).padStart(6, '0')}`;
+  }
+
+  /**
+   * コストの推移を計算する
+   * @param {Object} timelineJSON - タイムラインのJSONデータ
+   * @param {number} endFrame - 計算する最後のフレーム
+   * @returns {Object} { points: [{frame, cost_points}], overflow_intervals: [{start_frame, end_frame}], ex_markers: [{frame, cost_points, event}],
+   *   max_cost_points: 最大コストの最大値, max_cost_steps: [{start_frame, end_frame, max_cost_points}] }
+   *   最大コストはフェーズの切り替え（metadata.phases）で変わる
+   */
+  function buildCostSeries(timelineJSON, endFrame) {
+    const settings = (timelineJSON.metadata && timelineJSON.metadata.settings) || {};
+    const initialMaxCostPoints = settings.max_cost_points || (settings.max_cost || 10) * COST_POINT_UNIT;
+    const phases = ((timelineJSON.metadata && timelineJSON.metadata.phases) || []).filter(phase => phase.max_cost !== null);
+    const maxCostPointsAt = frame => phases
+      .filter(phase => phase.start_frame <= frame)
+      .reduce((points, phase) => phase.max_cost * COST_POINT_UNIT, initialMaxCostPoints);
+    const timeline = timelineJSON.timeline || [];
+
+    const points = [];
+    const overflowIntervals = [];
+    const exMarkers = [];
+
+    for (let i = 0; i < timeline.length; i++) {
+      const event = timeline[i];
+      const costPoints = event.remaining_cost_points || 0;
+      const maxCostPoints = maxCostPointsAt(event.frame);
+
+      // EXの使用は使用直前のコストの位置に表示する
+      if (event.cost_used > 0) {
+        exMarkers.push({
+          frame: event.frame,
+          cost_points: Math.min(maxCostPoints, costPoints + event.cost_used * COST_POINT_UNIT),
+          event: event
+        });
+      }
+      points.push({ frame: event.frame, cost_points: costPoints });
+
+      // 次のイベント（最後のイベントの場合はendFrame）までの回復
+      const nextFrame = i + 1 < timeline.length ? timeline[i + 1].frame : Math.max(event.frame, endFrame);
+      const recovery = event.total_cost_recovery || 0;
+      if (nextFrame <= event.frame) {
+        continue;
+      }
+
+      const reachedPoints = costPoints + recovery * (nextFrame - event.frame);
+      if (reachedPoints >= maxCostPoints && recovery > 0) {
+        // 最大コストに到達した時点から次のイベントまではあふれている
+        const maxFrame = costPoints >= maxCostPoints ? event.frame : event.frame + (maxCostPoints - costPoints) / recovery;
+        points.push({ frame: maxFrame, cost_points: maxCostPoints });
+        points.push({ frame: nextFrame, cost_points: maxCostPoints });
+        if (nextFrame > maxFrame) {
+          overflowIntervals.push({ start_frame: maxFrame, end_frame: nextFrame });
+        }
+      } else {
+        points.push({ frame: nextFrame, cost_points: Math.min(maxCostPoints, reachedPoints) });
+      }
+    }
+
+    const maxCostSteps = [initialMaxCostPoints, ...phases.map(phase => phase.max_cost * COST_POINT_UNIT)].map((points, index) => ({
+      start_frame: index === 0 ? 0 : phases[index - 1].start_frame,
+      end_frame: index < phases.length ? phases[index].start_frame : endFrame,
+      max_cost_points: points
+    }));
+
+    return {
+      points,
+      overflow_intervals: overflowIntervals,
+      ex_markers: exMarkers,
+      max_cost_points: Math.max(...maxCostSteps.map(step => step.max_cost_points)),
+      max_cost_steps: maxCostSteps
+    };
+  }
+
+  /**
+   * バフ区間をbuff_targetごとの行にまとめる（撤退・フェーズの切り替え・コストの即時増減は除く）
+   * @param {Array} additionalEvents - timeline_json.additional_events
+   * @param {number} endFrame - グラフの最後のフレーム（これより後は切り詰める）
+   * @returns {Array<Object>} { label, bars: [{start_frame, end_frame, event}] } の配列（最初に開始した順）
+   */
+  function buildBuffLanes(additionalEvents, endFrame) {
+    const lanes = new Map();
+    for (const event of additionalEvents || []) {
+      if (event.event_kind === 'retreat' || event.event_kind === 'phase' || event.event_kind === 'cost_change' || !(event.end_frame > event.start_frame) || event.start_frame >= endFrame) {
+        continue;
+      }
+      const target = event.buff_target;
+      const label = (!target || target === 'NA' || target.toLowerCase() === 'all') ? '全体' : target;
+      if (!lanes.has(label)) {
+        lanes.set(label, { label: label, first_frame: event.start_frame, bars: [] });
+      }
+      const lane = lanes.get(label);
+      lane.first_frame = Math.min(lane.first_frame, event.start_frame);
+      lane.bars.push({ start_frame: event.start_frame, end_frame: Math.min(event.end_frame, endFrame), event: event });
+    }
+    return Array.from(lanes.values()).sort((a, b) => a.first_frame - b.first_frame);
+  }
+
+  /**
+   * timeline_jsonからコストの推移とバフ区間のグラフ（SVG文字列）を生成
+   * @param {Object} timelineJSON - タイムラインのJSONデータ
+   * @param {Object} options - オプション（DEFAULT_CHART_OPTIONS参照）
+   * @returns {string} SVG文字列
+   */
+  function renderTimelineChartSVG(timelineJSON, options = {}) {
+    if (!timelineJSON || !timelineJSON.timeline) {
+      throw new Error('無効なタイムラインデータです');
+    }
+
+    const settings = (timelineJSON.metadata && timelineJSON.metadata.settings) || {};
+    const opts = { ...DEFAULT_CHART_OPTIONS, ...options };
+    opts.time_format = opts.time_format || settings.time_display_format || 'backward';
+    opts.battle_time = opts.battle_time || settings.battle_time || 180;
+
+    // 表示するフレームの範囲：最後のイベントまたはバフの終了まで（戦闘時間を上限とする）
+    const battleFrames = opts.battle_time * FPS;
+    const finalFrame = (timelineJSON.metadata && timelineJSON.metadata.final_frame) ||
+      timelineJSON.timeline.reduce((max, event) => Math.max(max, event.frame || 0), 0);
+    const lastBuffFrame = (timelineJSON.additional_events || [])
+      .filter(event => event.event_kind !== 'retreat' && event.event_kind !== 'phase' && event.event_kind !== 'cost_change')
+      .reduce((max, event) => Math.max(max, Math.min(event.end_frame, battleFrames)), 0);
+    const endFrame = Math.max(finalFrame, lastBuffFrame, FPS);
+
+    const series = buildCostSeries(timelineJSON, endFrame);
+    const lanes = buildBuffLanes(timelineJSON.additional_events, endFrame);
+
+    // レイアウト
+    const top = 12;
+    const plotLeft = opts.label_width;
+    const plotWidth = opts.width - plotLeft - 16;
+    const costBottom = top + opts.cost_height;
+    const axisHeight = 22;
+    const lanesTop = costBottom + axisHeight + 8;
+    const height = lanesTop + lanes.length * opts.lane_height + 8;
+
+    const x = (frame) => (plotLeft + (frame / endFrame) * plotWidth).toFixed(1);
+    const y = (costPoints) => (costBottom - (costPoints / series.max_cost_points) * opts.cost_height).toFixed(1);
+
+    const parts = [];
+    parts.push(`<svg xmlns="http://www.w3.org/2000/svg" width="${opts.width}" height="${height}" viewBox="0 0 ${opts.width} ${height}" font-family="sans-serif" font-size="11">`);
+
+    // コストの目盛り（1コストごと）
+    const maxCost = series.max_cost_points / COST_POINT_UNIT;
+    for (let cost = 0; cost <= maxCost; cost++) {
+      const yPos = y(cost * COST_POINT_UNIT);
+      parts.push(`<line x1="${plotLeft}" y1="${yPos}" x2="${plotLeft + plotWidth}" y2="${yPos}" stroke="${CHART_COLORS.grid}"/>`);
+      parts.push(`<text x="${plotLeft - 6}" y="${yPos}" text-anchor="end" dominant-baseline="middle" fill="${CHART_COLORS.text}">${cost}</text>`);
+    }
+
+    // 時間の目盛り
+    const tickFrames = opts.tick_seconds * FPS;
+    for (let frame = 0; frame <= endFrame; frame += tickFrames) {
+      parts.push(`<line x1="${x(frame)}" y1="${top}" x2="${x(frame)}" y2="${costBottom}" stroke="${CHART_COLORS.grid}"/>`);
+      parts.push(`<text x="${x(frame)}" y="${costBottom + 14}" text-anchor="middle" fill="${CHART_COLORS.text}">${formatChartTime(frame, opts).replace(/\.\d+$/, '')}</text>`);
+    }
+
+    // あふれている区間
+    for (const interval of series.overflow_intervals) {
+      const title = `コストあふれ ${formatChartTime(interval.start_frame, opts)} ～ ${formatChartTime(interval.end_frame, opts)}（${((interval.end_frame - interval.start_frame) / FPS).toFixed(3)}秒）`;
+      parts.push(`<rect x="${x(interval.start_frame)}" y="${top}" width="${(x(interval.end_frame) - x(interval.start_frame)).toFixed(1)}" height="${opts.cost_height}" fill="${CHART_COLORS.overflow}"><title>${escapeSvg(title)}</title></rect>`);
+    }
+
+    // 最大コスト（フェーズの切り替えで変わる場合は区間ごと）
+    for (const step of series.max_cost_steps) {
+      parts.push(`<line x1="${x(step.start_frame)}" y1="${y(step.max_cost_points)}" x2="${x(step.end_frame)}" y2="${y(step.max_cost_points)}" stroke="${CHART_COLORS.max_cost}" stroke-dasharray="6 3"/>`);
+    }
+
+    // 撤退・フェーズの切り替え
+    for (const event of timelineJSON.additional_events || []) {
+      if ((event.event_kind === 'retreat' || event.event_kind === 'phase') && event.start_frame <= endFrame) {
+        parts.push(`<line x1="${x(event.start_frame)}" y1="${top}" x2="${x(event.start_frame)}" y2="${costBottom}" stroke="${CHART_COLORS.retreat}" stroke-dasharray="2 2"><title>${escapeSvg(`${formatChartTime(event.start_frame, opts)} ${event.event_name}`)}</title></line>`);
+      }
+    }
+
+    // コストの推移
+    const polyline = series.points.map(point => `${x(point.frame)},${y(point.cost_points)}`).join(' ');
+    parts.push(`<polyline points="${polyline}" fill="none" stroke="${CHART_COLORS.cost_line}" stroke-width="1.5"/>`);
+
+    // EXの使用
+    for (const marker of series.ex_markers) {
+      const title = `${formatChartTime(marker.frame, opts)} ${marker.event.is_auto ? 'AUTO ' : ''}${marker.event.event_name} ${marker.event.cost_used}コス`;
+      parts.push(`<circle cx="${x(marker.frame)}" cy="${y(marker.cost_points)}" r="3.5" fill="${CHART_COLORS.ex_marker}" stroke="white"><title>${escapeSvg(title)}</title></circle>`);
+    }
+
+    // バフ区間
+    lanes.forEach((lane, index) => {
+      const laneTop = lanesTop + index * opts.lane_height;
+      parts.push(`<text x="${plotLeft - 6}" y="${laneTop + opts.lane_height / 2}" text-anchor="end" dominant-baseline="middle" fill="${CHART_COLORS.text}">${escapeSvg(lane.label)}</text>`);
+      for (const bar of lane.bars) {
+        const color = bar.event.gimmick_key ? CHART_COLORS.gimmick_bar :
+          (bar.event.buff_amount < 0 ? CHART_COLORS.debuff_bar : CHART_COLORS.buff_bar);
+        const title = `${bar.event.event_name}（${bar.event.buff_amount}） ${formatChartTime(bar.start_frame, opts)} ～ ${formatChartTime(bar.end_frame, opts)}`;
+        parts.push(`<rect x="${x(bar.start_frame)}" y="${laneTop + 2}" width="${(x(bar.end_frame) - x(bar.start_frame)).toFixed(1)}" height="${opts.lane_height - 4}" rx="2" fill="${color}" fill-opacity="0.75"><title>${escapeSvg(title)}</title></rect>`);
+      }
+    });
+
+    parts.push('</svg>');
+    return parts.join('\n');
+  }
+
+  // エクスポート
+  const TimelineChart = {
+    DEFAULT_CHART_OPTIONS,
+    buildCostSeries,
+    buildBuffLanes,
+    renderTimelineChartSVG
+  };
+
+  // モジュールとしてエクスポート
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TimelineChart;
+  } else if (typeof window !== 'undefined') {
+    window.TimelineChart = TimelineChart;
+  }
+
+  console.log('timeline-chart.js: 初期化完了');
+
+})();
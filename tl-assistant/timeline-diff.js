@@ -0,0 +1,300 @@
+/**
+ * Timeline Diff
+ * 2つのTLの処理結果（input_json・timeline_json）を比較し、対応するEXの使用ごとの差と
+ * どの区間でコストを得た・失ったかのまとめを生成
+ *
+ * 【イベントの対応付け】
+ * 入力行のイベント（EXの使用など）を、両方のTLにあるラベルはラベルで、それ以外はイベント名で
+ * 最長共通部分列（LCS）により順に対応付ける（順序の入れ替わった行・片方にしかない行は対応なしとなる）
+ *
+ * 【差の値】（すべて「比較 - 基準」）
+ * - frame_delta: 使用したフレームの差（正の場合は比較の方が遅い）
+ * - cost_delta_points: 使用直前のコストポイントの差
+ * - overflow_delta_points: 戦闘開始からそのイベントまでにあふれたコストポイントの累計の差
+ * 対応付けたイベントの間の区間ごとにあふれたコストの差の増減を求め、
+ * 比較の方がコストを失った（多くあふれた）区間・得た区間をまとめる
+ *
+ * 【使用方法】
+ * const diff = TimelineDiff.diffTimelines(
+ *   { input_json: base_input_json, timeline_json: base_timeline_json },
+ *   { input_json: target_input_json, timeline_json: target_timeline_json });
+ * TimelineDiff.formatTimelineDiff(diff, { base_name: '参考TL', target_name: '自分のTL' });
+ */
+
+(function() {
+  'use strict';
+
+  console.log('timeline-diff.js: スクリプト開始');
+
+  // コストポイント変換定数
+  const COST_POINT_UNIT = 30 * 10000;  // コスト1.0 = 300,000ポイント
+  const FPS = 30;
+
+  /**
+   * 比較結果の表示のオプションの既定値
+   * time_format, battle_timeがnullの場合は基準のtimeline_jsonの設定（metadata.settings）を使用する
+   */
+  const DEFAULT_DIFF_OPTIONS = {
+    base_name: '基準',      // 基準のTLの表示名
+    target_name: '比較',    // 比較するTLの表示名
+    time_format: null,      // 時間の向き（'backward': 残り時間, 'forward': 経過時間）
+    battle_time: null,      // 戦闘時間（秒）
+    max_sections: 5         // まとめに表示する区間の最大数
+  };
+
+  // 時間表記・表示幅はtimeline-formatter.jsと同じものを使用
+  const DiffFormatter = (() => {
+    if (typeof module !== 'undefined' && module.exports) {
+      // Node.js環境
+      return require('./timeline-formatter.js');
+    } else if (typeof window !== 'undefined' && window.TimelineFormatter) {
+      // ブラウザ環境
+      return window.TimelineFormatter;
+    } else {
+      throw new Error('timeline-formatter.js が読み込まれていません。先に timeline-formatter.js を読み込んでください。');
+    }
+  })();
+
+  /**
+   * 処理済みの入力行に対応するtimelineのイベントを比較用の値にする
+   * @param {Object} input_json - TimelineProcessorで処理済みのinput_json（各行にtimeline_indexが設定されたもの）
+   * @param {Object} timeline_json - TimelineProcessor.createTimelineJSON()の結果
+   * @returns {Array<Object>} { label, event_name, frame, is_auto, cost_used, cost_points, overflow_points, line_number }
+   *   cost_points: 使用直前のコストポイント、overflow_points: そのイベントまでにあふれたコストポイントの累計
+   */
+  function collectDiffEvents(input_json, timeline_json) {
+    if (!input_json || !Array.isArray(input_json.timeline) || !timeline_json || !Array.isArray(timeline_json.timeline)) {
+      throw new Error('無効なタイムラインデータです');
+    }
+
+    // timelineの各イベントまでにあふれたコストポイントの累計
+    let overflow_points = 0;
+    const cumulative_overflow = timeline_json.timeline.map(event => {
+      overflow_points += Math.round((event.overflow_cost || 0) * COST_POINT_UNIT);
+      return overflow_points;
+    });
+
+    return input_json.timeline
+      .filter(row => typeof row.timeline_index === 'number' && timeline_json.timeline[row.timeline_index])
+      .map(row => {
+        const event = timeline_json.timeline[row.timeline_index];
+        const cost_used = event.cost_used || 0;
+        return {
+          label: row.label ? row.label.trim() : null,
+          event_name: event.event_name,
+          frame: event.frame,
+          is_auto: !!event.is_auto,
+          cost_used: cost_used,
+          cost_points: event.remaining_cost_points + Math.round(cost_used * COST_POINT_UNIT),
+          overflow_points: cumulative_overflow[row.timeline_index],
+          line_number: row.line_number || null
+        };
+      });
+  }
+
+  /**
+   * 2つのイベント列を最長共通部分列で対応付ける
+   * 両方にあるラベルはラベルで、それ以外はイベント名で一致を判定する
+   * @param {Array<Object>} base_events - 基準のイベント（collectDiffEventsの結果）
+   * @param {Array<Object>} target_events - 比較するイベント
+   * @returns {Array<Object>} { base, target } の配列（対応なしの側はnull、両方の順序を保つ）
+   */
+  function alignDiffEvents(base_events, target_events) {
+    const base_labels = new Set(base_events.map(event => event.label).filter(Boolean));
+    const shared_labels = new Set(target_events.map(event => event.label).filter(label => label && base_labels.has(label)));
+    const keyOf = event => shared_labels.has(event.label) ? `#${event.label}` : `@${event.event_name}`;
+    const base_keys = base_events.map(keyOf);
+    const target_keys = target_events.map(keyOf);
+
+    // lengths[i][j]: base_keys[i..] と target_keys[j..] の最長共通部分列の長さ
+    const n = base_keys.length;
+    const m = target_keys.length;
+    const lengths = Array.from({ length: n + 1 }, () => new Array(m + 1).fill(0));
+    for (let i = n - 1; i >= 0; i--) {
+      for (let j = m - 1; j >= 0; j--) {
+        lengths[i][j] = base_keys[i] === target_keys[j] ?
+          lengths[i + 1][j + 1] + 1 :
+          Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+      }
+    }
+
+    const pairs = [];
+    let i = 0;
+    let j = 0;
+    while (i < n || j < m) {
+      if (i < n && j < m && base_keys[i] === target_keys[j]) {
+        pairs.push({ base: base_events[i++], target: target_events[j++] });
+      } else if (j >= m || (i < n && lengths[i + 1][j] >= lengths[i][j + 1])) {
+        pairs.push({ base: base_events[i++], target: null });
+      } else {
+        pairs.push({ base: null, target: target_events[j++] });
+      }
+    }
+    return pairs;
+  }
+
+  /**
+   * 2つのTLの処理結果を比較する
+   * @param {Object} base - 基準のTL { input_json, timeline_json }
+   * @param {Object} target - 比較するTL { input_json, timeline_json }
+   * @returns {Object} { entries, sections, summary, settings }
+   *   entries: { base, target, frame_delta, cost_delta_points, overflow_delta_points }（対応なしの場合の差はnull）
+   *   sections: 対応付けたイベントの間の区間 { from, to, frame_change, overflow_change_points }
+   *   summary: { matched_count, base_only_count, target_only_count, final_frame_delta,
+   *              base_overflow_points, target_overflow_points }
+   *   settings: 基準のtimeline_jsonの設定（metadata.settings、時間の表示に使用）
+   *   branches: { base, target } 比較した分岐（metadata.branch、分岐のないTLではnull）
+   */
+  function diffTimelines(base, target) {
+    const pairs = alignDiffEvents(
+      collectDiffEvents(base.input_json, base.timeline_json),
+      collectDiffEvents(target.input_json, target.timeline_json)
+    );
+
+    const entries = pairs.map(pair => {
+      const matched = pair.base && pair.target;
+      return {
+        base: pair.base,
+        target: pair.target,
+        frame_delta: matched ? pair.target.frame - pair.base.frame : null,
+        cost_delta_points: matched ? pair.target.cost_points - pair.base.cost_points : null,
+        overflow_delta_points: matched ? pair.target.overflow_points - pair.base.overflow_points : null
+      };
+    });
+
+    // 対応付けたイベントの間の区間ごとの差の増減（最初の区間は戦闘開始から）
+    const sections = [];
+    let previous = null;
+    for (const entry of entries) {
+      if (entry.frame_delta === null) {
+        continue;
+      }
+      sections.push({
+        from: previous,
+        to: entry,
+        frame_change: entry.frame_delta - (previous ? previous.frame_delta : 0),
+        overflow_change_points: entry.overflow_delta_points - (previous ? previous.overflow_delta_points : 0)
+      });
+      previous = entry;
+    }
+
+    const totalOverflowPoints = timeline_json => timeline_json.timeline
+      .reduce((sum, event) => sum + Math.round((event.overflow_cost || 0) * COST_POINT_UNIT), 0);
+
+    return {
+      entries: entries,
+      sections: sections,
+      summary: {
+        matched_count: sections.length,
+        base_only_count: entries.filter(entry => entry.base && !entry.target).length,
+        target_only_count: entries.filter(entry => !entry.base && entry.target).length,
+        final_frame_delta: previous ? previous.frame_delta : null,
+        base_overflow_points: totalOverflowPoints(base.timeline_json),
+        target_overflow_points: totalOverflowPoints(target.timeline_json)
+      },
+      settings: (base.timeline_json.metadata && base.timeline_json.metadata.settings) || {},
+      branches: {
+        base: (base.timeline_json.metadata && base.timeline_json.metadata.branch) || null,
+        target: (target.timeline_json.metadata && target.timeline_json.metadata.branch) || null
+      }
+    };
+  }
+
+  /**
+   * 符号付きの数値表記
+   * @param {number} value - 値
+   * @param {number} decimals - 小数点以下の桁数
+   * @returns {string} 「+0.5」「-1.0」など
+   */
+  function formatSigned(value, decimals) {
+    const text = Math.abs(value).toFixed(decimals);
+    return (value < 0 && Number(text) !== 0 ? '-' : '+') + text;
+  }
+
+  /**
+   * 比較結果をテキストで出力する（等幅フォントで左右に並べた表とまとめ）
+   * @param {Object} diff - diffTimelinesの結果
+   * @param {Object} options - DEFAULT_DIFF_OPTIONS参照
+   * @returns {string} テキスト
+   */
+  function formatTimelineDiff(diff, options = {}) {
+    const opts = { ...DEFAULT_DIFF_OPTIONS, ...options };
+    // 分岐のあるTLは、表示名に比較した分岐を付ける
+    const branches = diff.branches || {};
+    if (branches.base) opts.base_name = `${opts.base_name}（分岐${branches.base}）`;
+    if (branches.target) opts.target_name = `${opts.target_name}（分岐${branches.target}）`;
+    const settings = diff.settings || {};
+    const time_settings = {
+      time_display_format: opts.time_format || settings.time_display_format || 'backward',
+      battle_time: opts.battle_time || settings.battle_time || 180
+    };
+
+    const describe = event => event ?
+      `${DiffFormatter.formatInputTime(event.frame, time_settings)} ${event.is_auto ? 'AUTO ' : ''}${event.event_name} [${(event.cost_points / COST_POINT_UNIT).toFixed(1)}]` :
+      '-';
+    const base_texts = diff.entries.map(entry => describe(entry.base));
+    const target_texts = diff.entries.map(entry => describe(entry.target));
+    const base_width = Math.max(DiffFormatter.displayWidth(opts.base_name), ...base_texts.map(DiffFormatter.displayWidth));
+    const target_width = Math.max(DiffFormatter.displayWidth(opts.target_name), ...target_texts.map(DiffFormatter.displayWidth));
+
+    const lines = [
+      `${DiffFormatter.padDisplay(opts.base_name, base_width)} | ${DiffFormatter.padDisplay(opts.target_name, target_width)} | 時間差 コスト差 あふれ差`
+    ];
+    diff.entries.forEach((entry, index) => {
+      const delta = entry.frame_delta === null ? '' :
+        `${formatSigned(entry.frame_delta / FPS, 3)}秒 ${formatSigned(entry.cost_delta_points / COST_POINT_UNIT, 1)} ${formatSigned(entry.overflow_delta_points / COST_POINT_UNIT, 1)}`;
+      lines.push(`${DiffFormatter.padDisplay(base_texts[index], base_width)} | ${DiffFormatter.padDisplay(target_texts[index], target_width)} | ${delta}`.trimEnd());
+    });
+
+    const summary = diff.summary;
+    lines.push('');
+    lines.push('【まとめ】');
+    lines.push(`対応したイベント: ${summary.matched_count}（${opts.base_name}のみ: ${summary.base_only_count}, ${opts.target_name}のみ: ${summary.target_only_count}）`);
+    if (summary.final_frame_delta !== null) {
+      const last = diff.sections[diff.sections.length - 1].to;
+      const seconds = Math.abs(summary.final_frame_delta / FPS).toFixed(3);
+      lines.push(summary.final_frame_delta === 0 ?
+        `最後に対応したイベント（${last.target.event_name}）: 同じ時間` :
+        `最後に対応したイベント（${last.target.event_name}）: ${opts.target_name}の方が${seconds}秒${summary.final_frame_delta > 0 ? '遅い' : '早い'}`);
+    }
+    const overflow_delta = summary.target_overflow_points - summary.base_overflow_points;
+    lines.push(`あふれたコストの合計: ${opts.base_name} ${(summary.base_overflow_points / COST_POINT_UNIT).toFixed(1)} / ` +
+      `${opts.target_name} ${(summary.target_overflow_points / COST_POINT_UNIT).toFixed(1)}（${formatSigned(overflow_delta / COST_POINT_UNIT, 1)}）`);
+
+    // あふれたコストの差が大きく変わった区間
+    const changed_sections = diff.sections
+      .filter(section => section.overflow_change_points !== 0)
+      .sort((a, b) => Math.abs(b.overflow_change_points) - Math.abs(a.overflow_change_points))
+      .slice(0, opts.max_sections);
+    if (changed_sections.length > 0) {
+      lines.push('コストの差が生じた区間:');
+      for (const section of changed_sections) {
+        const from_name = section.from ? section.from.target.event_name : '戦闘開始';
+        const change = Math.abs(section.overflow_change_points / COST_POINT_UNIT).toFixed(1);
+        lines.push(`  ${from_name} → ${section.to.target.event_name}: ${opts.target_name}の方が${change}コス` +
+          `${section.overflow_change_points > 0 ? '多く' : '少なく'}あふれた（時間差 ${formatSigned(section.frame_change / FPS, 3)}秒）`);
+      }
+    }
+
+    return lines.join('\n');
+  }
+
+  // エクスポート
+  const TimelineDiff = {
+    DEFAULT_DIFF_OPTIONS,
+    collectDiffEvents,
+    alignDiffEvents,
+    diffTimelines,
+    formatTimelineDiff
+  };
+
+  // モジュールとしてエクスポート
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TimelineDiff;
+  } else if (typeof window !== 'undefined') {
+    window.TimelineDiff = TimelineDiff;
+  }
+
+  console.log('timeline-diff.js: 初期化完了');
+
+})();
@@ -1,6 +1,12 @@
 /**
  * Timeline Formatter
  * timeline_json からテキスト形式のタイムラインを生成
+ * また、処理済みの入力行から再入力可能なTL（時間をすべて明示したもの）を生成する
+ * 
+ * 【出力形式の登録】
+ * 出力形式は名前付きのレンダラーとしてregisterTimelineRendererで登録し、
+ * renderTimeline(名前, timeline_json, オプション)で生成する（TL-assistant.htmlの出力形式選択・tl-cli.jsの-fで共通）
+ * 既定で text, csv, markdown, discord, compact を登録している
  */
 
 (function() {
@@ -12,23 +18,56 @@
   const COST_POINT_UNIT = 30 * 10000;  // コスト1.0 = 300,000ポイント
 
   /**
-   * 時間を mm:ss.fff 形式にフォーマット
-   * @param {number} seconds - 秒数
+   * 時間を mm:ss.fff 形式にフォーマット（分は2桁に揃え、丸めはformatClockと同じ）
+   * @param {number} seconds - 秒数（0未満は0とする）
+   * @param {number} decimals - 秒の小数点以下の桁数
    * @returns {string} フォーマットされた時間文字列
    */
-  function formatTime(seconds) {
-    if (isNaN(seconds) || seconds <= 0) {
-      return "00:00.000";
+  function formatTime(seconds, decimals = 3) {
+    const clockText = formatClock(isNaN(seconds) ? 0 : seconds, decimals);
+    return clockText.indexOf(':') < 2 ? `0${clockText}` : clockText;
+  }
+
+  /**
+   * コストの増減を符号付きでフォーマット（「+2.0」「-3.0」）
+   * @param {number} value - 増減するコスト
+   * @param {number} decimals - 小数点以下の桁数
+   * @returns {string} 符号付きの文字列
+   */
+  function formatSignedCost(value, decimals = 1) {
+    return `${value > 0 ? '+' : ''}${value.toFixed(decimals)}`;
+  }
+
+  /**
+   * 使用コストの表示（EX使用コストの軽減を適用した場合は「軽減前→軽減後」）
+   * @param {Object} event - イベントデータ（cost_used, nominal_cost_used）
+   * @returns {string} 使用コストの表示（例: "6", "6→4.5"）
+   */
+  function formatUsedCost(event) {
+    const formatCost = cost => Number.isInteger(cost) ? String(cost) : cost.toFixed(1);
+    if (typeof event.nominal_cost_used === 'number') {
+      return `${formatCost(event.nominal_cost_used)}→${formatCost(event.cost_used || 0)}`;
     }
-    
-    const minutes = Math.floor(seconds / 60);
-    const secs = seconds % 60;
-    const wholeSeconds = Math.floor(secs);
-    const milliseconds = Math.round((secs - wholeSeconds) * 1000);
-    
-    const result = `${minutes.toString().padStart(2, '0')}:${wholeSeconds.toString().padStart(2, '0')}.${milliseconds.toString().padStart(3, '0')}`;
-    
-    return result;
+    return String(Math.round(event.cost_used || 0));
+  }
+
+  /**
+   * 指定フレームで表示するタイマー
+   * 制限時間を指定したフェーズの切り替え（metadata.phasesのtimer_secondsがあるもの）より後は、
+   * そのフェーズの開始フレームから制限時間で数える（tl-editor.jsのframeOfInputTimeと対応）
+   * @param {number} frame - 経過フレーム数
+   * @param {Array<Object>} phases - metadata.phases（省略可）
+   * @param {number} battleTime - 戦闘時間（秒）
+   * @returns {Object} { baseFrame: タイマーの開始フレーム, clockSeconds: タイマーの開始時の時間 }
+   */
+  function resolvePhaseClock(frame, phases, battleTime) {
+    let clock = { baseFrame: 0, clockSeconds: battleTime };
+    for (const phase of phases || []) {
+      if (phase.timer_seconds !== null && phase.start_frame <= frame) {
+        clock = { baseFrame: phase.start_frame, clockSeconds: phase.timer_seconds };
+      }
+    }
+    return clock;
   }
 
   /**
@@ -36,13 +75,18 @@
    * @param {Object} event - イベントデータ
    * @param {number} battleTime - 戦闘時間
    * @param {string} format - 出力フォーマット ('text' | 'html')
+   * @param {Array<Object>} phases - フェーズの切り替え（metadata.phases、省略可）
+   * @param {Object} options - 表示のオプション（time_format, time_decimals, cost_decimals, show_overflow, show_notes、DEFAULT_RENDER_OPTIONS参照）
    * @returns {string} タイムライン行のテキスト
    */
-  function generateTimelineLineNew(event, battleTime, format = 'text') {
-    // フレーム数から時間を計算（30FPS前提）
-    const timeFromFrame = event.frame ? (event.frame / 30.0) : 0;
-    const remainingTime = battleTime - timeFromFrame;
-    const gameTimeText = formatTime(remainingTime);
+  function generateTimelineLineNew(event, battleTime, format = 'text', phases = [], options = DEFAULT_RENDER_OPTIONS) {
+    const costDecimals = options.cost_decimals;
+
+    // フレーム数から時間を計算（30FPS前提、経過時間の場合はタイマーの開始からの時間）
+    const clock = resolvePhaseClock(event.frame || 0, phases, battleTime);
+    const timeFromFrame = ((event.frame || 0) - clock.baseFrame) / 30.0;
+    const remainingTime = options.time_format === 'forward' ? timeFromFrame : clock.clockSeconds - timeFromFrame;
+    const gameTimeText = formatTime(remainingTime, options.time_decimals);
     
     // コストポイントからコスト値への変換
     const currentCost = event.remaining_cost_points ? (event.remaining_cost_points / COST_POINT_UNIT) : 0;
@@ -55,7 +99,7 @@
     const costTiming = usedCost > 0 ? (currentCost + usedCost) : currentCost;
     
     // 基本フォーマット: カウントダウン形式のタイム [コストタイミング] AUTO（もしあれば） イベント名
-    let line = `${gameTimeText} [${costTiming.toFixed(1)}]`;
+    let line = `${gameTimeText} [${costTiming.toFixed(costDecimals)}]`;
     
     // AUTO撃ちの場合はAUTO表示を追加
     if (event.is_auto) {
@@ -64,34 +108,43 @@
     
     line += ` ${eventName}`;
     
-    // 使用コスト表示
-    if (usedCost > 0) {
+    // 使用コスト表示（EX使用コストの軽減を適用した場合は軽減前→軽減後）
+    if (usedCost > 0 || typeof event.nominal_cost_used === 'number') {
+      if (format === 'html') {
+        line += ` ⟨${formatUsedCost(event)}⟩`;
+      } else {
+        line += ` ${formatUsedCost(event)}`;
+      }
+    }
+
+    // コストの即時増減（「コスト +2」など、EXの使用とは別に表示）
+    if (typeof event.cost_change === 'number') {
       if (format === 'html') {
-        line += ` ⟨${Math.round(usedCost)}⟩`;
+        line += ` <span style="color: green;">${formatSignedCost(event.cost_change, costDecimals)}</span>`;
       } else {
-        line += ` ${Math.round(usedCost)}`;
+        line += ` 増減:${formatSignedCost(event.cost_change, costDecimals)}`;
       }
     }
     
     // 残りコスト表示
     if (format === 'html') {
-      line += ` <span style="color: blue;">${currentCost.toFixed(1)}</span>`;
+      line += ` <span style="color: blue;">${currentCost.toFixed(costDecimals)}</span>`;
     } else {
-      line += ` 残:${currentCost.toFixed(1)}`;
+      line += ` 残:${currentCost.toFixed(costDecimals)}`;
     }
     
     // あふれたコスト表示（もしあふれたコストが>0なら）
     const overflowCost = event.overflow_cost || 0;
-    if (overflowCost > 0) {
+    if (options.show_overflow && overflowCost > 0) {
       if (format === 'html') {
-        line += ` <span style="color: red;">${overflowCost.toFixed(1)}</span>`;
+        line += ` <span style="color: red;">${overflowCost.toFixed(costDecimals)}</span>`;
       } else {
-        line += ` 溢:${overflowCost.toFixed(1)}`;
+        line += ` 溢:${overflowCost.toFixed(costDecimals)}`;
       }
     }
 
     // 警告文（note）の表示
-    if (event.note && Array.isArray(event.note) && event.note.length > 0) {
+    if (options.show_notes && event.note && Array.isArray(event.note) && event.note.length > 0) {
       for (const noteText of event.note) {
         if (format === 'html') {
           line += ` <span style="color: red; font-weight: bold;">[${noteText}]</span>`;
@@ -160,7 +213,8 @@
   /**
    * timeline_json から新フォーマットでHTML形式とテキスト形式のタイムラインを同時生成
    * @param {Object} timelineJSON - タイムラインのJSONデータ
-   * @param {Object} settings - 設定オプション
+   * @param {Object} settings - 設定オプション（battle_time、および表示のオプション time_format, time_decimals,
+   *   cost_decimals, show_overflow, show_notes。省略した項目はDEFAULT_RENDER_OPTIONSの値、時間の向きは残り時間）
    * @returns {Object} { html: string, text: string } - HTML形式とテキスト形式のタイムライン
    */
   function generateTimelineNew(timelineJSON, settings = {}) {
@@ -172,6 +226,13 @@
 
     const timeline = timelineJSON.timeline;
     const battleTime = timelineJSON.metadata?.battle_time || settings.battle_time || 180;
+    const phases = timelineJSON.metadata?.phases || [];
+    const lineOptions = { ...DEFAULT_RENDER_OPTIONS, time_format: 'backward' };
+    for (const key of Object.keys(lineOptions)) {
+      if (settings[key] !== undefined && settings[key] !== null) {
+        lineOptions[key] = settings[key];
+      }
+    }
     
     // テキスト形式用の文字列を蓄積
     let textLines = [];
@@ -186,8 +247,8 @@
     
     // 各イベントを処理
     for (const event of timeline) {
-      const textLine = generateTimelineLineNew(event, battleTime, 'text');
-      const htmlLine = generateTimelineLineNew(event, battleTime, 'html');
+      const textLine = generateTimelineLineNew(event, battleTime, 'text', phases, lineOptions);
+      const htmlLine = generateTimelineLineNew(event, battleTime, 'html', phases, lineOptions);
       
       textLines.push(textLine);
       htmlOutput += htmlLine + '\n';
@@ -216,6 +277,369 @@
     };
   }
 
+  /**
+   * 秒数を m:ss.fff 形式（分は桁埋めなし）にフォーマット
+   * 指定した小数点以下の桁で丸めてから分と秒に分ける（「0:60.000」とならないように）
+   * @param {number} seconds - 秒数（0以上）
+   * @param {number} decimals - 秒の小数点以下の桁数
+   * @returns {string} フォーマットされた時間文字列（例: "2:52.033"）
+   */
+  function formatClock(seconds, decimals = 3) {
+    const unit = Math.pow(10, decimals);
+    const totalUnits = Math.round(Math.max(0, seconds) * unit);
+    const minutes = Math.floor(totalUnits / (60 * unit));
+    const secondsText = ((totalUnits % (60 * unit)) / unit).toFixed(decimals)
+      .padStart(decimals > 0 ? decimals + 3 : 2, '0');
+    return `${minutes}:${secondsText}`;
+  }
+
+  /**
+   * 経過フレームをTL入力の時間表記（m:ss.fff）に変換
+   * input-processor.jsと同じく、time_display_formatが'backward'の場合は残り時間で書く
+   * settings.phasesを指定した場合は、制限時間を指定したフェーズの切り替え以降をそのフェーズのタイマーで書く
+   * @param {number} frame - 経過フレーム数
+   * @param {Object} settings - 設定（time_display_format, battle_time, phases）
+   * @returns {string} 時間表記（例: "2:52.033"、戦闘時間を過ぎた場合は "-0:01.000"）
+   */
+  function formatInputTime(frame, settings = {}) {
+    const clock = resolvePhaseClock(frame, settings.phases, settings.battle_time || 240);
+    const elapsed = (frame - clock.baseFrame) / 30.0;
+    const seconds = (settings.time_display_format || 'backward') === 'backward' ? clock.clockSeconds - elapsed : elapsed;
+
+    if (seconds < 0) {
+      // 戦闘時間を過ぎた場合は全体に符号を付ける（「-0:01.000」、parseTimeToSecondsは先頭の符号を全体に適用する）
+      return `-${formatClock(-seconds)}`;
+    }
+    return formatClock(seconds);
+  }
+
+  /**
+   * 処理済みの入力行とtimeline_jsonから、再入力可能なTL文字列を生成
+   * 
+   * 【出力の内容】
+   * - 通常の行: TimelineProcessorで確定したフレーム（row.frame）を時間で明示し、コスト指定は時間に置き換える
+   *   （AUTO・イベント名・ラベル・使用コストなどの行の残りはそのまま）
+   * - 参照（#ラベル）で始まる行・指示行（@）・特殊コマンド: 整形済みの行をそのまま出力
+   * - EX使用コストを自動入力した行: 使用コストを明示する
+   * - バフの開始・終了などの追加イベント: 「!」のコメント行として出力（additional_events: 'omit'で省略）
+   * 入力のコメント行・空行は出力されない
+   * 
+   * 出力を同じ設定で再度処理すると同じtimeline_jsonとなり、再度この関数で生成すると同じ文字列となる
+   * （コストタイミングで書いたTLを時間指定のTLとして固定できる）
+   * フェーズの切り替え（metadata.phases）で制限時間が変わる場合は、切り替え以降をそのフェーズのタイマーの時間で書く
+   * 
+   * @param {Object} inputJSON - TimelineProcessorで処理済みのinput_json（timelineの各行にframe, timeline_indexが設定されたもの）
+   * @param {Object} timelineJSON - TimelineProcessor.createTimelineJSON()の結果
+   * @param {Object} settings - 設定オプション（time_display_format, battle_time, additional_events）
+   * @returns {string} TL文字列
+   */
+  function serializeTimelineInput(inputJSON, timelineJSON, settings = {}) {
+    if (!inputJSON || !Array.isArray(inputJSON.timeline) || !timelineJSON || !timelineJSON.timeline) {
+      throw new Error('無効なタイムラインデータです');
+    }
+
+    const timeline = timelineJSON.timeline;
+    const commentAdditionalEvents = settings.additional_events !== 'omit';
+    const timeSettings = { ...settings, phases: (timelineJSON.metadata && timelineJSON.metadata.phases) || [] };
+    const lines = [];
+    let nextEventIndex = 0; // 次に出力するtimelineのイベント
+
+    // 入力行以外のイベント（戦闘開始・バフの開始と終了など）をコメント行として出力
+    const flushAdditionalEvents = (untilIndex) => {
+      for (; nextEventIndex < untilIndex; nextEventIndex++) {
+        if (commentAdditionalEvents) {
+          const event = timeline[nextEventIndex];
+          lines.push(`! ${formatInputTime(event.frame, timeSettings)} ${event.event_name}`);
+        }
+      }
+    };
+
+    for (const row of inputJSON.timeline) {
+      // 処理されなかった行（指示行・特殊コマンドなど）は整形済みの行をそのまま出力
+      if (row.is_directive || row.is_special_command || typeof row.frame !== 'number') {
+        lines.push(row.normalized_line);
+        continue;
+      }
+
+      if (typeof row.timeline_index === 'number') {
+        flushAdditionalEvents(row.timeline_index);
+        nextEventIndex = row.timeline_index + 1;
+      }
+
+      // 参照で始まる行は参照先のラベルの時間が固定されるため、そのまま出力しても同じフレームとなる
+      let line = row.reference ?
+        row.normalized_line :
+        `${formatInputTime(row.frame, timeSettings)} ${row.is_auto ? 'AUTO ' : ''}${row.event_name}${row.ending || ''}`;
+
+      // 自動入力した使用コストは明示する（設定が変わっても同じ使用コストとなるように）
+      if (row.is_auto_ex_cost) {
+        line += ` ${row.cost_used}`;
+      }
+      lines.push(line);
+    }
+
+    flushAdditionalEvents(timeline.length);
+
+    return lines.join('\n');
+  }
+
+  // ==============================
+  // 出力形式（レンダラー）の登録
+  // ==============================
+
+  /**
+   * 登録済みのレンダラー（名前 → { label, extension, render }）
+   */
+  const TIMELINE_RENDERERS = new Map();
+
+  /**
+   * レンダラーのオプションの既定値
+   * time_format, battle_timeがnullの場合はtimeline_jsonの設定（metadata.settings）を使用する
+   */
+  const DEFAULT_RENDER_OPTIONS = {
+    time_format: null,      // 時間の向き（'backward': 残り時間, 'forward': 経過時間）
+    battle_time: null,      // 戦闘時間（秒）
+    time_decimals: 3,       // 時間の秒の小数点以下の桁数
+    cost_decimals: 1,       // コストの小数点以下の桁数
+    show_overflow: true,    // あふれたコストを表示するか
+    show_notes: true        // 警告文（note）を表示するか
+  };
+
+  /**
+   * レンダラーを登録する（同じ名前の場合は上書き）
+   * @param {string} name - 形式名（'csv'など）
+   * @param {Object} renderer - { label: 表示名, extension: 保存時の拡張子, render: (timelineJSON, options) => string }
+   */
+  function registerTimelineRenderer(name, renderer) {
+    if (!name || !renderer || typeof renderer.render !== 'function') {
+      throw new Error(`無効なレンダラーです: ${name}`);
+    }
+    TIMELINE_RENDERERS.set(name, {
+      label: renderer.label || name,
+      extension: renderer.extension || 'txt',
+      render: renderer.render
+    });
+  }
+
+  /**
+   * 登録済みのレンダラーの一覧
+   * @returns {Array<Object>} { name, label, extension } の配列（登録順）
+   */
+  function listTimelineRenderers() {
+    return Array.from(TIMELINE_RENDERERS.entries())
+      .map(([name, renderer]) => ({ name, label: renderer.label, extension: renderer.extension }));
+  }
+
+  /**
+   * 指定した形式でタイムラインを生成する
+   * @param {string} name - 形式名
+   * @param {Object} timelineJSON - タイムラインのJSONデータ
+   * @param {Object} options - レンダラーのオプション（DEFAULT_RENDER_OPTIONS参照）
+   * @returns {string} 生成した文字列
+   */
+  function renderTimeline(name, timelineJSON, options = {}) {
+    const renderer = TIMELINE_RENDERERS.get(name);
+    if (!renderer) {
+      throw new Error(`不明な出力形式です: ${name}`);
+    }
+    if (!timelineJSON || !timelineJSON.timeline) {
+      throw new Error('無効なタイムラインデータです');
+    }
+
+    const timelineSettings = (timelineJSON.metadata && timelineJSON.metadata.settings) || {};
+    const resolvedOptions = { ...DEFAULT_RENDER_OPTIONS, ...options };
+    resolvedOptions.time_format = resolvedOptions.time_format || timelineSettings.time_display_format || 'backward';
+    resolvedOptions.battle_time = resolvedOptions.battle_time || timelineSettings.battle_time || 180;
+
+    return renderer.render(timelineJSON, resolvedOptions);
+  }
+
+  /**
+   * レンダラー共通：timelineの各イベントを表示用の値にする
+   * @param {Object} timelineJSON - タイムラインのJSONデータ
+   * @param {Object} options - 解決済みのオプション
+   * @returns {Array<Object>} { frame, time, event_name, is_auto, cost_used, nominal_cost_used, cost_used_text, cost_change, cost_timing, remaining_cost, overflow_cost, notes }
+   *   nominal_cost_used: EX使用コストの軽減を適用した場合の軽減前の使用コスト、それ以外はnull
+   *   cost_used_text: 使用コストの表示（軽減した場合は「6→4.5」）
+   *   cost_change: コストの即時増減（「コスト +2」）の符号付きの文字列、それ以外のイベントはnull
+   *   time: フェーズの切り替えで制限時間が変わる場合はそのフェーズのタイマーでの時間
+   */
+  function collectRenderRows(timelineJSON, options) {
+    const phases = (timelineJSON.metadata && timelineJSON.metadata.phases) || [];
+    return timelineJSON.timeline.map(event => {
+      const clock = resolvePhaseClock(event.frame || 0, phases, options.battle_time);
+      const elapsed = ((event.frame || 0) - clock.baseFrame) / 30.0;
+      const seconds = options.time_format === 'backward' ? clock.clockSeconds - elapsed : elapsed;
+      const remainingCost = (event.remaining_cost_points || 0) / COST_POINT_UNIT;
+      const costUsed = event.cost_used || 0;
+
+      return {
+        frame: event.frame || 0,
+        time: formatClock(seconds, options.time_decimals),
+        event_name: event.event_name || 'イベント',
+        is_auto: !!event.is_auto,
+        cost_used: costUsed,
+        nominal_cost_used: typeof event.nominal_cost_used === 'number' ? event.nominal_cost_used : null,
+        cost_used_text: formatUsedCost(event),
+        cost_change: typeof event.cost_change === 'number' ? formatSignedCost(event.cost_change, options.cost_decimals) : null,
+        cost_timing: (remainingCost + costUsed).toFixed(options.cost_decimals), // 使用時のコスト
+        remaining_cost: remainingCost.toFixed(options.cost_decimals),
+        overflow_cost: (event.overflow_cost || 0).toFixed(options.cost_decimals),
+        notes: Array.isArray(event.note) ? event.note : []
+      };
+    });
+  }
+
+  /**
+   * 等幅フォントでの表示幅（全角文字を2、半角文字を1として数える）
+   * @param {string} text - 対象の文字列
+   * @returns {number} 表示幅
+   */
+  function displayWidth(text) {
+    let width = 0;
+    for (const char of text) {
+      const code = char.codePointAt(0);
+      // ASCII・半角カナは1、それ以外（かな・漢字・全角記号）は2
+      width += (code <= 0xFF || (code >= 0xFF61 && code <= 0xFF9F)) ? 1 : 2;
+    }
+    return width;
+  }
+
+  /**
+   * 表示幅が指定の幅になるまで空白を追加する
+   * @param {string} text - 対象の文字列
+   * @param {number} width - 表示幅
+   * @param {boolean} alignRight - trueの場合は右寄せ
+   * @returns {string} 空白を追加した文字列
+   */
+  function padDisplay(text, width, alignRight = false) {
+    const padding = ' '.repeat(Math.max(0, width - displayWidth(text)));
+    return alignRight ? padding + text : text + padding;
+  }
+
+  /**
+   * CSVの1項目をエスケープする（, " 改行を含む場合は""で囲む）
+   * @param {*} value - 値
+   * @returns {string} エスケープした文字列
+   */
+  function escapeCsvField(value) {
+    const text = String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+
+  // text: 従来のテキスト形式（generateTimelineNewのテキスト出力）
+  registerTimelineRenderer('text', {
+    label: 'テキスト',
+    extension: 'txt',
+    render: (timelineJSON, options) => generateTimelineNew(timelineJSON, options).text
+  });
+
+  // csv: フレーム・時間・コストの列を持つCSV（表計算ソフト用）
+  registerTimelineRenderer('csv', {
+    label: 'CSV',
+    extension: 'csv',
+    render: (timelineJSON, options) => {
+      const rows = collectRenderRows(timelineJSON, options);
+      // コストの即時増減・軽減前の使用コストの列は、それらのあるタイムラインのみ追加する
+      const showCostChange = rows.some(row => row.cost_change !== null);
+      const showNominalCost = rows.some(row => row.nominal_cost_used !== null);
+      const header = ['frame', 'time', 'event', 'auto', 'cost_used', 'cost_timing', 'remaining_cost'];
+      if (showNominalCost) header.push('nominal_cost_used');
+      if (showCostChange) header.push('cost_change');
+      if (options.show_overflow) header.push('overflow_cost');
+      if (options.show_notes) header.push('notes');
+
+      const lines = [header.join(',')];
+      for (const row of rows) {
+        const fields = [row.frame, row.time, row.event_name, row.is_auto ? 1 : 0, row.cost_used, row.cost_timing, row.remaining_cost];
+        if (showNominalCost) fields.push(row.nominal_cost_used !== null ? row.nominal_cost_used : '');
+        if (showCostChange) fields.push(row.cost_change || '');
+        if (options.show_overflow) fields.push(row.overflow_cost);
+        if (options.show_notes) fields.push(row.notes.join(' / '));
+        lines.push(fields.map(escapeCsvField).join(','));
+      }
+      return lines.join('\n');
+    }
+  });
+
+  // markdown: Markdownの表
+  registerTimelineRenderer('markdown', {
+    label: 'Markdown表',
+    extension: 'md',
+    render: (timelineJSON, options) => {
+      const escapeCell = (text) => String(text).replace(/\|/g, '\\|');
+      const header = ['時間', 'イベント', '使用', '使用時コスト', '残り'];
+      const align = ['---:', '---', '---:', '---:', '---:'];
+      if (options.show_overflow) { header.push('溢れ'); align.push('---:'); }
+      if (options.show_notes) { header.push('備考'); align.push('---'); }
+
+      const lines = [`| ${header.join(' | ')} |`, `|${align.join('|')}|`];
+      for (const row of collectRenderRows(timelineJSON, options)) {
+        const cells = [
+          row.time,
+          (row.is_auto ? 'AUTO ' : '') + row.event_name,
+          row.cost_used > 0 || row.nominal_cost_used !== null ? row.cost_used_text : (row.cost_change || ''), // コストの即時増減は符号付き
+          row.cost_timing,
+          row.remaining_cost
+        ];
+        if (options.show_overflow) cells.push(parseFloat(row.overflow_cost) > 0 ? row.overflow_cost : '');
+        if (options.show_notes) cells.push(row.notes.join('<br>'));
+        lines.push(`| ${cells.map(escapeCell).join(' | ')} |`);
+      }
+      return lines.join('\n');
+    }
+  });
+
+  // discord: Discordに貼り付ける等幅のコードブロック（全角文字の幅を考慮して列を揃える）
+  registerTimelineRenderer('discord', {
+    label: 'Discord（コードブロック）',
+    extension: 'discord.txt',
+    render: (timelineJSON, options) => {
+      const rows = collectRenderRows(timelineJSON, options);
+      const nameWidth = Math.max(0, ...rows.map(row => displayWidth((row.is_auto ? 'AUTO ' : '') + row.event_name)));
+      const timeWidth = Math.max(0, ...rows.map(row => row.time.length));
+      const costWidth = Math.max(0, ...rows.map(row => row.cost_timing.length));
+
+      const lines = rows.map(row => {
+        let line = `${padDisplay(row.time, timeWidth, true)} [${padDisplay(row.cost_timing, costWidth, true)}] `;
+        line += padDisplay((row.is_auto ? 'AUTO ' : '') + row.event_name, nameWidth);
+        line += row.cost_used > 0 || row.nominal_cost_used !== null ? ` ${padDisplay(row.cost_used_text, 2, true)}` : '   ';
+        if (row.cost_change !== null) {
+          line += ` 増減:${row.cost_change}`;
+        }
+        if (options.show_overflow && parseFloat(row.overflow_cost) > 0) {
+          line += ` 溢:${row.overflow_cost}`;
+        }
+        if (options.show_notes) {
+          for (const note of row.notes) {
+            line += ` ※${note}`;
+          }
+        }
+        return line.trimEnd();
+      });
+      return ['```', ...lines, '```'].join('\n');
+    }
+  });
+
+  // compact: EX使用のみを1行ずつ（「2:52.0 水着セイア」）
+  registerTimelineRenderer('compact', {
+    label: 'EXのみ（簡易）',
+    extension: 'compact.txt',
+    render: (timelineJSON, options) => collectRenderRows(timelineJSON, options)
+      .filter(row => row.cost_used > 0)
+      .map(row => {
+        let line = `${row.time} ${row.is_auto ? 'AUTO ' : ''}${row.event_name}`;
+        if (options.show_overflow && parseFloat(row.overflow_cost) > 0) {
+          line += ` (溢${row.overflow_cost})`;
+        }
+        if (options.show_notes && row.notes.length > 0) {
+          line += ` ※${row.notes.join(' ※')}`;
+        }
+        return line;
+      })
+      .join('\n')
+  });
+
   // エクスポート
   const TimelineFormatter = {
     formatTime,
@@ -224,7 +648,15 @@
     // generateTimelineText,     // 未使用のためコメントアウト
     // generateTimelineHTML,     // 未使用のためコメントアウト
     // generateTimelineBoth,     // 未使用のためコメントアウト
-    generateTimelineNew          // 新フォーマットでHTML形式とテキスト形式を同時生成
+    generateTimelineNew,         // 新フォーマットでHTML形式とテキスト形式を同時生成
+    formatInputTime,             // TL入力の時間表記
+    serializeTimelineInput,      // 再入力可能なTL文字列を生成
+    DEFAULT_RENDER_OPTIONS,      // レンダラーのオプションの既定値
+    registerTimelineRenderer,    // 出力形式の登録
+    listTimelineRenderers,       // 登録済みの出力形式の一覧
+    renderTimeline,              // 指定した出力形式で生成
+    displayWidth,                // 等幅フォントでの表示幅（timeline-diff.jsでも使用）
+    padDisplay                   // 表示幅での桁揃え
   };
 
   console.log('timeline-formatter.js: エクスポート処理開始');
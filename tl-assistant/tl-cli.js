@@ -0,0 +1,581 @@
+#!/usr/bin/env node
+/**
+ * TL Assistant CLI - ブラウザを使わずにTLファイルを処理するコマンドラインツール
+ * TL-assistant.htmlと同じ処理（createInputJSON → TimelineProcessor → TimelineFormatter）を
+ * Node.js上で実行し、テキスト・HTML・JSONのいずれかで出力する
+ *
+ * 【使用方法】
+ *   node tl-cli.js <TLファイル...> [オプション]
+ *
+ * 【オプション】
+ *   -s, --settings <file>  設定JSONファイル（battle_time, max_cost, boss, skill_levels, auto_ex_cost など）
+ *   -b, --buffs <file>     バフデータJSONファイル（buff-data.schema.json形式、buffs.jsの既定データに上書き・追加）
+ *   -f, --format <format>  出力形式: text（デフォルト） | html | json | tl | svg、
+ *                          およびtimeline-formatter.jsに登録された形式（csv, markdownなど、一覧は--helpで表示）
+ *   --optimize <objective> 入力ファイルをEXの使用順と制約のプラン（JSON、tl-optimizer.js参照）とし、
+ *                          タイミングを探索したTLを出力する（overflow | finish、出力形式のデフォルトはtl）
+ *   --compare <file>       指定したTLを基準として、各TLファイルとのイベントごとの差を出力する（timeline-diff.js参照）
+ *   --observed <file>      実測したEXの使用時間（「時間 イベント名」の行）と各TLファイルを照合し、
+ *                          計画とのずれと実測に合わせて再計算した時間を出力する（run-reconciler.js参照）
+ *   --branch <name>        「@分岐 A」のあるTLで処理・比較・照合する分岐（デフォルト: 最初の分岐）
+ *   -o, --out-dir <dir>    出力先ディレクトリ（指定時は <TLファイル名>.<拡張子> に書き出す）
+ *   -v, --verbose          各モジュールのログ・警告を標準エラー出力に表示する（省略時は診断情報のみ）
+ *   -h, --help             ヘルプを表示する
+ *
+ * 【設定ファイル】
+ *   TL-assistant.htmlのsettingsオブジェクトと同じキーを持つJSON。
+ *   指定されなかったキーはDEFAULT_SETTINGS（TL-assistant.htmlの初期値）が使われる。
+ *   セーブスロットと同じ { "settings": {...} } 形式も受け付ける。
+ *
+ * 【例】
+ *   node tl-cli.js tl/hieronymus.txt -s tl/settings.json
+ *   node tl-cli.js tl/*.txt -s tl/settings.json -f json -o out/
+ *
+ * 編成はsettingsのroster_strikers / roster_specials、またはTL先頭の
+ * 「@ストライカー ...」「@スペシャル ...」行で指定する
+ *
+ * 無視した行・存在しないラベル参照などの診断情報は「ファイル:行:列: 重要度 コード: メッセージ」の形式で
+ * 標準エラー出力に表示する（json形式ではtimeline_jsonのdiagnosticsにも含まれる）
+ *
+ * 生徒のスキルレベルは skill_levels: { "セイア": { "EX": 5, "UE": 2 } } のように指定する
+ * （旧設定の seia_koyuu2 / magical_suzumi_koyuu2 も引き続き使用可能）
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+// ==============================
+// 定数定義
+// ==============================
+
+/**
+ * デフォルト設定（TL-assistant.htmlのsettings初期値と同じ）
+ */
+const DEFAULT_SETTINGS = {
+  battle_time: 180,
+  ss_enabled: true,
+  max_cost: 10,
+  number_interpretation: 'cost',
+  time_display_format: 'backward',
+  modifier_always_forward: 'yes',
+  skill_levels: {},
+  kanoe_ss: '0',
+  cherino_ss: '0',
+  special_command_accepted: 'yes',
+  auto_ex_cost: 'yes',
+  auto_ex_cost_exclusions: 'NS PS SS 落 撤退',
+  roster_strikers: '',
+  roster_specials: ''
+};
+
+/**
+ * TimelineFormatterに登録された形式以外でCLIが出力する形式（ファイル拡張子とヘルプに表示する説明）
+ */
+const CLI_OUTPUT_FORMATS = {
+  html: { extension: 'html', label: 'TL-assistant.htmlと同じ表示のHTML' },
+  json: { extension: 'json', label: 'timeline_json（診断情報を含む）' },
+  tl: { extension: 'tl.txt', label: '時間をすべて明示した再入力可能なTL' },
+  svg: { extension: 'svg', label: 'コストの推移とバフ区間のグラフ' }
+};
+
+/**
+ * 出力形式の一覧（TimelineFormatterに登録された形式とCLI_OUTPUT_FORMATS）
+ * @param {Object} formatter - timeline-formatter.js
+ * @returns {Array<Object>} { name, label, extension, is_renderer } の配列
+ */
+function listOutputFormats(formatter) {
+  // CLI_OUTPUT_FORMATSの形式はprocessTimelineTextで先に処理するため、同じ名前のレンダラーより優先する
+  const renderers = formatter.listTimelineRenderers()
+    .filter(renderer => !CLI_OUTPUT_FORMATS[renderer.name])
+    .map(renderer => ({ ...renderer, is_renderer: true }));
+  const cli_formats = Object.entries(CLI_OUTPUT_FORMATS)
+    .map(([name, format]) => ({ name, ...format, is_renderer: false }));
+  return [...renderers, ...cli_formats];
+}
+
+/**
+ * 出力形式ごとのファイル拡張子
+ * @param {Object} formatter - timeline-formatter.js
+ * @returns {Object} 形式名 → 拡張子
+ */
+function listOutputExtensions(formatter) {
+  const extensions = {};
+  for (const format of listOutputFormats(formatter)) {
+    extensions[format.name] = format.extension;
+  }
+  return extensions;
+}
+
+/**
+ * ヘルプの文字列を生成する（出力形式の一覧はlistOutputFormatsから生成する）
+ * @param {Object} formatter - timeline-formatter.js
+ * @returns {string} ヘルプの文字列
+ */
+function formatUsage(formatter) {
+  const formats = listOutputFormats(formatter);
+  const name_width = Math.max(...formats.map(format => format.name.length));
+  const format_lines = formats
+    .map(format => `                         ${format.name.padEnd(name_width)}  ${format.label}`)
+    .join('\n');
+  // 表示のオプション（DEFAULT_RENDER_OPTIONS）を受け付ける形式（svgは時間の向きのみ）
+  const render_formats = [...formats.filter(format => format.is_renderer).map(format => format.name), 'html'].join('/');
+
+  return `使用方法: node tl-cli.js <TLファイル...> [オプション]
+
+オプション:
+  -s, --settings <file>  設定JSONファイル
+  -b, --buffs <file>     バフデータJSONファイル（buffs.jsに上書き・追加）
+  -f, --format <format>  出力形式（デフォルト: text）
+${format_lines}
+  --time <direction>     ${render_formats}/svgの時間の向き: backward | forward（デフォルト: 設定のtime_display_format）
+  --decimals <n>         ${render_formats}の時間の小数点以下の桁数（デフォルト: 3）
+  --no-overflow          ${render_formats}であふれたコストを表示しない
+  --no-notes             ${render_formats}で警告文を表示しない
+  --optimize <objective> 入力ファイルをプラン（JSON）として、EXのタイミングを探索したTLを出力する
+                         overflow: あふれたコストを最小化, finish: 最後の行動を最も早く（デフォルトの出力形式: tl）
+  --compare <file>       指定したTLを基準として、各TLファイルとの差（時間・使用時のコスト・あふれたコスト）を出力する
+                         （-f json の場合は比較結果のJSON）
+  --observed <file>      実測したEXの使用時間（「時間 イベント名」の行）とTLを照合し、
+                         計画とのずれ・再計算した時間・コストが足りなくなった行を出力する（-f json の場合はJSON）
+  --branch <name>        「@分岐 A」のあるTLで処理・比較・照合する分岐（デフォルト: 最初の分岐）
+  -o, --out-dir <dir>    出力先ディレクトリ（指定しない場合は標準出力）
+  -v, --verbose          処理ログ・警告を標準エラー出力に表示（省略時は診断情報のみ）
+  -h, --help             このヘルプを表示`;
+}
+
+// ==============================
+// 引数・設定の読み込み
+// ==============================
+
+/**
+ * コマンドライン引数を解析する
+ * @param {Array<string>} argv - process.argv.slice(2)
+ * @returns {Object} { files, settings_path, buffs_path, format, render_options, optimize, compare_path, observed_path, branch, out_dir, verbose, help }
+ */
+function parseArguments(argv) {
+  const options = {
+    files: [],
+    settings_path: null,
+    buffs_path: null,
+    format: null,
+    render_options: {}, // TimelineFormatter.renderTimelineのオプション
+    optimize: null, // TLOptimizer.optimizeTimelineの評価の基準（指定時は入力ファイルをプランとする）
+    compare_path: null, // 比較の基準とするTLファイル
+    observed_path: null, // 照合する実測の時間のファイル
+    branch: null, // 処理する分岐（「@分岐 A」のA、指定しない場合は最初の分岐）
+    out_dir: null,
+    verbose: false,
+    help: false
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    switch (arg) {
+      case '-s':
+      case '--settings':
+        options.settings_path = argv[++i];
+        break;
+      case '-b':
+      case '--buffs':
+        options.buffs_path = argv[++i];
+        break;
+      case '-f':
+      case '--format':
+        options.format = argv[++i];
+        break;
+      case '--time':
+        options.render_options.time_format = argv[++i];
+        if (options.render_options.time_format !== 'backward' && options.render_options.time_format !== 'forward') {
+          throw new Error(`不明な時間の向きです: ${options.render_options.time_format}（backward, forward のいずれかを指定してください）`);
+        }
+        break;
+      case '--decimals':
+        options.render_options.time_decimals = parseInt(argv[++i], 10);
+        if (!(options.render_options.time_decimals >= 0 && options.render_options.time_decimals <= 3)) {
+          throw new Error('--decimals には0から3の整数を指定してください');
+        }
+        break;
+      case '--no-overflow':
+        options.render_options.show_overflow = false;
+        break;
+      case '--no-notes':
+        options.render_options.show_notes = false;
+        break;
+      case '--optimize':
+        options.optimize = argv[++i];
+        if (options.optimize !== 'overflow' && options.optimize !== 'finish') {
+          throw new Error(`不明な評価の基準です: ${options.optimize}（overflow, finish のいずれかを指定してください）`);
+        }
+        break;
+      case '--compare':
+        options.compare_path = argv[++i];
+        break;
+      case '--observed':
+        options.observed_path = argv[++i];
+        break;
+      case '--branch':
+        options.branch = argv[++i];
+        break;
+      case '-o':
+      case '--out-dir':
+        options.out_dir = argv[++i];
+        break;
+      case '-v':
+      case '--verbose':
+        options.verbose = true;
+        break;
+      case '-h':
+      case '--help':
+        options.help = true;
+        break;
+      default:
+        if (arg.startsWith('-')) {
+          throw new Error(`不明なオプションです: ${arg}`);
+        }
+        options.files.push(arg);
+    }
+  }
+
+  // プランの探索結果は、指定がなければ再入力可能なTLとして出力する
+  if (options.format === null) {
+    options.format = options.optimize ? 'tl' : 'text';
+  }
+
+  return options;
+}
+
+/**
+ * 設定JSONファイルを読み込み、デフォルト設定とマージする
+ * @param {string|null} settings_path - 設定ファイルのパス
+ * @returns {Object} 設定オブジェクト
+ */
+function loadSettingsFile(settings_path) {
+  if (!settings_path) {
+    return { ...DEFAULT_SETTINGS };
+  }
+
+  let loaded;
+  try {
+    loaded = JSON.parse(fs.readFileSync(settings_path, 'utf8'));
+  } catch (error) {
+    throw new Error(`設定ファイルを読み込めません: ${settings_path} (${error.message})`);
+  }
+
+  // セーブスロット形式（{ data, settings }）の場合はsettings部分のみ使用
+  const loaded_settings = (loaded && typeof loaded.settings === 'object') ? loaded.settings : loaded;
+
+  return { ...DEFAULT_SETTINGS, ...loaded_settings };
+}
+
+/**
+ * バフデータJSONファイルを読み込み、検証して既定のバフデータと統合する
+ * @param {string|null} buffs_path - バフデータファイルのパス
+ * @param {Object} default_buff_data - 既定のバフデータ（buffs.js）
+ * @param {Object} loader - buff-data-loader.js
+ * @returns {Object} バフデータ
+ */
+function loadBuffDataFile(buffs_path, default_buff_data, loader) {
+  if (!buffs_path) {
+    return default_buff_data;
+  }
+
+  let text;
+  try {
+    text = fs.readFileSync(buffs_path, 'utf8');
+  } catch (error) {
+    throw new Error(`バフデータファイルを読み込めません: ${buffs_path} (${error.message})`);
+  }
+
+  const { buff_data, errors } = loader.parseBuffDataJSON(text);
+  if (errors.length > 0) {
+    throw new Error(`バフデータファイルにエラーがあります: ${buffs_path}\n  ${errors.join('\n  ')}`);
+  }
+
+  return loader.mergeBuffData(default_buff_data, buff_data);
+}
+
+// ==============================
+// メイン処理
+// ==============================
+
+/**
+ * TL文字列をcreateInputJSON・TimelineProcessorで処理する
+ * @param {string} input_text - TLの入力文字列
+ * @param {Object} settings - 設定オブジェクト
+ * @param {Object} modules - 読み込み済みモジュール
+ * @param {string|null} branch - 処理する分岐（「@分岐 A」のA、nullの場合は最初の分岐）
+ * @returns {Object} { input_json, timeline_json }
+ */
+function runTimelineText(input_text, settings, modules, branch = null) {
+  const input_diagnostics = [];
+  const processed_timeline = modules.InputProcessor.createInputJSON(input_text, settings, input_diagnostics);
+  if (!processed_timeline || processed_timeline.length === 0) {
+    throw new Error('入力処理の結果が空です');
+  }
+
+  const input_json = {
+    timeline: processed_timeline,
+    diagnostics: input_diagnostics,
+    metadata: {
+      input_length: processed_timeline.length
+    },
+    branch: branch
+  };
+
+  const processor = new modules.TLEditor.TimelineProcessor(input_json, settings, modules.BuffData);
+  return { input_json: input_json, timeline_json: processor.createTimelineJSON() };
+}
+
+/**
+ * TL文字列を処理し、指定形式の出力文字列を生成する
+ * @param {string} input_text - TLの入力文字列
+ * @param {Object} settings - 設定オブジェクト
+ * @param {string} format - 出力形式（'text' | 'html' | 'json' | 'tl' | 'svg'、またはTimelineFormatterに登録された形式名）
+ * @param {Object} modules - 読み込み済みモジュール
+ * @param {Array|null} diagnostics - 診断情報の追加先（timeline_json.diagnosticsの内容を追加する）
+ * @param {Object} render_options - 登録された形式のオプション（TimelineFormatter.DEFAULT_RENDER_OPTIONS参照）
+ * @param {string|null} branch - 処理する分岐（「@分岐 A」のA、nullの場合は最初の分岐）
+ * @returns {string} 出力文字列
+ */
+function processTimelineText(input_text, settings, format, modules, diagnostics = null, render_options = {}, branch = null) {
+  const { input_json, timeline_json } = runTimelineText(input_text, settings, modules, branch);
+  if (Array.isArray(diagnostics)) {
+    diagnostics.push(...timeline_json.diagnostics);
+  }
+
+  if (format === 'json') {
+    return JSON.stringify(timeline_json, null, 2) + '\n';
+  }
+
+  if (format === 'tl') {
+    return modules.TimelineFormatter.serializeTimelineInput(input_json, timeline_json, settings) + '\n';
+  }
+
+  if (format === 'svg') {
+    return modules.TimelineChart.renderTimelineChartSVG(timeline_json, render_options) + '\n';
+  }
+
+  if (format !== 'html') {
+    return modules.TimelineFormatter.renderTimeline(format, timeline_json, render_options) + '\n';
+  }
+
+  const result = modules.TimelineFormatter.generateTimelineNew(timeline_json, {
+    ...render_options,
+    battle_time: settings.battle_time
+  });
+  return result.html + '\n';
+}
+
+/**
+ * 基準のTLと比較するTLを処理し、イベントごとの差を出力する
+ * @param {string} base_text - 基準のTLの入力文字列
+ * @param {string} target_text - 比較するTLの入力文字列
+ * @param {Object} settings - 設定オブジェクト
+ * @param {string} format - 出力形式（'json'の場合は比較結果のJSON、それ以外はテキスト）
+ * @param {Object} modules - 読み込み済みモジュール
+ * @param {Object} diff_options - TimelineDiff.formatTimelineDiffのオプション（base_name, target_nameなど）
+ * @param {string|null} branch - 両方のTLで比較する分岐（「@分岐 A」のA、nullの場合はそれぞれ最初の分岐）
+ * @returns {string} 出力文字列
+ */
+function compareTimelineTexts(base_text, target_text, settings, format, modules, diff_options = {}, branch = null) {
+  const diff = modules.TimelineDiff.diffTimelines(
+    runTimelineText(base_text, settings, modules, branch),
+    runTimelineText(target_text, settings, modules, branch)
+  );
+  if (format === 'json') {
+    return JSON.stringify(diff, null, 2) + '\n';
+  }
+  return modules.TimelineDiff.formatTimelineDiff(diff, diff_options) + '\n';
+}
+
+/**
+ * 計画のTLと実測の時間を照合する
+ * @param {string} plan_text - 計画のTLの入力文字列
+ * @param {string} observed_text - 実測の時間（「時間 イベント名」の行）
+ * @param {Object} settings - 設定オブジェクト
+ * @param {string} format - 出力形式（'json'の場合は照合結果のJSON、それ以外はテキスト）
+ * @param {Object} modules - 読み込み済みモジュール
+ * @param {string|null} branch - 計画のTLで照合する分岐（「@分岐 A」のA、nullの場合は最初の分岐）
+ * @returns {string} 出力文字列
+ */
+function reconcileTimelineTexts(plan_text, observed_text, settings, format, modules, branch = null) {
+  const result = modules.RunReconciler.reconcileRun(plan_text, observed_text, settings, modules.BuffData, branch);
+  if (format === 'json') {
+    return JSON.stringify({ branch: result.branch, rows: result.rows, unmatched_observations: result.unmatched_observations }, null, 2) + '\n';
+  }
+  return modules.RunReconciler.formatReconciliation(result) + '\n';
+}
+
+/**
+ * プラン（JSON）の行動のタイミングを探索し、TL文字列を生成する
+ * @param {string} plan_text - プランのJSON文字列
+ * @param {Object} settings - 設定オブジェクト
+ * @param {string} objective - 評価の基準（'overflow' | 'finish'）
+ * @param {Object} modules - 読み込み済みモジュール
+ * @returns {Object} { text: TL文字列, branch: 行動を評価した分岐（プランのheaderに分岐がない場合はnull） }
+ */
+function optimizePlanText(plan_text, settings, objective, modules) {
+  let plan;
+  try {
+    plan = JSON.parse(plan_text);
+  } catch (error) {
+    throw new Error(`プランのJSONを読み込めません (${error.message})`);
+  }
+  const result = modules.TLOptimizer.optimizeTimeline(plan, settings, modules.BuffData, { objective: objective });
+  return { text: result.text, branch: result.branch };
+}
+
+/**
+ * 診断情報を「ファイル:行:列: 重要度 コード: メッセージ」の形式の文字列にする
+ * 行のない診断情報（設定の編成など）は「ファイル: 重要度 コード: メッセージ」とする
+ * @param {string} file - TLファイルのパス
+ * @param {Object} diagnostic - 診断情報
+ * @returns {string} 表示用の文字列
+ */
+function formatDiagnostic(file, diagnostic) {
+  if (diagnostic.line === null) {
+    return `${file}: ${diagnostic.severity} ${diagnostic.code}: ${diagnostic.message}`;
+  }
+  return `${file}:${diagnostic.line}:${diagnostic.column}: ${diagnostic.severity} ${diagnostic.code}: ${diagnostic.message}`;
+}
+
+/**
+ * CLIのエントリーポイント
+ * @param {Array<string>} argv - process.argv.slice(2)
+ * @returns {number} 終了コード
+ */
+function main(argv) {
+  let options = null;
+  let parse_error = null;
+  try {
+    options = parseArguments(argv);
+  } catch (error) {
+    parse_error = error;
+  }
+
+  // 各モジュールは読み込み時・処理時に大量のconsole.logを出力するため、
+  // 標準出力を汚さないように抑制する（--verbose時は標準エラー出力へ）
+  // console.warnの警告は診断情報と重複するため、標準エラー出力を診断情報のみとするように同様に抑制する
+  const verbose = options !== null && options.verbose;
+  console.log = verbose ? (...args) => console.error(...args) : () => {};
+  console.warn = verbose ? (...args) => console.error(...args) : () => {};
+
+  const modules = {
+    InputProcessor: require('./input-processor.js'),
+    TLEditor: require('./tl-editor.js'),
+    TimelineFormatter: require('./timeline-formatter.js'),
+    TimelineChart: require('./timeline-chart.js'),
+    TLOptimizer: require('./tl-optimizer.js'),
+    TimelineDiff: require('./timeline-diff.js'),
+    RunReconciler: require('./run-reconciler.js'),
+    BuffData: require('./buffs.js').BUFF_DATA
+  };
+  const output_extensions = listOutputExtensions(modules.TimelineFormatter);
+
+  if (parse_error) {
+    console.error(parse_error.message);
+    console.error(formatUsage(modules.TimelineFormatter));
+    return 2;
+  }
+  if (options.help || options.files.length === 0) {
+    console.error(formatUsage(modules.TimelineFormatter));
+    return options.help ? 0 : 2;
+  }
+
+  let settings;
+  let compare_text = null;
+  let observed_text = null;
+  try {
+    if (!output_extensions[options.format]) {
+      throw new Error(`不明な出力形式です: ${options.format}（${Object.keys(output_extensions).join(', ')} のいずれかを指定してください）`);
+    }
+    settings = loadSettingsFile(options.settings_path);
+    modules.BuffData = loadBuffDataFile(options.buffs_path, modules.BuffData, require('./buff-data-loader.js'));
+    if (options.compare_path) {
+      try {
+        compare_text = fs.readFileSync(options.compare_path, 'utf8');
+      } catch (error) {
+        throw new Error(`比較の基準のTLファイルを読み込めません: ${options.compare_path} (${error.message})`);
+      }
+    }
+    if (options.observed_path) {
+      try {
+        observed_text = fs.readFileSync(options.observed_path, 'utf8');
+      } catch (error) {
+        throw new Error(`実測の時間のファイルを読み込めません: ${options.observed_path} (${error.message})`);
+      }
+    }
+  } catch (error) {
+    console.error(error.message);
+    return 2;
+  }
+
+  if (options.out_dir) {
+    fs.mkdirSync(options.out_dir, { recursive: true });
+  }
+
+  let exit_code = 0;
+  for (const file of options.files) {
+    try {
+      let input_text = fs.readFileSync(file, 'utf8');
+      let branch = options.branch;
+      if (options.optimize) {
+        // 探索したTLは、行動を評価した分岐で出力する
+        const optimized = optimizePlanText(input_text, settings, options.optimize, modules);
+        input_text = optimized.text;
+        branch = branch || optimized.branch;
+      }
+      const diagnostics = [];
+      const output = observed_text !== null ?
+        reconcileTimelineTexts(input_text, observed_text, settings, options.format, modules, branch) :
+        compare_text !== null ?
+        compareTimelineTexts(compare_text, input_text, settings, options.format, modules, {
+          base_name: path.basename(options.compare_path),
+          target_name: path.basename(file)
+        }, branch) :
+        processTimelineText(input_text, settings, options.format, modules, diagnostics, options.render_options, branch);
+      for (const diagnostic of diagnostics) {
+        console.error(formatDiagnostic(file, diagnostic));
+      }
+
+      if (options.out_dir) {
+        // 比較・照合の結果はテキストかJSONのみのため、拡張子の前に「.diff」「.run」を付けて区別する
+        const result_kind = observed_text !== null ? 'run' : (compare_text !== null ? 'diff' : null);
+        const extension = result_kind ? `${result_kind}.${options.format === 'json' ? 'json' : 'txt'}` : output_extensions[options.format];
+        const out_name = `${path.basename(file, path.extname(file))}.${extension}`;
+        fs.writeFileSync(path.join(options.out_dir, out_name), output);
+      } else {
+        if (options.files.length > 1) {
+          process.stdout.write(`==> ${file} <==\n`);
+        }
+        process.stdout.write(output);
+      }
+    } catch (error) {
+      console.error(`${file}: ${error.message}`);
+      exit_code = 1;
+    }
+  }
+
+  return exit_code;
+}
+
+if (require.main === module) {
+  process.exitCode = main(process.argv.slice(2));
+}
+
+module.exports = {
+  DEFAULT_SETTINGS,
+  parseArguments,
+  loadSettingsFile,
+  loadBuffDataFile,
+  runTimelineText,
+  processTimelineText,
+  compareTimelineTexts,
+  reconcileTimelineTexts,
+  optimizePlanText,
+  formatDiagnostic,
+  formatUsage,
+  main
+};
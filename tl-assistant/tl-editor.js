@@ -47,8 +47,11 @@
  * A.2.b. 総コスト回復力は、それを10000で割った数が1秒間に回復するコストの量である。例えば総コスト回復量が4200の場合、
  * 1秒ごとにコストは0.42回復する。50秒経過すると21コストとなるが、コストの上限を超えた分は溢れ、保存されない。
  * 
- * A.2.c. コストの上限は cost_max = 10, 10.5, 11の場合のみをいったん考える。
- * 制約解除決戦というコンテンツでは20から22までの数字が0.5刻みで発生し得るが、現段階では考えない。
+ * A.2.c. コストの上限 cost_max は通常 10, 10.5, 11 のいずれかであり、
+ * 制約解除決戦というコンテンツでは20から22までの数字が0.5刻みで発生し得る。
+ * 本スクリプトでは0より大きい任意の値を設定できるものとする（settings.max_cost、resolveMaxCost）。
+ * また戦闘中に上限が変わる場合は特殊コマンド「1:30 最大コスト 21」（またはフェーズの切り替え）で変更し、
+ * 上限が下がった場合は残っているコストポイントを新しい上限に切り捨てる（切り捨てた分はあふれたコストに含めない）。
  * 
  * A.2.d. 本スクリプトでは、コスト回復は内部的にフレーム単位で整数値で処理されていると想定する。
  * 具体的には、iフレーム目からi+1フレーム目に到達した場合、
@@ -139,19 +142,48 @@ const TLEditorCommon = (() => {
   }
 })();
 
-// RadiatorManagerの参照（遅延初期化）
-function getTLEditorRadiatorManager() {
+// IntervalEventManagerの参照（遅延初期化）
+function getTLEditorIntervalEventManager() {
   if (typeof module !== 'undefined' && module.exports) {
     // Node.js環境
-    return require('./radiator-manager.js').RadiatorManager;
-  } else if (typeof window !== 'undefined' && window.RadiatorManager) {
+    return require('./interval-event-manager.js').IntervalEventManager;
+  } else if (typeof window !== 'undefined' && window.IntervalEventManager) {
     // ブラウザ環境
-    return window.RadiatorManager;
+    return window.IntervalEventManager;
   } else {
-    throw new Error('radiator-manager.js が読み込まれていません。先に radiator-manager.js を読み込んでください。');
+    throw new Error('interval-event-manager.js が読み込まれていません。先に interval-event-manager.js を読み込んでください。');
   }
 }
 
+// 生徒データと生徒名の解決の参照（遅延初期化）
+function getTLEditorStudents() {
+  if (typeof module !== 'undefined' && module.exports) {
+    // Node.js環境
+    return {
+      data: require('./students.js').STUDENT_DATA,
+      resolver: require('./student-resolver.js')
+    };
+  } else if (typeof window !== 'undefined' && window.STUDENT_DATA && window.StudentResolver) {
+    // ブラウザ環境
+    return {
+      data: window.STUDENT_DATA,
+      resolver: window.StudentResolver
+    };
+  } else {
+    throw new Error('students.js / student-resolver.js が読み込まれていません。先に students.js と student-resolver.js を読み込んでください。');
+  }
+}
+
+/**
+ * resolveStudentOf: イベント名・生徒名から生徒を解決する（student-resolver.jsを参照）
+ * @param {string} text - イベント名や生徒名
+ * @returns {Object|null} { id, name, ex_cost, state_label, matched }
+ */
+function resolveStudentOf(text) {
+  const students = getTLEditorStudents();
+  return students.resolver.resolveStudent(text, students.data);
+}
+
 // 共通定数の参照
 const COST_POINT_UNIT = 30 * 10000;  // コスト1.0 = 300,000ポイント
 
@@ -176,7 +208,50 @@ const COST_SETTINGS = {
  */
 const COST_RECOVERY_INCREASE_PATTERN = /コスト回復力.*(?:増|上昇)/;
 const COST_RECOVERY_DECREASE_PATTERN = /コスト回復力.*(?:減|減少|低下)/;
-const BOSS_GEBURAH_PATTERN = /(ボス|boss).*?(ゲブラ|Geburah)/i; // ボス or bossの後にゲブラ or Geburahを含むパターン（大文字小文字区別なし）
+const BOSS_PATTERN = /^(?:ボス|boss)\s*([:：]?)\s*(\S.*)$/i; // 「ボス：ゲブラ」「ボスゲブラ」: ボスの指定（ボス名はbuff_data.boss_profilesで解決、matchBossLine参照）
+const STUDENT_RETREAT_PATTERN = /^(?:撤退|退場)$/; // 「撤退 ハナコ」: 名前を指定した生徒の撤退
+const STUDENT_COUNT_PATTERN = /^生徒数?$/; // 「生徒 -1」: 名前を指定しない生徒数の減少
+const PHASE_PATTERN = /^(?:フェーズ|phase|形態変化)/i; // 「フェーズ2 最大コスト20 コストリセット 制限時間3:00」: フェーズの切り替え
+const MAX_COST_CHANGE_PATTERN = /^最大コスト(?:変更)?\s*[:：=]?\s*(\d+(?:\.\d+)?)?$/; // 「最大コスト 21」: 最大コストのみの変更
+const COST_CHANGE_PATTERN = /^(?:コスト|cost)\s*([+\-＋－])\s*(\d+(?:\.\d+)?)\s*(.*)$/i; // 「コスト +2」「コスト -3 ボス」: コストの即時増減（行名と行の残りを続けて判定）
+
+/**
+ * 撤退イベントの継続フレーム数（ゲブラPSと同様に実質無限）
+ */
+const RETREAT_DURATION_FRAMES = 10000000;
+
+/**
+ * EX使用コストの軽減バフのevent_type（バフデータのcost_recovery_buffs内で指定する）
+ * cost_reduction: { type: 'flat'|'percent', amount, charges } を持ち、対象の生徒のEXの使用コストを減らす
+ * （charges: 軽減できる回数、nullの場合は継続時間中は回数の制限なし）
+ */
+const COST_REDUCTION_EVENT_TYPE = 'cost_reduction_buff';
+
+/**
+ * 未来のラベルの反復計算（TimelineProcessor.solveForwardLabels）の最大回数
+ * ラベルのフレームが変化しなくなるまで処理し直し、この回数で収束しない場合は警告する
+ */
+const LABEL_SOLVING_MAX_PASSES = 10;
+
+/**
+ * ギミックの開始・終了の行のフェーズの反復計算（TimelineProcessor.solveIntervalPhases）の最大回数
+ * フェーズの開始フレームが変化しなくなるまで処理し直し、この回数で収束しない場合は警告する
+ */
+const INTERVAL_PHASE_SOLVING_MAX_PASSES = 10;
+
+/**
+ * 特殊コマンドの行によるイベントの種類（最後の行より後でも出力する、flushPendingCommandEvents）
+ */
+const COMMAND_EVENT_KINDS = ['retreat', 'phase', 'cost_change'];
+
+/**
+ * 旧設定（固有2の有無）とスキルレベル設定（settings.skill_levels）の対応
+ * skill_levelsに該当する生徒・スキルの指定がない場合のみ旧設定を使用する
+ */
+const LEGACY_SKILL_LEVEL_SETTINGS = [
+  { setting: 'seia_koyuu2', student: 'セイア', skill: 'UE', levels: { yes: 2, no: 1 } },
+  { setting: 'magical_suzumi_koyuu2', student: 'マジカルスズミ', skill: 'UE', levels: { yes: 2, no: 1 } }
+];
 
 
 
@@ -231,6 +306,43 @@ const DEFAULT_EVENTS = {
 
 // processTimelineRow関数は削除されました - TimelineProcessorクラスを使用してください
 
+/**
+ * addRowDiagnostic: 行に関する診断情報を追加する
+ * 同じ行・同じ内容の診断情報は1件にまとめる（コストタイミングの再推定で同じ警告が繰り返されるため）
+ * 
+ * @param {Array|null} diagnostics - 診断情報の追加先（nullの場合は何もしない）
+ * @param {Object} row - 入力行（line_number, original_lineを使用）
+ * @param {string} severity - 重要度（'error' | 'warning' | 'info'）
+ * @param {string} code - 種類を表すコード
+ * @param {string} message - メッセージ
+ * @param {string|null} target - 該当する文字列（nullの場合は行全体）
+ */
+function addRowDiagnostic(diagnostics, row, severity, code, message, target = null) {
+  if (!Array.isArray(diagnostics) || !row) {
+    return;
+  }
+  const diagnostic = TLEditorCommon.createDiagnostic(
+    severity, code, row.line_number, row.original_line, target, message
+  );
+  const is_duplicate = diagnostics.some(existing =>
+    existing.line === diagnostic.line && existing.code === diagnostic.code && existing.message === diagnostic.message
+  );
+  if (!is_duplicate) {
+    diagnostics.push(diagnostic);
+  }
+}
+
+/**
+ * timingTargetOf: 行の時間・コスト指定部分の文字列を返す（診断情報の位置の特定用）
+ * 
+ * @param {Object} row - 入力行
+ * @returns {string|null} 時間・コスト指定の文字列、ない場合はnull
+ */
+function timingTargetOf(row) {
+  const beginning = (row.beginning || '').trim();
+  return beginning || row.reference || null;
+}
+
 /**
  * calculateFramesFromReference: 参照時点のタイムあるいはフレームを取得し、
  * それにmodifierとmodified_amountを適用してフレーム数を計算する
@@ -238,22 +350,22 @@ const DEFAULT_EVENTS = {
  * @param {Object} current_row - 現在行のデータ
  * @param {Map} label_map - ラベルマップ
  * @param {Object} settings - 設定オブジェクト
+ * @param {Array|null} diagnostics - 診断情報の追加先
  * @returns {number} 計算されたフレーム数
  */
-function calculateFramesFromReference(current_row, label_map, settings = {}) {
+function calculateFramesFromReference(current_row, label_map, settings = {}, diagnostics = null) {
   const ref_label = current_row.reference;
   const ref_event = label_map.get(ref_label);
   
   if (!ref_event) {
-    // ラベルが見つからない場合のエラーハンドリングと警告文追加
-    console.warn(`参照ラベル "${ref_label}" が見つかりません。0:00 を使用します。`);
-    
-    // 警告文をcurrent_rowのnoteに追加
+    // ラベルが見つからない場合は0:00を使用し、警告文をcurrent_rowのnoteと診断情報に追加
     if (!current_row.note) {
       current_row.note = [];
     }
     
     current_row.note.push(`${ref_label}というラベルは存在しません`);
+    addRowDiagnostic(diagnostics, current_row, 'error', 'UNKNOWN_LABEL',
+      `${ref_label}というラベルは存在しません`, ref_label);
     
     return 0;
   }
@@ -271,8 +383,6 @@ function calculateFramesFromReference(current_row, label_map, settings = {}) {
       ref_frame = TLEditorCommon.secondsToFrames(ref_event.time);
     } else {
       // 参照先のラベルに時間情報がない場合（未来のラベルを参照している可能性）
-      console.warn(`${ref_label}は時間指定が必要です。`);
-      
       // 警告文をcurrent_rowのnoteに追加
       if (!current_row.note) {
         current_row.note = [];
@@ -280,11 +390,16 @@ function calculateFramesFromReference(current_row, label_map, settings = {}) {
       
       if (current_row.modifier && current_row.modified_amount) {
         current_row.note.push(`未来の時間を指定する場合、${ref_label}で時間指定が必要です`);
+        addRowDiagnostic(diagnostics, current_row, 'warning', 'FUTURE_LABEL_REFERENCE',
+          `未来の時間を指定する場合、${ref_label}で時間指定が必要です`, ref_label);
       }
     }
     const mod = current_row.modifier;
     const mod_amount = current_row.modified_amount || 0;
-    const mod_frames = TLEditorCommon.secondsToFrames(mod_amount);
+    // フレーム単位（「#A+12f」）で指定された場合はそのフレーム数を使用する
+    const mod_frames = typeof current_row.modified_frames === 'number' ?
+      current_row.modified_frames :
+      TLEditorCommon.secondsToFrames(mod_amount);
 
     // interpretSign関数を使用して符号を解釈
     const modifier_sign = interpretSign(mod, settings);
@@ -325,6 +440,86 @@ function findMostRecentAdditionalEvent(event_type, current_frame, additional_eve
   return most_recent;
 }
 
+/**
+ * predictAdditionalEventActivity: 指定フレームで追加イベントがactiveになっているかを予測する
+ * TimelineProcessor.findMostRecentAdditionalEventがイベントを処理する規則に合わせる：
+ * - 進行中(active=true)のイベントは終了フレームまで有効
+ * - 未開始(active=false)で開始フレームが基準フレーム以降のイベントは開始～終了フレームの間有効
+ * - それ以外（終了済み、または開始フレームを過ぎてから登録されたイベント）は有効にならない
+ * 
+ * @param {Object} event - 追加イベント
+ * @param {number} frame - 判定するフレーム
+ * @param {number} from_frame - 予測の基準フレーム（現在フレーム）
+ * @returns {boolean} activeになっていればtrue
+ */
+function predictAdditionalEventActivity(event, frame, from_frame) {
+  if (event.active) {
+    return frame < event.end_frame;
+  }
+  if (event.start_frame >= from_frame) {
+    return event.start_frame <= frame && frame < event.end_frame;
+  }
+  return false;
+}
+
+/**
+ * parsePhaseOptions: フェーズの切り替え（「フェーズ2 最大コスト20 コストリセット 制限時間3:00」）の指定を解析する
+ * - 最大コスト○○: 最大コストの変更（省略時は変更しない）
+ * - コストリセット: コストを0にする（省略時・「コスト引き継ぎ」は現在のコストを引き継ぐ）
+ * - 制限時間m:ss（または秒数）: 表示するタイマーをこの時間から始める（省略時は前のフェーズのタイマーが続く）
+ * 
+ * @param {string} text - 行のending
+ * @returns {Object} { max_cost: number|null, cost_mode: 'carry'|'reset', timer_seconds: number|null }
+ */
+function parsePhaseOptions(text) {
+  const source = text || '';
+  const max_cost_match = source.match(/最大コスト\s*[:：=]?\s*(\d+(?:\.\d+)?)/);
+  const timer_match = source.match(/(?:制限時間|タイマー|timer)\s*[:：=]?\s*(?:(\d+):)?(\d+(?:\.\d+)?)/i);
+
+  return {
+    max_cost: max_cost_match ? parseFloat(max_cost_match[1]) : null,
+    cost_mode: /コストリセット|cost\s*reset/i.test(source) ? 'reset' : 'carry',
+    timer_seconds: timer_match ? (parseInt(timer_match[1] || '0', 10) * 60 + parseFloat(timer_match[2])) : null
+  };
+}
+
+/**
+ * applyCostChange: コストの即時増減（「コスト +2」「コスト -3 ボス」）をコストポイントに適用する
+ * - 増加: 最大コストを超えた分はあふれたコストとする
+ * - 減少: 0未満にはならない（EXの使用で既にコストが足りない場合はそのまま）
+ * 
+ * @param {number} cost_points - 増減前のコストポイント
+ * @param {number} cost_change - 増減するコスト（負の値で減少）
+ * @param {number} max_cost_points - 最大コストポイント
+ * @returns {Object} { cost_points: 増減後のコストポイント, overflow_points: あふれたコストポイント }
+ */
+function applyCostChange(cost_points, cost_change, max_cost_points) {
+  const changed_points = cost_points + Math.round(cost_change * COST_POINT_UNIT);
+  if (cost_change >= 0) {
+    return { cost_points: Math.min(changed_points, max_cost_points), overflow_points: Math.max(0, changed_points - max_cost_points) };
+  }
+  return { cost_points: Math.max(changed_points, Math.min(cost_points, 0)), overflow_points: 0 };
+}
+
+/**
+ * resolveMaxCost: 設定の最大コスト（settings.max_cost）を数値にする
+ * 制約解除決戦の20〜22なども含め、0より大きい任意の値を受け付ける（設定JSONの文字列も数値に変換する）
+ * 
+ * @param {number|string} value - 設定の最大コスト
+ * @returns {number} 最大コスト（不正な値の場合はCOST_SETTINGS.DEFAULT_MAX_COST）
+ */
+function resolveMaxCost(value) {
+  if (value === undefined || value === null || value === '') {
+    return COST_SETTINGS.DEFAULT_MAX_COST;
+  }
+  const max_cost = Number(value);
+  if (!Number.isFinite(max_cost) || max_cost <= 0) {
+    console.warn(`警告: 最大コスト「${value}」は不正な値のため、${COST_SETTINGS.DEFAULT_MAX_COST}として処理します`);
+    return COST_SETTINGS.DEFAULT_MAX_COST;
+  }
+  return max_cost;
+}
+
 // ==============================
 // 5. コスト計算関連
 // ==============================
@@ -334,14 +529,27 @@ function findMostRecentAdditionalEvent(event_type, current_frame, additional_eve
  * 将来的にここの処理はよりリッチにする
  * 各生徒ごとのバフを管理できるようにする
  * 
+ * 【編成（roster）の扱い】
+ * - rosterが指定されている場合は、その4人のストライカーと2人のスペシャル生徒（個別の基礎コスト回復力付き）で計算する
+ *   バフのターゲットは編成内の生徒名と照合し、編成にいない生徒へのバフは無視される
+ * - rosterが指定されていない場合は従来通り、バフを持つ生徒をストライカーとみなし、
+ *   残りを「ストライカー○」「スペシャル生徒○」で補完する（基礎コスト回復力は全員700）
+ * 
+ * 【撤退（event_kind: 'retreat'）の扱い】
+ * - 有効な撤退イベントの生徒は編成から除外され、その生徒の基礎コスト回復力とバフは計算されない
+ * - 名前のない撤退（「生徒 -1」）はremoveRetreatedStudentsの規則で除外する生徒を選ぶ
+ * - 生徒数はadditional_eventsの撤退イベントから求めるため、active_studentsは計算には使用しない
+ *   （コストタイミング予測で将来の撤退を反映できるようにするため）
+ * 
  * @param {Array} additional_events - 追加イベントリスト
  * @param {number} current_frame - 現在のフレーム
  * @param {boolean} ss_enabled - コスト回復SSが有効かどうか
- * @param {number} active_students - 現在の生徒数（デフォルト6）
- * @param {boolean} is_boss_geburah - ゲブラボス戦かどうか（デフォルト false）
+ * @param {number} active_students - 現在の生徒数（デフォルト6、表示用）
+ * @param {Object|null} role_multipliers - ボスによるロール倍率 { striker, special }（ボスのプロファイルのrole_multipliers、デフォルト null: 等倍）
+ * @param {Object|null} roster - 編成（resolveRosterの戻り値、デフォルト null）
  * @returns {number} 総コスト回復量
  */
-function calculateTotalCostRecovery(additional_events, current_frame, ss_enabled = false, active_students = 6, is_boss_geburah = false) {
+function calculateTotalCostRecovery(additional_events, current_frame, ss_enabled = false, active_students = 6, role_multipliers = null, roster = null) {
   if (current_frame < 60) {
     // 2秒（60フレーム）未満ではコスト回復は発生しない
     return 0;
@@ -351,6 +559,7 @@ function calculateTotalCostRecovery(additional_events, current_frame, ss_enabled
   const active_buffs = [];
   const global_buffs = []; // buff_target が "NA" のバフ（全体への追加回復）
   const all_student_buffs = []; // buff_target が "全員"/"全体"/"all"/"ALL" のバフ
+  const retreats = []; // 撤退イベント
   
   for (const event of additional_events) {
     // activeフラグがtrueであり、開始フレーム <= current_frame < 終了フレームを満たすバフを探す
@@ -358,13 +567,20 @@ function calculateTotalCostRecovery(additional_events, current_frame, ss_enabled
         event.start_frame <= current_frame && 
         event.end_frame > current_frame) {
       
+      // 撤退イベントはバフとは別に扱う
+      if (event.event_kind === 'retreat') {
+        retreats.push(event);
+        continue;
+      }
+      // フェーズの切り替え・コストの即時増減・EX使用コストの軽減はコスト回復力に影響しない
+      if (event.event_kind === 'phase' || event.event_kind === 'cost_change' || event.event_kind === 'cost_reduction') {
+        continue;
+      }
+      
       // buff_targetによってバフを分類
       if (event.buff_target === "NA") {
         global_buffs.push(event);
-      } else if (event.buff_target && 
-                 (event.buff_target.toLowerCase() === "all" || 
-                  event.buff_target === "全員" || 
-                  event.buff_target === "全体")) {
+      } else if (isAllStudentsTarget(event.buff_target)) {
         all_student_buffs.push(event);
       } else {
         active_buffs.push(event);
@@ -377,10 +593,103 @@ function calculateTotalCostRecovery(additional_events, current_frame, ss_enabled
     throw new Error(`バフの個数が${active_buffs.length}個で上限（6個）を超えています`);
   }
   
-  const base_recovery = 700; // 基礎コスト回復値
   const cost_recovery_ss_multiplier = 0.2029; // SS効果の係数
-  const geburah_striker_bonus = 0.25; // ゲブラ戦でのストライカー追加倍率
+  const striker_multiplier = role_multipliers && typeof role_multipliers.striker === 'number' ? role_multipliers.striker : 1;
+  const special_multiplier = role_multipliers && typeof role_multipliers.special === 'number' ? role_multipliers.special : 1;
+  
+  // 撤退した生徒へのバフは仮の編成にも含めない
+  const retreated_names = new Set(retreats.map(event => event.retreat_target).filter(name => name));
+  const remaining_buffs = active_buffs.filter(buff => !retreated_names.has(buff.buff_target));
+  
+  // ストライカー/スペシャル生徒の一覧（名前と基礎コスト回復力）
+  const { strikers, specials } = removeRetreatedStudents(
+    roster ? roster : createPlaceholderRoster(remaining_buffs),
+    retreats,
+    remaining_buffs
+  );
+  
+  let total_cost_recovery = 0;
+  
+  // 全生徒に適用されるバフの総量を計算
+  let all_student_buff_total = 0;
+  for (const buff of all_student_buffs) {
+    all_student_buff_total += buff.buff_amount;
+  }
+  
+  // 各ストライカー生徒のコスト回復力を計算
+  const striker_recoveries = [];
+  for (const student of strikers) {
+    let student_recovery = student.cost_recovery + all_student_buff_total;
+    
+    // この生徒に関連するバフをすべて探して追加
+    for (const buff of active_buffs) {
+      if (buff.buff_target === student.name) {
+        student_recovery += buff.buff_amount;
+      }
+    }
+    
+    // ロール倍率の計算（ストライカー：ゲブラ戦では1.25倍）
+    const role_multiplier = striker_multiplier + ss_enabled * cost_recovery_ss_multiplier;
+    
+    const final_recovery = Math.round(student_recovery * role_multiplier);
+    striker_recoveries.push(`${student.name}:${final_recovery}`);
+    total_cost_recovery += final_recovery;
+  }
+  console.log(`calculateTotalCostRecovery: ストライカー [${striker_recoveries.join(', ')}]`);
   
+  // 各スペシャル生徒のコスト回復力を計算
+  const special_recoveries = [];
+  for (const student of specials) {
+    let student_recovery = student.cost_recovery + all_student_buff_total;
+    
+    // この生徒に関連するバフをすべて探して追加
+    for (const buff of active_buffs) {
+      if (buff.buff_target === student.name) {
+        student_recovery += buff.buff_amount;
+      }
+    }
+    
+    // ロール倍率の計算（スペシャル：ゲブラ戦でも等倍）
+    const role_multiplier = special_multiplier + ss_enabled * cost_recovery_ss_multiplier;
+    
+    const final_recovery = Math.round(student_recovery * role_multiplier);
+    special_recoveries.push(`${student.name}:${final_recovery}`);
+    total_cost_recovery += final_recovery;
+  }
+  console.log(`calculateTotalCostRecovery: スペシャル生徒 [${special_recoveries.join(', ')}]`);
+  
+  // グローバルバフ（NA）の追加回復量を計算
+  let global_buff_total = 0;
+  for (const buff of global_buffs) {
+    const global_actual = ss_enabled ? 
+      Math.round(buff.buff_amount * (1 + cost_recovery_ss_multiplier)) : 
+      buff.buff_amount;
+    global_buff_total += global_actual;
+  }
+  
+  total_cost_recovery += global_buff_total;
+  
+  return total_cost_recovery;
+}
+
+/**
+ * isAllStudentsTarget: バフのターゲットが全生徒を表すかどうかを判定する
+ * @param {string|null} buff_target - バフのターゲット
+ * @returns {boolean} "全員"/"全体"/"all"/"ALL" の場合true
+ */
+function isAllStudentsTarget(buff_target) {
+  return !!buff_target &&
+    (buff_target.toLowerCase() === "all" || buff_target === "全員" || buff_target === "全体");
+}
+
+/**
+ * createPlaceholderRoster: 編成が指定されていない場合の仮の編成を作成する
+ * バフを持つ生徒をストライカーとし、不足分を「ストライカー○」「スペシャル生徒○」で補完する
+ * 
+ * @param {Array} active_buffs - 個人を対象とする有効なバフのリスト
+ * @returns {Object} { strikers: Array<{name, cost_recovery}>, specials: Array<{name, cost_recovery}> }
+ */
+function createPlaceholderRoster(active_buffs) {
   // ストライカー/スペシャル生徒の定義（既存バフがある生徒を含む）
   const striker_students = new Set(['水着ホシノ', 'セイア', 'チェリノ', 'カノエ', 'マジカルスズミ']);
   const special_students = new Set(); // 現在は空集合
@@ -419,11 +728,8 @@ function calculateTotalCostRecovery(additional_events, current_frame, ss_enabled
     striker_count--;
   }
   
-  // スペシャル生徒を2人になるように追加
-  const all_special_students = new Set(special_students);
-  const existing_specials = [...active_targets].filter(target => special_students.has(target));
-  
   // スペシャルが2人未満の場合、「スペシャル生徒○」で補完
+  const all_special_students = new Set(special_students);
   let special_count = 2;
   while (all_special_students.size < 2) {
     const special_name = `スペシャル生徒${special_count}`;
@@ -433,71 +739,427 @@ function calculateTotalCostRecovery(additional_events, current_frame, ss_enabled
     special_count--;
   }
   
-  let total_cost_recovery = 0;
-  
-  // 全生徒に適用されるバフの総量を計算
-  let all_student_buff_total = 0;
-  for (const buff of all_student_buffs) {
-    all_student_buff_total += buff.buff_amount;
+  const toEntry = name => ({ name: name, cost_recovery: COST_SETTINGS.BASE_RECOVERY_PER_STUDENT });
+  return {
+    strikers: [...all_striker_students].map(toEntry),
+    specials: [...all_special_students].map(toEntry)
+  };
+}
+
+/**
+ * removeRetreatedStudents: 撤退イベントに従って編成から生徒を除外する
+ * - 名前を指定した撤退：その生徒を除外する。編成にいない場合は名前を指定しない撤退として扱う
+ * - 名前を指定しない撤退：バフを持たない生徒をストライカーの後ろから順に（次にスペシャルの後ろから）除外する
+ *   仮の編成では「ストライカー○」などの補完された生徒が先に除外される
+ * 
+ * @param {Object} roster - { strikers, specials }
+ * @param {Array} retreats - 有効な撤退イベントのリスト
+ * @param {Array} active_buffs - 個人を対象とする有効なバフのリスト
+ * @returns {Object} 撤退した生徒を除いた { strikers, specials }
+ */
+function removeRetreatedStudents(roster, retreats, active_buffs) {
+  if (retreats.length === 0) {
+    return roster;
   }
   
-  // 各ストライカー生徒のコスト回復力を計算
-  const striker_recoveries = [];
-  for (const student of all_striker_students) {
-    let student_recovery = base_recovery + all_student_buff_total;
+  const strikers = [...roster.strikers];
+  const specials = [...roster.specials];
+  let anonymous_count = 0;
+  
+  // 名前を指定した撤退を先に処理する（同じ生徒の重複した撤退は1回のみ）
+  const retreated_names = new Set();
+  for (const event of retreats) {
+    const name = event.retreat_target;
+    if (!name) {
+      anonymous_count += event.retreat_count || 1;
+      continue;
+    }
+    if (retreated_names.has(name)) {
+      continue;
+    }
+    retreated_names.add(name);
     
-    // この生徒に関連するバフをすべて探して追加
-    for (const buff of active_buffs) {
-      if (buff.buff_target === student) {
-        student_recovery += buff.buff_amount;
+    const striker_index = strikers.findIndex(student => student.name === name);
+    const special_index = specials.findIndex(student => student.name === name);
+    if (striker_index !== -1) {
+      strikers.splice(striker_index, 1);
+    } else if (special_index !== -1) {
+      specials.splice(special_index, 1);
+    } else {
+      anonymous_count += 1;
+    }
+  }
+  
+  // 名前を指定しない撤退：バフを持たない生徒を後ろから除外する
+  const buffed_names = new Set(active_buffs.map(buff => buff.buff_target));
+  for (const students of [strikers, specials]) {
+    for (let i = students.length - 1; i >= 0 && anonymous_count > 0; i--) {
+      if (!buffed_names.has(students[i].name)) {
+        students.splice(i, 1);
+        anonymous_count--;
       }
     }
+  }
+  
+  // それでも足りない場合はバフの有無にかかわらず後ろから除外する
+  while (anonymous_count > 0 && (strikers.length > 0 || specials.length > 0)) {
+    (strikers.length > 0 ? strikers : specials).pop();
+    anonymous_count--;
+  }
+  
+  return { strikers, specials };
+}
+
+/**
+ * canonicalizeStudentName: 生徒名をバフのターゲット名に揃える
+ * 生徒データ（students.js）で解決できる場合はその生徒名を返す（例: マジスズ → マジカルスズミ）
+ * 解決できない場合、バフの検出パターンに一致すればそのターゲット名を返す
+ * 
+ * @param {string} raw_name - 入力された生徒名
+ * @param {Object|null} buff_data - バフデータ
+ * @returns {string} 正規化された生徒名
+ */
+function canonicalizeStudentName(raw_name, buff_data = null) {
+  const student = resolveStudentOf(raw_name);
+  if (student) {
+    return student.name;
+  }
+  const buff_info = buff_data ? detectCostRecoveryBuff(raw_name, buff_data, null) : null;
+  return (buff_info && buff_info.buff_target) ? buff_info.buff_target : raw_name;
+}
+
+/**
+ * parseRosterEntries: 編成指定の文字列を生徒のリストに変換する
+ * 空白区切りで生徒名を並べ、「名前:回復力」で個別の基礎コスト回復力を指定できる
+ * 例: "水着ホシノ セイア ミカ:720 キサキ"
+ * 
+ * @param {string|Array<string>} entries - 編成指定の文字列、または空白で分割済みのトークン
+ * @param {Object|null} buff_data - 生徒名の正規化に使用するバフデータ
+ * @returns {Array<{name: string, cost_recovery: number}>} 生徒のリスト
+ */
+function parseRosterEntries(entries, buff_data = null) {
+  const tokens = Array.isArray(entries) ?
+    entries :
+    String(entries || '').split(/[\s,、]+/);
+  
+  const students = [];
+  for (const token of tokens) {
+    if (!token) continue;
     
-    // ロール倍率の計算（ストライカー）
-    const role_multiplier = 1 + is_boss_geburah * geburah_striker_bonus + ss_enabled * cost_recovery_ss_multiplier;
+    const match = token.match(/^(.+?)[:：](\d+(?:\.\d+)?)$/);
+    const raw_name = match ? match[1] : token;
+    const cost_recovery = match ? parseFloat(match[2]) : COST_SETTINGS.BASE_RECOVERY_PER_STUDENT;
     
-    const final_recovery = Math.round(student_recovery * role_multiplier);
-    striker_recoveries.push(`${student}:${final_recovery}`);
-    total_cost_recovery += final_recovery;
+    students.push({ name: canonicalizeStudentName(raw_name, buff_data), cost_recovery: cost_recovery });
+  }
+  return students;
+}
+
+/**
+ * resolveRoster: 設定とTLヘッダーの編成指定から編成を決定する
+ * TLヘッダーの「@ストライカー」「@スペシャル」行が設定（roster_strikers / roster_specials）より優先される
+ * 
+ * @param {Object} settings - 設定オブジェクト
+ * @param {Array} rows - input_json.timeline
+ * @param {Object|null} buff_data - バフデータ
+ * @param {Array|null} diagnostics - 人数が足りない編成の診断情報の追加先（デフォルト null）
+ * @returns {Object|null} { strikers, specials }、編成が指定されていない場合はnull
+ */
+function resolveRoster(settings, rows, buff_data = null, diagnostics = null) {
+  let striker_source = settings.roster_strikers || '';
+  let special_source = settings.roster_specials || '';
+  // 編成指定の行（設定の編成を使用する場合は行番号のない診断情報とする）
+  let striker_row = { line_number: null, original_line: '' };
+  let special_row = { line_number: null, original_line: '' };
+  
+  for (const row of rows) {
+    if (!row.is_directive) continue;
+    if (row.directive === 'striker') {
+      striker_source = row.directive_args;
+      striker_row = row;
+    }
+    if (row.directive === 'special') {
+      special_source = row.directive_args;
+      special_row = row;
+    }
+  }
+  
+  const strikers = parseRosterEntries(striker_source, buff_data);
+  const specials = parseRosterEntries(special_source, buff_data);
+  
+  if (strikers.length === 0 && specials.length === 0) {
+    return null;
+  }
+  if (strikers.length > 4) {
+    throw new Error(`ストライカーが${strikers.length}人で上限（4人）を超えています`);
+  }
+  if (specials.length > 2) {
+    throw new Error(`スペシャル生徒が${specials.length}人で上限（2人）を超えています`);
+  }
+  // 人数が足りない編成はそのまま計算するが、指定漏れの可能性があるため警告する
+  if (strikers.length < 4) {
+    addRowDiagnostic(diagnostics, striker_row, 'warning', 'INCOMPLETE_ROSTER',
+      `編成のストライカーが${strikers.length}人です（4人に満たないため、${strikers.length}人で計算します）`);
+  }
+  if (specials.length < 2) {
+    addRowDiagnostic(diagnostics, special_row, 'warning', 'INCOMPLETE_ROSTER',
+      `編成のスペシャル生徒が${specials.length}人です（2人に満たないため、${specials.length}人で計算します）`);
+  }
+  
+  return { strikers, specials };
+}
+
+/**
+ * matchesTextPatterns: 文字列がパターン（detection_patternsと同じ形式）のいずれかに一致するかを判定する
+ * @param {string} text - 判定する文字列
+ * @param {Array} patterns - 文字列（部分一致）または { type: 'regex'|'string', pattern } の配列
+ * @returns {boolean} 一致する場合はtrue
+ */
+function matchesTextPatterns(text, patterns) {
+  return (patterns || []).some(pattern => {
+    if (pattern && pattern.type === 'regex') {
+      return new RegExp(pattern.pattern, 'i').test(text);
+    }
+    return text.includes(typeof pattern === 'string' ? pattern : pattern.pattern);
+  });
+}
+
+/**
+ * findBossProfile: ボス名（「ボス：ゲブラ」の「ゲブラ」、または設定のboss）からボスのプロファイルを検索する
+ * buff_data.boss_profilesのキー・boss_nameとの一致、またはdetection_patternsへの一致で検索する
+ *
+ * @param {string} boss_name - ボス名
+ * @param {Object} buff_data - バフデータ
+ * @returns {Object|null} { boss_key, ...プロファイル }、見つからない場合はnull
+ */
+function findBossProfile(boss_name, buff_data) {
+  if (!boss_name || !buff_data || !buff_data.boss_profiles) {
+    return null;
+  }
+  for (const [boss_key, profile] of Object.entries(buff_data.boss_profiles)) {
+    if (boss_key === boss_name || profile.boss_name === boss_name || matchesTextPatterns(boss_name, profile.detection_patterns)) {
+      return { boss_key: boss_key, ...profile };
+    }
+  }
+  return null;
+}
+
+/**
+ * matchBossLine: 行がボスの指定（「ボス：ゲブラ」「ボス ゲブラ」）かを判定する
+ * 「：」のある行は常にボスの指定とし、「：」のない行はボス名がプロファイルに一致する場合のみボスの指定とする
+ * （「2:30 ボス怒り」のようなボスの行動の行は通常の行として処理する）
+ *
+ * @param {Object} row - 入力行
+ * @param {Object} buff_data - バフデータ
+ * @returns {Object|null} { boss_name, profile }（profileはプロファイルがない場合null）、ボスの指定でない場合はnull
+ */
+function matchBossLine(row, buff_data) {
+  const match = `${row.event_name}${row.ending || ''}`.trim().match(BOSS_PATTERN);
+  if (!match) {
+    return null;
+  }
+  const boss_name = match[2].trim();
+  const profile = findBossProfile(boss_name, buff_data);
+  return profile || match[1] ? { boss_name: boss_name, profile: profile } : null;
+}
+
+/**
+ * resolveBossProfile: 設定とTLの「ボス ○○」の行からボスのプロファイルを決定する
+ * TLの行は設定より優先し、複数ある場合は最初の行を使用する（行は処理前に読むため、
+ * ボスのロール倍率・ギミックはボスの行より前の行にも適用される）
+ *
+ * @param {Object} settings - 設定（settings.bossにboss_profilesのキーまたはボス名）
+ * @param {Array} rows - input_json.timeline
+ * @param {Object} buff_data - バフデータ
+ * @returns {Object|null} { boss_key, ...プロファイル }、ボスの指定がない場合はnull
+ */
+function resolveBossProfile(settings, rows, buff_data) {
+  if (settings.special_command_accepted === 'yes') {
+    for (const row of rows) {
+      const boss_line = !row.is_directive && row.event_name ? matchBossLine(row, buff_data) : null;
+      if (boss_line && boss_line.profile) {
+        return boss_line.profile;
+      }
+    }
+  }
+
+  if (settings.boss) {
+    const profile = findBossProfile(settings.boss, buff_data);
+    if (!profile) {
+      console.warn(`警告: ボス「${settings.boss}」のプロファイルがバフデータにないため、ボスの指定なしとして処理します`);
+    }
+    return profile;
+  }
+  return null;
+}
+
+/**
+ * resolveIntervalGimmicks: バフデータのinterval_gimmicks（開始・終了の行の組で有効区間が決まるギミック）の設定を列挙する
+ * ボスのプロファイルのgimmicksに指定されたもの、またはalways_enabledのものを有効（enabled: true）とする
+ * 無効なギミックも開始・終了の行を特殊コマンドとするため列挙する
+ *
+ * @param {Object} buff_data - バフデータ
+ * @param {Object|null} boss_profile - ボスのプロファイル（resolveBossProfileの戻り値）
+ * @returns {Array<Object>} IntervalEventManagerの設定 { gimmick_key, enabled, ...ギミックの設定 } の配列
+ */
+function resolveIntervalGimmicks(buff_data, boss_profile) {
+  const gimmicks = (buff_data && buff_data.interval_gimmicks) || {};
+  const boss_gimmicks = (boss_profile && boss_profile.gimmicks) || [];
+  for (const gimmick_key of boss_gimmicks) {
+    if (!gimmicks[gimmick_key]) {
+      console.warn(`警告: ボス「${boss_profile.boss_name}」のギミック「${gimmick_key}」がバフデータのinterval_gimmicksにありません`);
+    }
+  }
+
+  return Object.entries(gimmicks).map(([gimmick_key, gimmick]) => ({
+    ...gimmick,
+    gimmick_key: gimmick_key,
+    enabled: gimmick.always_enabled === true || boss_gimmicks.includes(gimmick_key)
+  }));
+}
+
+// calculateCostPointsRecovered関数は削除されました - 使用されていませんでした
+
+/**
+ * CostTrace - フレームごとのコストの推移（TimelineProcessor.getCostTraceの戻り値）
+ * 
+ * 【データ構造】
+ * 総コスト回復力が一定の区間（segments）の列として保持し、各フレームの状態は問い合わせ時に計算する
+ * - segment: { start_frame, end_frame, start_cost_points, total_cost_recovery, max_cost_points, overflow_points_before }
+ *   start_frameのイベントをすべて処理した後のコストポイントから、end_frame（次の区間の開始）の直前まで
+ *   1フレームごとにtotal_cost_recoveryずつ回復する（A.2.d、区間の最大コストを超えた分はあふれる）
+ *   最大コストはフェーズの切り替えで変わるため区間ごとに持つ
+ * - あふれたコストポイントは戦闘開始からの累計とする
+ * 
+ * 同じフレームにイベントがある場合、そのフレームの状態はすべてのイベントを処理した後のものとする
+ */
+class CostTrace {
+  /**
+   * @param {Array} segments - 区間の配列（start_frameの昇順、最初の区間は0フレームから）
+   * @param {Array} additional_events - 追加イベントリスト（有効なバフの判定用）
+   * @param {Object} options - { max_cost_points, end_frame, processed_frame }
+   *   max_cost_points: 区間の最大コストの最大値
+   *   processed_frame: TimelineProcessorが処理した最後のフレーム（これより後の有効なバフは予測）
+   */
+  constructor(segments, additional_events, options) {
+    this.segments = segments;
+    this.additional_events = additional_events;
+    this.max_cost_points = options.max_cost_points;
+    this.end_frame = options.end_frame;
+    this.processed_frame = options.processed_frame;
+  }
+
+  /**
+   * フレームを含む区間を二分探索で取得する
+   * @param {number} frame - フレーム数（0以上end_frame以下の整数）
+   * @returns {Object} 区間
+   */
+  findSegment(frame) {
+    if (!Number.isInteger(frame) || frame < 0 || frame > this.end_frame) {
+      throw new RangeError(`フレーム${frame}はコスト推移の範囲外です（0～${this.end_frame}）`);
+    }
+    let low = 0;
+    let high = this.segments.length - 1;
+    while (low < high) {
+      const middle = Math.ceil((low + high) / 2);
+      if (this.segments[middle].start_frame <= frame) {
+        low = middle;
+      } else {
+        high = middle - 1;
+      }
+    }
+    return this.segments[low];
+  }
+
+  /**
+   * 指定フレームの状態を取得する
+   * @param {number} frame - フレーム数
+   * @returns {Object} { frame, remaining_cost_points, cost, total_cost_recovery, overflow_points, active_buffs }
+   *   overflow_points: 戦闘開始からそのフレームまでにあふれたコストポイントの累計
+   *   active_buffs: 有効なバフ（撤退・フェーズの切り替えを除くadditional_events）の { event_name, buff_target, buff_amount }
+   */
+  at(frame) {
+    const segment = this.findSegment(frame);
+    const raw_points = segment.start_cost_points + (frame - segment.start_frame) * segment.total_cost_recovery;
+    const remaining_cost_points = Math.min(raw_points, segment.max_cost_points);
+
+    const active_buffs = this.additional_events
+      .filter(event => !['retreat', 'phase', 'cost_change', 'cost_reduction'].includes(event.event_kind))
+      .filter(event => frame <= this.processed_frame ?
+        (event.start_frame <= frame && frame < event.end_frame) :
+        predictAdditionalEventActivity(event, frame, this.processed_frame))
+      .map(event => ({ event_name: event.event_name, buff_target: event.buff_target, buff_amount: event.buff_amount }));
+
+    return {
+      frame: frame,
+      remaining_cost_points: remaining_cost_points,
+      cost: remaining_cost_points / COST_POINT_UNIT,
+      total_cost_recovery: segment.total_cost_recovery,
+      overflow_points: segment.overflow_points_before + Math.max(0, raw_points - segment.max_cost_points),
+      active_buffs: active_buffs
+    };
+  }
+
+  /**
+   * 指定フレームのコストポイントを取得する
+   * @param {number} frame - フレーム数
+   * @returns {number} remaining_cost_points
+   */
+  costPointsAt(frame) {
+    const segment = this.findSegment(frame);
+    return Math.min(
+      segment.start_cost_points + (frame - segment.start_frame) * segment.total_cost_recovery,
+      segment.max_cost_points
+    );
   }
-  console.log(`calculateTotalCostRecovery: ストライカー [${striker_recoveries.join(', ')}]`);
-  
-  // 各スペシャル生徒のコスト回復力を計算
-  const special_recoveries = [];
-  for (const student of all_special_students) {
-    let student_recovery = base_recovery + all_student_buff_total;
-    
-    // この生徒に関連するバフをすべて探して追加
-    for (const buff of active_buffs) {
-      if (buff.buff_target === student) {
-        student_recovery += buff.buff_amount;
+
+  /**
+   * from_frame以降でコストが指定値以上となる最初のフレームを求める
+   * 区間の終わり（次のイベントのフレーム）はイベントを処理する前の回復後のコストで判定する
+   * （コストタイミング指定の行がEXを使用するフレームと同じ）
+   * @param {number} cost - コスト（calculateFramesFromCostTimingと同じくコストポイントに変換して比較する）
+   * @param {number} from_frame - 探索を開始するフレーム（このフレームを含む）
+   * @returns {number|null} フレーム数、end_frameまでに到達しない場合はnull
+   */
+  findFrameReachingCost(cost, from_frame = 0) {
+    const target_points = Math.round(cost * COST_POINT_UNIT);
+    if (target_points > this.max_cost_points) {
+      return null;
+    }
+
+    const first_segment = this.findSegment(from_frame);
+    for (let i = this.segments.indexOf(first_segment); i < this.segments.length; i++) {
+      const segment = this.segments[i];
+      const range_start = Math.max(segment.start_frame, from_frame);
+      const range_end = Math.min(segment.end_frame, this.end_frame); // 次のイベントを処理する前まで
+      const start_points = this.costPointsAt(range_start);
+
+      if (start_points >= target_points) {
+        return range_start;
+      }
+      if (segment.total_cost_recovery > 0 && target_points <= segment.max_cost_points) {
+        const frame = range_start + Math.ceil((target_points - start_points) / segment.total_cost_recovery);
+        if (frame <= range_end) {
+          return frame;
+        }
       }
     }
-    
-    // ロール倍率の計算（スペシャル：ゲブラ戦でも等倍）
-    const role_multiplier = 1 + ss_enabled * cost_recovery_ss_multiplier;
-    
-    const final_recovery = Math.round(student_recovery * role_multiplier);
-    special_recoveries.push(`${student}:${final_recovery}`);
-    total_cost_recovery += final_recovery;
+    return null;
   }
-  console.log(`calculateTotalCostRecovery: スペシャル生徒 [${special_recoveries.join(', ')}]`);
-  
-  // グローバルバフ（NA）の追加回復量を計算
-  let global_buff_total = 0;
-  for (const buff of global_buffs) {
-    const global_actual = ss_enabled ? 
-      Math.round(buff.buff_amount * (1 + cost_recovery_ss_multiplier)) : 
-      buff.buff_amount;
-    global_buff_total += global_actual;
+
+  /**
+   * フレームごとの状態を順に返す（必要な分だけ計算する）
+   * @param {number} start_frame - 最初のフレーム
+   * @param {number} end_frame - 最後のフレーム（このフレームを含む）
+   * @yields {Object} at(frame)と同じ状態
+   */
+  *frames(start_frame = 0, end_frame = this.end_frame) {
+    for (let frame = start_frame; frame <= Math.min(end_frame, this.end_frame); frame++) {
+      yield this.at(frame);
+    }
   }
-  
-  total_cost_recovery += global_buff_total;
-  
-  return total_cost_recovery;
 }
 
-// calculateCostPointsRecovered関数は削除されました - 使用されていませんでした
 
 // ==============================
 // 6. 特殊イベント処理
@@ -530,12 +1192,16 @@ function calculateTotalCostRecovery(additional_events, current_frame, ss_enabled
 /**
  * コスト回復バフの検出
  * buffs.jsonのデータを使用してバフを検出する
+ * - student_idを持つバフ：イベントの生徒ID（students.jsで解決したもの）が一致すれば検出
+ * - detection_patternsを持つバフ：イベント名がパターンに一致すれば検出（ユーザー定義のバフ向け）
+ * 戦闘開始時に発動するバフ（trigger: battle_start）はイベントからは検出しない
  * 
  * @param {string} event_name - イベント名
  * @param {Object} buff_data - バフデータ（buffs.jsonから読み込まれたデータ）
+ * @param {string|null|undefined} student_id - イベントの生徒ID（undefinedの場合はevent_nameから解決する）
  * @returns {Object|null} バフ情報、またはnull
  */
-function detectCostRecoveryBuff(event_name, buff_data = null) {
+function detectCostRecoveryBuff(event_name, buff_data = null, student_id = undefined) {
   // パラメータで渡されたbuff_dataを使用
   const data_source = buff_data;
   
@@ -544,56 +1210,265 @@ function detectCostRecoveryBuff(event_name, buff_data = null) {
     return null;
   }
 
+  if (student_id === undefined) {
+    const student = resolveStudentOf(event_name);
+    student_id = student ? student.id : null;
+  }
+
   for (const [buff_key, buff_config] of Object.entries(data_source.cost_recovery_buffs)) {
-    // detection_patternsを使用してイベント名をチェック
-    for (const pattern of buff_config.detection_patterns) {
-      let isMatch = false;
-      
-      if (pattern.type === 'regex') {
-        // 正規表現パターンの場合
-        const regex = new RegExp(pattern.pattern, 'i'); // 大文字小文字を区別しない
-        isMatch = regex.test(event_name);
-      } else {
-        // 従来の文字列包含検索（後方互換性のため）
-        const patternString = typeof pattern === 'string' ? pattern : pattern.pattern;
-        isMatch = event_name.includes(patternString);
-      }
-      
-      if (isMatch) {
-        // 除外パターンがある場合はチェック
-        if (buff_config.exclusion_patterns && Array.isArray(buff_config.exclusion_patterns)) {
-          // 除外パターンのいずれかにマッチする場合はスキップ
-          const hasExclusionPattern = buff_config.exclusion_patterns.some(exclusion => {
-            if (exclusion.type === 'regex') {
-              const excludeRegex = new RegExp(exclusion.pattern, 'i');
-              return excludeRegex.test(event_name);
-            } else {
-              const excludeString = typeof exclusion === 'string' ? exclusion : exclusion.pattern;
-              return event_name.includes(excludeString);
-            }
-          });
-          
-          if (hasExclusionPattern) {
-            // console.log(`バフ検出をスキップ: "${event_name}" に除外パターンが含まれています`);
-            continue; // このパターンはスキップして次のパターンへ
+    // EX使用コストの軽減バフはdetectCostReductionBuffsで検出する
+    if (buff_config.event_type === COST_REDUCTION_EVENT_TYPE) {
+      continue;
+    }
+    if (matchesBuffTrigger(buff_config, event_name, student_id)) {
+      return createBuffInfo(buff_config);
+    }
+  }
+  return null;
+}
+
+/**
+ * EX使用コストの軽減バフ（event_type: "cost_reduction_buff"）の検出
+ * コスト回復バフと同じ生徒が発動する場合もあるため、一致するものをすべて返す
+ * 
+ * @param {string} event_name - イベント名
+ * @param {Object} buff_data - バフデータ
+ * @param {string|null} student_id - イベントの生徒ID
+ * @returns {Array<Object>} バフ情報の配列
+ */
+function detectCostReductionBuffs(event_name, buff_data, student_id) {
+  if (!buff_data || !buff_data.cost_recovery_buffs) {
+    return [];
+  }
+  return Object.values(buff_data.cost_recovery_buffs)
+    .filter(buff_config => buff_config.event_type === COST_REDUCTION_EVENT_TYPE)
+    .filter(buff_config => matchesBuffTrigger(buff_config, event_name, student_id))
+    .map(createBuffInfo);
+}
+
+/**
+ * matchesBuffTrigger: バフ定義の1件がイベントで発動するかを判定する
+ * - student_idを持つバフ：イベントの生徒IDが一致すれば発動
+ * - detection_patternsを持つバフ：イベント名がパターンに一致し、除外パターンに一致しなければ発動
+ * 戦闘開始時に発動するバフ（trigger: battle_start）はイベントでは発動しない
+ * 
+ * @param {Object} buff_config - cost_recovery_buffsのバフ定義
+ * @param {string} event_name - イベント名
+ * @param {string|null} student_id - イベントの生徒ID
+ * @returns {boolean} 発動する場合はtrue
+ */
+function matchesBuffTrigger(buff_config, event_name, student_id) {
+  if (buff_config.trigger === 'battle_start') {
+    return false;
+  }
+
+  // 生徒IDでの検出
+  if (student_id && buff_config.student_id === student_id) {
+    console.log(`detectCostRecoveryBuff: "${event_name}" (${student_id}) -> ${buff_config.buff_name} 検知成功`);
+    return true;
+  }
+
+  // detection_patternsを使用してイベント名をチェック
+  for (const pattern of buff_config.detection_patterns || []) {
+    let isMatch = false;
+    
+    if (pattern.type === 'regex') {
+      // 正規表現パターンの場合
+      const regex = new RegExp(pattern.pattern, 'i'); // 大文字小文字を区別しない
+      isMatch = regex.test(event_name);
+    } else {
+      // 従来の文字列包含検索（後方互換性のため）
+      const patternString = typeof pattern === 'string' ? pattern : pattern.pattern;
+      isMatch = event_name.includes(patternString);
+    }
+    
+    if (isMatch) {
+      // 除外パターンがある場合はチェック
+      if (buff_config.exclusion_patterns && Array.isArray(buff_config.exclusion_patterns)) {
+        // 除外パターンのいずれかにマッチする場合はスキップ
+        const hasExclusionPattern = buff_config.exclusion_patterns.some(exclusion => {
+          if (exclusion.type === 'regex') {
+            const excludeRegex = new RegExp(exclusion.pattern, 'i');
+            return excludeRegex.test(event_name);
+          } else {
+            const excludeString = typeof exclusion === 'string' ? exclusion : exclusion.pattern;
+            return event_name.includes(excludeString);
           }
-        }
-        
-        // バフ検知成功のログ出力
-        console.log(`detectCostRecoveryBuff: "${event_name}" -> ${buff_config.buff_name} 検知成功`);
+        });
         
-        return {
-          buff_name: buff_config.buff_name,
-          buff_target: buff_config.buff_target, // バフターゲットを追加
-          buff_amount: buff_config.buff_amount,
-          duration_frames: buff_config.duration_frames,
-          offset_frames: buff_config.offset_frames,
-          detection_patterns: buff_config.detection_patterns
-        };
+        if (hasExclusionPattern) {
+          // console.log(`バフ検出をスキップ: "${event_name}" に除外パターンが含まれています`);
+          continue; // このパターンはスキップして次のパターンへ
+        }
       }
+      
+      // バフ検知成功のログ出力
+      console.log(`detectCostRecoveryBuff: "${event_name}" -> ${buff_config.buff_name} 検知成功`);
+      return true;
     }
   }
-  return null;
+  return false;
+}
+
+/**
+ * createBuffInfo: バフデータの1件から検出結果のバフ情報を作成する
+ * 
+ * @param {Object} buff_config - cost_recovery_buffsのバフ定義
+ * @returns {Object} バフ情報
+ */
+function createBuffInfo(buff_config) {
+  return {
+    buff_name: buff_config.buff_name,
+    buff_target: buff_config.buff_target, // バフターゲットを追加
+    buff_amount: buff_config.buff_amount,
+    duration_frames: buff_config.duration_frames,
+    skill: buff_config.skill,
+    level_dependencies: buff_config.level_dependencies,
+    level_scaling: buff_config.level_scaling,
+    offset_frames: buff_config.offset_frames,
+    student_id: buff_config.student_id,
+    detection_patterns: buff_config.detection_patterns,
+    ...(buff_config.event_type === COST_REDUCTION_EVENT_TYPE ? {
+      event_type: buff_config.event_type,
+      cost_reduction: buff_config.cost_reduction
+    } : {})
+  };
+}
+
+/**
+ * applyCostReduction: EX使用コストの軽減を適用した使用コストを求める
+ * - type: 'flat': amountだけ減らす（0未満にはならない）
+ * - type: 'percent': amount%だけ減らす
+ * 
+ * @param {number} cost_used - 軽減前の使用コスト
+ * @param {Object} cost_reduction - { type: 'flat'|'percent', amount }
+ * @returns {number} 軽減後の使用コスト
+ */
+function applyCostReduction(cost_used, cost_reduction) {
+  if (cost_reduction.type === 'percent') {
+    return cost_used * Math.max(0, 100 - cost_reduction.amount) / 100;
+  }
+  return Math.max(0, cost_used - cost_reduction.amount);
+}
+
+/**
+ * resolveSkillLevels: 設定から生徒ごとのスキルレベルを取得する
+ * settings.skill_levels（{ 生徒名: { EX: 5, UE: 2, ... } }）に旧設定（seia_koyuu2など）を補完する
+ * 
+ * @param {Object} settings - 設定オブジェクト
+ * @returns {Object} { 生徒名: { スキル: レベル } }
+ */
+function resolveSkillLevels(settings = {}) {
+  const skill_levels = {};
+  for (const [student, levels] of Object.entries(settings.skill_levels || {})) {
+    skill_levels[student] = { ...levels };
+  }
+  
+  for (const legacy of LEGACY_SKILL_LEVEL_SETTINGS) {
+    const legacy_level = legacy.levels[settings[legacy.setting]];
+    if (legacy_level === undefined) continue;
+    
+    const levels = skill_levels[legacy.student] || (skill_levels[legacy.student] = {});
+    if (levels[legacy.skill] === undefined || levels[legacy.skill] === null || levels[legacy.skill] === '') {
+      levels[legacy.skill] = legacy_level;
+    }
+  }
+  
+  return skill_levels;
+}
+
+/**
+ * resolveLevelDependentValue: level_dependenciesからスキルレベルに応じた値を選択する
+ * - 生徒のレベル以下で最も高いレベルの値を使用する（例: { 0: 451, 2: 536 } で固有★3なら536）
+ * - レベルが設定されていない場合は最も高いレベルの値を使用する（従来の最大レベル想定と同じ）
+ * - 設定されたレベルのデータがない場合（最も低いレベルより低い場合）は最も低いレベルの値を使用し、notesに警告を追加する
+ * 
+ * @param {Object} buff_info - バフ情報
+ * @param {string} property - 'buff_amount' | 'duration_frames'
+ * @param {Object} settings - 設定オブジェクト
+ * @param {Array<string>|null} notes - 警告文の追加先
+ * @returns {number|undefined} 選択された値、level_dependenciesで指定されていない場合はundefined
+ */
+function resolveLevelDependentValue(buff_info, property, settings = {}, notes = null) {
+  const dependency = (buff_info.level_dependencies || []).find(entry => entry.property === property);
+  if (!dependency) {
+    return undefined;
+  }
+  
+  const defined_levels = Object.keys(dependency.values).map(Number).sort((a, b) => a - b);
+  const student_levels = resolveSkillLevels(settings)[buff_info.buff_target] || {};
+  const raw_level = student_levels[dependency.skill];
+  
+  if (raw_level === undefined || raw_level === null || raw_level === '') {
+    return dependency.values[defined_levels[defined_levels.length - 1]];
+  }
+  
+  const level = Number(raw_level);
+  const usable_levels = defined_levels.filter(defined_level => defined_level <= level);
+  if (usable_levels.length === 0) {
+    const lowest_level = defined_levels[0];
+    const note = `${buff_info.buff_target}の${dependency.skill} Lv${level}のデータがないため、Lv${lowest_level}の値を使用しています`;
+    if (notes && !notes.includes(note)) {
+      notes.push(note);
+    }
+    return dependency.values[lowest_level];
+  }
+  
+  const selected_level = usable_levels[usable_levels.length - 1];
+  console.log(`${buff_info.buff_name}: ${dependency.skill} Lv${level} → Lv${selected_level}の${property}: ${dependency.values[selected_level]}`);
+  return dependency.values[selected_level];
+}
+
+/**
+ * resolveBuffDurationFrames: バフの継続フレーム数を設定に応じて決定する
+ * level_dependenciesで指定されている場合はスキルレベルで選択し、そうでなければduration_framesを使用する
+ * 
+ * @param {Object} buff_info - バフ情報
+ * @param {Object} settings - 設定オブジェクト
+ * @param {Array<string>|null} notes - 警告文の追加先
+ * @returns {number} 継続フレーム数
+ */
+function resolveBuffDurationFrames(buff_info, settings = {}, notes = null) {
+  const level_dependent = resolveLevelDependentValue(buff_info, 'duration_frames', settings, notes);
+  return level_dependent !== undefined ? level_dependent : buff_info.duration_frames;
+}
+
+/**
+ * resolveBuffLevel: level_scalingを持つバフのスキルレベルを設定から取得する
+ * @param {Object} buff_info - バフ情報
+ * @param {Object} settings - 設定オブジェクト
+ * @returns {number|null} スキルレベル（0は未所持）、level_scalingがない場合はnull
+ */
+function resolveBuffLevel(buff_info, settings = {}) {
+  if (!buff_info.level_scaling) {
+    return null;
+  }
+  return parseInt(settings[buff_info.level_scaling.setting]) || 0;
+}
+
+/**
+ * resolveBuffAmount: バフ量を決定する
+ * level_dependenciesで指定されている場合はスキルレベルで選択し、
+ * level_scalingがある場合は base_amount + (レベル - 1) * amount_per_level、
+ * いずれもない場合はbuff_amountをそのまま使用する
+ * 
+ * @param {Object} buff_info - バフ情報
+ * @param {Object} settings - 設定オブジェクト
+ * @param {Array<string>|null} notes - 警告文の追加先
+ * @returns {number|null} バフ量
+ */
+function resolveBuffAmount(buff_info, settings = {}, notes = null) {
+  const level_dependent = resolveLevelDependentValue(buff_info, 'buff_amount', settings, notes);
+  if (level_dependent !== undefined) {
+    return level_dependent;
+  }
+  
+  const level = resolveBuffLevel(buff_info, settings);
+  if (level === null) {
+    return buff_info.buff_amount;
+  }
+  const scaling = buff_info.level_scaling;
+  return scaling.base_amount + (level - 1) * scaling.amount_per_level;
 }
 
 /**
@@ -699,6 +1574,103 @@ function InitializeLabelMap(input_json) {
   return label_map;
 }
 
+/**
+ * listBranchNames: 入力の分岐（「@分岐 A」）の名前を出現順に返す
+ * 
+ * @param {Array} timeline - input_jsonのtimeline
+ * @returns {string[]} 分岐の名前（分岐がない場合は空）
+ */
+function listBranchNames(timeline) {
+  const names = [];
+  for (const row of timeline) {
+    if (row.branch != null && !names.includes(row.branch)) {
+      names.push(row.branch);
+    }
+  }
+  return names;
+}
+
+/**
+ * analyzeLabelReferences: ラベル参照の解析（未来のラベルの参照と循環参照の検出）
+ * 
+ * 【未来のラベル】
+ * 参照する行より前に定義されておらず、後の行で定義されるラベルのうち、時間指定のないもの
+ * （InitializeLabelMapでは時間がわからないため、TimelineProcessor.solveForwardLabelsで反復計算して求める）
+ * 
+ * 【循環参照】
+ * 「#A+1 X #B」「#B+1 Y #A」のように、ラベル参照の行のラベルをたどると元のラベルに戻るもの
+ * 循環しているラベルは反復計算の対象外とする（値が定まらないため）
+ * 
+ * @param {Array} timeline - input_jsonのtimeline
+ * @returns {Object} { forward_labels: Set<string>, cycles: Array<{ labels: string[], rows: Object[] }> }
+ */
+function analyzeLabelReferences(timeline) {
+  const rows = timeline.filter(row => !row.is_directive);
+  const label_of = row => (row.label && row.label.trim()) ? row.label.trim() : null;
+
+  // ラベル → 参照先のラベル（同じラベルが複数の行で定義される場合はすべて）
+  const edges = new Map();
+  for (const row of rows) {
+    const label = label_of(row);
+    if (label && row.reference) {
+      if (!edges.has(label)) {
+        edges.set(label, []);
+      }
+      edges.get(label).push({ reference: row.reference, row: row });
+    }
+  }
+
+  // 深さ優先探索で循環を検出する（同じ循環は一度だけ記録）
+  const cycles = [];
+  const cycle_keys = new Set();
+  const state = new Map(); // ラベル → 'visiting' | 'done'
+  const path = [];
+  const visit = label => {
+    state.set(label, 'visiting');
+    path.push(label);
+    for (const edge of edges.get(label) || []) {
+      if (state.get(edge.reference) === 'visiting') {
+        const cycle_labels = path.slice(path.indexOf(edge.reference));
+        const key = [...cycle_labels].sort().join(' ');
+        if (!cycle_keys.has(key)) {
+          cycle_keys.add(key);
+          cycles.push({
+            labels: cycle_labels,
+            rows: rows.filter(row => cycle_labels.includes(label_of(row)) && cycle_labels.includes(row.reference))
+          });
+        }
+      } else if (!state.has(edge.reference) && edges.has(edge.reference)) {
+        visit(edge.reference);
+      }
+    }
+    path.pop();
+    state.set(label, 'done');
+  };
+  for (const label of edges.keys()) {
+    if (!state.has(label)) {
+      visit(label);
+    }
+  }
+
+  // 未来のラベル（循環しているラベルを除く）
+  const cyclic_labels = new Set(cycles.flatMap(cycle => cycle.labels));
+  const forward_labels = new Set();
+  const defined_labels = new Set();
+  rows.forEach((row, index) => {
+    if (row.reference && !defined_labels.has(row.reference) && !cyclic_labels.has(row.reference)) {
+      const definition = rows.slice(index).find(later => label_of(later) === row.reference);
+      if (definition && definition.time == null) {
+        forward_labels.add(row.reference);
+      }
+    }
+    if (label_of(row)) {
+      defined_labels.add(label_of(row));
+    }
+  });
+
+  return { forward_labels: forward_labels, cycles: cycles };
+}
+
 
 // ==============================
 // 9. モジュールエクスポート（TimelineProcessorクラスのみ）
@@ -716,9 +1688,17 @@ function InitializeLabelMap(input_json) {
  * - TimelineProcessor: メイン変換処理クラス
  * 
  * 【非公開関数】（外部からアクセス不可）
+ * - addRowDiagnostic, timingTargetOf
  * - findMostRecentAdditionalEvent, calculateFramesFromReference
- * - calculateTotalCostRecovery
- * - detectCostRecoveryBuff, createBuffEvent, InitializeLabelMap
+ * - predictAdditionalEventActivity, calculateTotalCostRecovery
+ * - isAllStudentsTarget, createPlaceholderRoster, removeRetreatedStudents
+ * - resolveStudentOf, canonicalizeStudentName, parseRosterEntries, resolveRoster
+ * - matchesTextPatterns, findBossProfile, matchBossLine, resolveBossProfile, resolveIntervalGimmicks
+ * - detectCostRecoveryBuff, detectCostReductionBuffs, matchesBuffTrigger, createBuffInfo, applyCostReduction
+ * - resolveSkillLevels, resolveLevelDependentValue
+ * - resolveBuffDurationFrames, resolveBuffLevel, resolveBuffAmount
+ * - createBuffEvent, InitializeLabelMap, analyzeLabelReferences, listBranchNames
+ * - CostTrace（getCostTraceの戻り値としてのみ使用）
  * - その他すべての内部処理関数（obsolete関数は削除済み）
  */
 
@@ -753,18 +1733,43 @@ class TimelineProcessor {
       throw new Error('無効なinput_json: timelineプロパティが必要です');
     }
 
+    // Step 1.a.1. 分岐の選択
+    // 「@分岐 A」のある入力では、input_json.branchで指定した分岐（省略時は最初の分岐）と共通部分の行のみを処理する
+    const branch_names = listBranchNames(input_json.timeline);
+    this.branch = null;
+    this.branch_names = branch_names;
+    // 分岐の指定がない場合に処理しない分岐の最初の行（timeline_json.diagnosticsの初期化時に診断情報とする）
+    const skipped_branch_rows = input_json.branch ? [] :
+      branch_names.slice(1).map(name => input_json.timeline.find(row => row.branch === name));
+    if (branch_names.length > 0 || input_json.branch) {
+      const branch = input_json.branch || branch_names[0];
+      if (!branch_names.includes(branch)) {
+        throw new Error(`分岐「${branch}」は存在しません${branch_names.length > 0 ? `（${branch_names.join(', ')}）` : ''}`);
+      }
+      this.branch = branch;
+      input_json = {
+        ...input_json,
+        timeline: input_json.timeline.filter(row => row.branch == null || row.branch === branch)
+      };
+    }
+
     // 入力データ
     this.input_json = input_json;
     this.settings = settings;
     this.buff_data = buff_data; // バフデータを保存
+
+    // ボスのプロファイル（設定のboss、またはTLの「ボス ○○」の行）
+    this.boss_profile = resolveBossProfile(settings, input_json.timeline, buff_data);
     
-    // RadiatorManagerの初期化
-    const RadiatorManagerClass = getTLEditorRadiatorManager();
-    this.radiatorManager = new RadiatorManagerClass();
+    // IntervalEventManagerの初期化（バフデータのinterval_gimmicksの1件ごと）
+    const IntervalEventManagerClass = getTLEditorIntervalEventManager();
+    this.intervalManagers = resolveIntervalGimmicks(buff_data, this.boss_profile)
+      .map(config => new IntervalEventManagerClass(config, { match_patterns: matchesTextPatterns }));
     
     // Step 1.b. 定数の設定、settingsの読み込み
-    this.max_cost = settings.max_cost || COST_SETTINGS.DEFAULT_MAX_COST;
+    this.max_cost = resolveMaxCost(settings.max_cost);
     this.max_cost_points = this.max_cost * COST_POINT_UNIT;
+    this.initial_max_cost_points = this.max_cost_points; // フェーズの切り替えで変わる前の最大コスト
     this.battle_time = settings.battle_time || COST_SETTINGS.DEFAULT_BATTLE_TIME;
     this.ss_enabled = settings.ss_enabled || false; // コスト回復量増加SS設定
     
@@ -778,9 +1783,19 @@ class TimelineProcessor {
     
     // Step 1.d. ラベルマップの初期化
     this.label_map = InitializeLabelMap(input_json);
+    // 未来のラベルの仮のフレーム（ラベル → フレーム、createTimelineJSONでsolveForwardLabelsにより求める）
+    this.label_seed = null;
 
-    // Step 1.d.1. ボス関連プロパティの初期化
-    this.is_boss_geburah = false; // ゲブラボスかどうかのフラグ（デフォルト: false）
+    // Step 1.d.0. フェーズの切り替え（createPhaseEventで入力順に追加）
+    this.phases = [];
+    // ギミックの開始・終了の行の時間の解釈に使うフェーズ（createTimelineJSONでsolveIntervalPhasesにより求める）
+    this.phase_seed = null;
+
+    // Step 1.d.1. 編成の決定（設定またはTLヘッダーの「@ストライカー」「@スペシャル」行）
+    // 指定がない場合はnullとし、calculateTotalCostRecoveryで仮の編成を使用する
+    // 人数が足りない編成の診断情報はtimeline_json.diagnosticsの初期化時に加える
+    const roster_diagnostics = [];
+    this.roster = resolveRoster(settings, input_json.timeline, buff_data, roster_diagnostics);
 
     // Step 1.e. timeline_jsonの初期化
     // Step 1.e.1. ひな形の作成
@@ -793,25 +1808,73 @@ class TimelineProcessor {
           cost_point_unit: COST_POINT_UNIT,
           ...settings
         },
-        source_timeline_count: input_json.timeline.length
+        source_timeline_count: input_json.timeline.length,
+        roster: this.roster,
+        // ボスの指定がある場合のみ、ボスのプロファイルのキー
+        ...(this.boss_profile ? { boss: this.boss_profile.boss_key } : {}),
+        // 分岐のある入力の場合のみ、処理した分岐と分岐の一覧
+        ...(this.branch !== null ? { branch: this.branch, branches: branch_names } : {})
       },
       timeline: [],
-      additional_events: []
+      additional_events: [],
+      // 診断情報（createInputJSONの診断情報に、処理中に見つかったものを追加する）
+      diagnostics: [...(Array.isArray(input_json.diagnostics) ? input_json.diagnostics : []), ...roster_diagnostics]
     };
 
+    // 分岐の指定がない分岐のある入力は最初の分岐のみを処理したことを、処理しない分岐の最初の行に示す
+    for (const row of skipped_branch_rows) {
+      this.addDiagnostic(row, 'info', 'BRANCH_NOT_PROCESSED',
+        `分岐の指定がないため最初の分岐「${this.branch}」のみを処理しました（分岐「${row.branch}」は処理されていません）`);
+    }
+
     // Step 1.e.2 最初の2つのデフォルトイベントを追加
     // TIME_START (0フレーム) → BATTLE_START (60フレーム) の順で追加
     // これによりA.1.dの仕様（60フレーム後にコスト回復開始）を実現
     this.addEventToTimeline(DEFAULT_EVENTS.TIME_START, 'input_row');
-    this.addEventToTimeline(DEFAULT_EVENTS.BATTLE_START, 'input_row');
-    
-    // 特殊処理: カノエSSバフの追加
-    this.addKanoeSS();
+    // 編成が指定されている場合は編成の人数で参戦する
+    this.addEventToTimeline({
+      ...DEFAULT_EVENTS.BATTLE_START,
+      remaining_students: this.roster ?
+        this.roster.strikers.length + this.roster.specials.length :
+        DEFAULT_EVENTS.BATTLE_START.remaining_students
+    }, 'input_row');
     
-    // 特殊処理: チェリノSSバフの追加
-    this.addCherinoSS();
+    // 戦闘開始時に発動するバフ（カノエSS、チェリノSSなど）の追加
+    this.addBattleStartBuffs();
+    // ボスのプロファイルのバフ（ゲブラPSなど、コスト回復力の減少を含む）の追加
+    this.addBossProfileBuffs();
   }
   
+  /**
+   * createBranchTimelines: 分岐（「@分岐 A」）ごとにタイムラインを処理する
+   * 
+   * 共通部分は分岐ごとに処理し直す（処理は決定的なため、各分岐は共通部分の終了時点の同じ状態から始まる）
+   * 入力行は処理中に書き換えられるため、分岐ごとに複製して処理する
+   * 
+   * @param {Object} input_json - input_processor.jsで生成されたデータ
+   * @param {Object} settings - 設定オプション
+   * @param {Object} buff_data - バフデータ
+   * @returns {Array} [{ branch, input_json, timeline_json, processor }]（分岐がない場合はbranch: nullの1件）
+   */
+  static createBranchTimelines(input_json, settings = {}, buff_data = null) {
+    if (!input_json || !input_json.timeline) {
+      throw new Error('無効なinput_json: timelineプロパティが必要です');
+    }
+    const branch_names = listBranchNames(input_json.timeline);
+    const branches = branch_names.length > 0 ? branch_names : [null];
+
+    return branches.map(branch => {
+      const branch_input_json = { ...input_json, timeline: structuredClone(input_json.timeline), branch: branch };
+      const processor = new TimelineProcessor(branch_input_json, settings, buff_data);
+      return {
+        branch: branch,
+        input_json: branch_input_json,
+        timeline_json: processor.createTimelineJSON(),
+        processor: processor
+      };
+    });
+  }
+
   /**
    * estimateFrameFromRow: 行から、追加イベントがない場合のフレーム数を計算する
    * ついでに元のイベントにもタイムを追加する（あくまでもおまけ）
@@ -843,15 +1906,15 @@ class TimelineProcessor {
       frame_estimated = current_row.frame;
     } else {
       if (current_row.time) {
-        // Priority 1: 明示的な時間指定
-        frame_estimated = TLEditorCommon.secondsToFrames(current_row.time);
+        // Priority 1: 明示的な時間指定（制限時間のあるフェーズではフェーズのタイマーの時間）
+        frame_estimated = this.frameOfInputTime(current_row.time);
       } else {
         if (current_row.reference) {
           // Priority 2: 参照指定
-          frame_estimated = calculateFramesFromReference(current_row, label_map, settings);
+          frame_estimated = calculateFramesFromReference(current_row, label_map, settings, this.timeline_json.diagnostics);
         } else if (current_row.cost_timing) {
           // Priority 3: コスト指定からの推定
-          frame_estimated = this.calculateFramesFromCostTiming(current_row.cost_timing, current_row);
+          frame_estimated = this.calculateFramesFromRowCostTiming(current_row);
         } else {
           // 時間・参照・コスト指定がすべてない場合は現在フレームを使用
           // （AUTO撃ちなどでタイミング指定なしの場合）
@@ -867,21 +1930,46 @@ class TimelineProcessor {
   }
 
   /**
-   * コスト指定からフレーム数を計算（改良版）
+   * 行のコストタイミングからフレーム数を計算
+   * 使用コストから補完したコストタイミングは、EX使用コストの軽減バフを適用した使用コストを目標コストとする
+   * （軽減は使用するフレームで判定するため、現在フレームの軽減で推定したフレームで軽減が変わる場合は再推定する）
+   * @param {Object} current_row - 現在処理中の行
+   * @returns {number} 計算されたフレーム数
+   */
+  calculateFramesFromRowCostTiming(current_row) {
+    if (!current_row.cost_timing_from_cost_used) {
+      return this.calculateFramesFromCostTiming(current_row.cost_timing, current_row);
+    }
+
+    const target_cost = this.applyCostReductions(current_row, this.state.current_frame, true).cost_used;
+    const frame = this.calculateFramesFromCostTiming(target_cost, current_row);
+    const reduced_cost = this.applyCostReductions(current_row, frame, true).cost_used;
+    if (reduced_cost === target_cost) {
+      return frame;
+    }
+    delete current_row.cost_timing_segments;
+    return this.calculateFramesFromCostTiming(reduced_cost, current_row);
+  }
+
+  /**
+   * コスト指定からフレーム数を計算
    * 
-   * 【重要な改良点】
+   * 【計算方法】
    * - this.stateを直接使用し、最新の状態を反映
-   * - 将来のバフ効果を考慮した計算（予定されたadditional_eventsを考慮）
+   * - 予定されたadditional_events（バフの開始・終了、ラジエーター区間、コスト回復力減少など）の
+   *   境界フレームごとに総コスト回復力を再計算し、区分ごとに積分する（predictCostTimingFrame）
    * - フレーム単位での正確な計算（A.2.dの仕様）
    * - 0フレーム経過で条件満たす場合の警告機能
    * 
+   * 行の処理開始時点から通過した回復区間はcurrent_row.cost_timing_segmentsに保存する
+   * 
    * @param {number} cost_timing - 目標コスト値
    * @param {Object} current_row - 現在処理中の行（警告文追加用）
    * @returns {number} 計算されたフレーム数
    */
   calculateFramesFromCostTiming(cost_timing, current_row = null) {
     const current_cost = this.state.remaining_cost_points / COST_POINT_UNIT;
-    const target_cost = cost_timing;
+    let target_cost = cost_timing;
     
     if (current_cost >= target_cost) {
       // 0フレーム経過で既に条件を満たしている場合の警告（明示的なコスト指定のみ）
@@ -890,29 +1978,261 @@ class TimelineProcessor {
           current_row.note = [];
         }
         current_row.note.push(`${target_cost}コスは既に溜まっています`);
-        console.warn(`警告: コスト指定 [${target_cost}] は現在コスト ${current_cost.toFixed(1)} で既に満たされています`);
+        this.addDiagnostic(current_row, 'warning', 'COST_ALREADY_REACHED',
+          `${target_cost}コスは既に溜まっています`, timingTargetOf(current_row));
+      }
+      return this.state.current_frame;
+    }
+
+    // 最大コストを超えるコストは溜まらないため、最大コストに到達した時点とする
+    // （未処理のフェーズの切り替えで最大コストが変わる場合は、現在と切り替え後の最大コストのうち大きい方）
+    let exceeded_max_cost = null;
+    const max_cost = this.timeline_json.additional_events
+      .filter(event => event.event_kind === 'phase' && !event.active && event.phase.max_cost !== null)
+      .reduce((max, event) => Math.max(max, event.phase.max_cost), this.max_cost);
+    if (target_cost > max_cost) {
+      exceeded_max_cost = max_cost;
+      target_cost = max_cost;
+    }
+    
+    const { frame, segments, capped_max_cost_points } = this.predictCostTimingFrame(Math.round(target_cost * COST_POINT_UNIT));
+    // 目標に到達する前に最大コストが下がった場合は、下がった後の最大コストに到達した時点になっている
+    if (capped_max_cost_points !== undefined) {
+      exceeded_max_cost = capped_max_cost_points / COST_POINT_UNIT;
+    }
+    if (current_row && exceeded_max_cost !== null) {
+      if (!current_row.note) {
+        current_row.note = [];
+      }
+      const message = `${cost_timing}コスは最大コスト${exceeded_max_cost}を超えています`;
+      if (!current_row.note.includes(message)) {
+        current_row.note.push(message);
+      }
+      this.addDiagnostic(current_row, 'warning', 'COST_EXCEEDS_MAX', message, timingTargetOf(current_row));
+      // 使用時の残りコストを0で止める（addEventToTimeline）
+      current_row.cost_capped_by_max = true;
+    }
+    // resolveRowTimingのループで再推定された場合も、行の処理開始時点からの区間を保持する
+    if (current_row && !current_row.cost_timing_segments) {
+      current_row.cost_timing_segments = segments;
+    }
+    
+    return frame;
+  }
+
+  /**
+   * predictCostTimingFrame: 目標コストポイントに到達する最初のフレームを前方積分で求める
+   * 
+   * 【アルゴリズム】
+   * 1. additional_eventsから現在フレーム以降の境界フレーム（未開始イベントの開始、進行中・未開始イベントの終了）を列挙
+   * 2. 境界で区切られた各区間では総コスト回復力が一定なので、区間内で目標に到達するかを直接計算
+   * 3. 到達しない場合は区間終端までのコストポイントを加算し、境界フレームでの総コスト回復力を再計算して次の区間へ
+   * 
+   * 境界フレームでの総コスト回復力は、addEventToTimelineがそのフレームでイベントを処理した後と同じ値になるよう、
+   * predictAdditionalEventActivityで予測したactiveフラグを用いてcalculateTotalCostRecoveryで計算する。
+   * 
+   * 予定されたフェーズの切り替えで最大コストが目標より下がった場合は、下がった後の最大コストに到達するフレームを返し、
+   * その最大コストをcapped_max_cost_pointsに入れる。
+   * 
+   * @param {number} target_cost_points - 目標コストポイント（予定されたフェーズの切り替え後を含む最大コスト以下）
+   * @returns {Object} { frame: number, segments: Array<{start_frame, end_frame, total_cost_recovery, start_cost_points}>, capped_max_cost_points?: number }
+   */
+  predictCostTimingFrame(target_cost_points) {
+    const from_frame = this.state.current_frame;
+    const segments = [];
+
+    // 現在フレーム以降の境界フレームを昇順で列挙
+    const boundaries = this.listRecoveryBoundaries(from_frame);
+    boundaries.push(Infinity);
+
+    let frame = from_frame;
+    // 未処理のフェーズの切り替えでコスト・最大コストが変わるため、予測の状態として持つ
+    const predicted = { cost_points: this.state.remaining_cost_points, max_cost_points: this.max_cost_points };
+    let total_cost_recovery = this.state.total_cost_recovery;
+
+    for (const boundary of boundaries) {
+      const cost_points = predicted.cost_points;
+      if (boundary > frame) {
+        // 区間 [frame, boundary) 内で目標に到達するか
+        if (total_cost_recovery > 0 && target_cost_points <= predicted.max_cost_points) {
+          const frames_needed = Math.ceil((target_cost_points - cost_points) / total_cost_recovery);
+          if (frame + frames_needed <= boundary) {
+            segments.push({
+              start_frame: frame,
+              end_frame: frame + frames_needed,
+              total_cost_recovery: total_cost_recovery,
+              start_cost_points: cost_points
+            });
+            return { frame: frame + frames_needed, segments };
+          }
+        }
+
+        // 最後の区間で最大コストが目標より下がっている場合は、最大コストに到達した時点とする
+        if (boundary === Infinity && total_cost_recovery > 0 && target_cost_points > predicted.max_cost_points) {
+          const frames_needed = Math.max(0, Math.ceil((predicted.max_cost_points - cost_points) / total_cost_recovery));
+          segments.push({
+            start_frame: frame,
+            end_frame: frame + frames_needed,
+            total_cost_recovery: total_cost_recovery,
+            start_cost_points: cost_points
+          });
+          return { frame: frame + frames_needed, segments, capped_max_cost_points: predicted.max_cost_points };
+        }
+
+        if (boundary === Infinity) {
+          throw new Error('コスト回復量が0以下です。戦闘開始前の可能性があります。');
+        }
+
+        segments.push({
+          start_frame: frame,
+          end_frame: boundary,
+          total_cost_recovery: total_cost_recovery,
+          start_cost_points: cost_points
+        });
+        predicted.cost_points = Math.min(cost_points + (boundary - frame) * total_cost_recovery, predicted.max_cost_points);
+        frame = boundary;
+      }
+
+      // 境界フレームでのフェーズの切り替え・コストの即時増減と総コスト回復力を反映
+      this.applyScheduledCostEvents(frame, predicted);
+      total_cost_recovery = this.predictTotalCostRecovery(frame, from_frame);
+    }
+
+    // boundariesの最後はInfinityなのでここには到達しない
+    throw new Error('コスト回復量が0以下です。戦闘開始前の可能性があります。');
+  }
+
+  /**
+   * 現在フレーム以降に総コスト回復力が変化し得る境界フレーム（未開始イベントの開始、進行中・未開始イベントの終了）を列挙
+   * @param {number} from_frame - 基準フレーム（現在フレーム）
+   * @returns {Array<number>} 境界フレーム（昇順）
+   */
+  listRecoveryBoundaries(from_frame) {
+    const boundary_set = new Set();
+    for (const event of this.timeline_json.additional_events) {
+      if (event.active) {
+        if (event.end_frame >= from_frame) boundary_set.add(event.end_frame);
+      } else if (event.start_frame >= from_frame) {
+        boundary_set.add(event.start_frame);
+        boundary_set.add(event.end_frame);
+      }
+    }
+    return [...boundary_set].sort((a, b) => a - b);
+  }
+
+  /**
+   * 境界フレームでの総コスト回復力を予測する
+   * addEventToTimelineがそのフレームでイベントを処理した後と同じ値になるよう、
+   * predictAdditionalEventActivityで予測したactiveフラグを用いてcalculateTotalCostRecoveryで計算する
+   * @param {number} frame - 境界フレーム
+   * @param {number} from_frame - 基準フレーム（現在フレーム）
+   * @returns {number} 総コスト回復力
+   */
+  predictTotalCostRecovery(frame, from_frame) {
+    const predicted_events = this.timeline_json.additional_events.map(event => ({
+      ...event,
+      active: predictAdditionalEventActivity(event, frame, from_frame)
+    }));
+    return calculateTotalCostRecovery(
+      predicted_events,
+      frame,
+      this.ss_enabled,
+      this.state.remaining_students,
+      this.boss_profile ? this.boss_profile.role_multipliers : null,
+      this.roster
+    );
+  }
+
+  /**
+   * getCostTrace: 戦闘全体のフレームごとのコストの推移を取得する（createTimelineJSONの後に使用）
+   * 
+   * 【計算方法】
+   * - 処理済みの範囲: timelineの各イベントの処理後の状態（remaining_cost_points, total_cost_recovery）から
+   *   次のイベントまで一定の回復力で回復する（addEventToTimelineと同じ計算）
+   * - 最後のイベントより後: predictCostTimingFrameと同じく、予定されたadditional_eventsの境界ごとに
+   *   総コスト回復力を予測する
+   * 
+   * 【使用例】
+   * const trace = processor.getCostTrace();
+   * trace.at(1200).remaining_cost_points;      // 1200フレーム時点のコストポイント
+   * trace.findFrameReachingCost(6, 1200);      // 1200フレーム以降に6コス溜まる最初のフレーム
+   * for (const state of trace.frames(600, 900)) { ... }
+   * 
+   * @param {number|null} end_frame - 推移を計算する最後のフレーム（省略時は戦闘終了と最後のイベントの遅い方）
+   * @returns {CostTrace} コストの推移
+   */
+  getCostTrace(end_frame = null) {
+    const timeline = this.timeline_json.timeline;
+    if (timeline.length === 0) {
+      throw new Error('タイムラインが生成されていません。先にcreateTimelineJSONを実行してください');
+    }
+
+    const processed_frame = this.state.current_frame;
+    const last_frame = Math.max(end_frame !== null ? end_frame : this.battle_time * 30, processed_frame);
+    const segments = [];
+    let overflow_points = 0;
+
+    // 処理済みの範囲（同じフレームのイベントは最後のイベントの処理後の状態を使用）
+    for (let i = 0; i < timeline.length; i++) {
+      const event = timeline[i];
+      overflow_points += Math.round((event.overflow_cost || 0) * COST_POINT_UNIT);
+      const next_event = timeline[i + 1];
+      if (!next_event) {
+        break; // 最後のフレームからは予測で計算する
       }
-      return this.state.current_frame;
+      if (next_event.frame === event.frame) {
+        continue;
+      }
+      segments.push({
+        start_frame: event.frame,
+        end_frame: next_event.frame,
+        start_cost_points: event.remaining_cost_points,
+        total_cost_recovery: event.total_cost_recovery,
+        max_cost_points: this.maxCostPointsAt(event.frame),
+        overflow_points_before: overflow_points
+      });
     }
-    
-    const cost_needed = target_cost - current_cost;
-    const cost_points_needed = cost_needed * COST_POINT_UNIT;
-    
-    // 将来のバフ効果を考慮したコスト回復計算
-    // 現在は簡略版：現在のtotal_cost_recoveryを使用
-    // TODO: 将来のバフ効果をadditional_eventsから予測する
-    const current_total_cost_recovery = this.state.total_cost_recovery;
-    
-    if (current_total_cost_recovery <= 0) {
-      throw new Error('コスト回復量が0以下です。戦闘開始前の可能性があります。');
+
+    // 最後のイベントより後（additional_eventsの境界ごとに総コスト回復力を予測）
+    let frame = processed_frame;
+    const predicted = { cost_points: this.state.remaining_cost_points, max_cost_points: this.max_cost_points };
+    overflow_points += this.applyScheduledCostEvents(frame, predicted); // 最後のイベントと同じフレームの未処理の切り替え・増減
+    let total_cost_recovery = this.state.total_cost_recovery;
+    for (const boundary of [...this.listRecoveryBoundaries(processed_frame), last_frame + 1]) {
+      if (boundary <= frame || boundary > last_frame + 1) {
+        continue;
+      }
+      segments.push({
+        start_frame: frame,
+        end_frame: boundary,
+        start_cost_points: predicted.cost_points,
+        total_cost_recovery: total_cost_recovery,
+        max_cost_points: predicted.max_cost_points,
+        overflow_points_before: overflow_points
+      });
+      const raw_points = predicted.cost_points + (boundary - frame) * total_cost_recovery;
+      overflow_points += Math.max(0, raw_points - predicted.max_cost_points);
+      predicted.cost_points = Math.min(raw_points, predicted.max_cost_points);
+      frame = boundary;
+      overflow_points += this.applyScheduledCostEvents(frame, predicted);
+      total_cost_recovery = this.predictTotalCostRecovery(frame, processed_frame);
     }
-    
-    // フレーム単位での直接計算（A.2.dの仕様に従う）
-    const frames_needed_exact = cost_points_needed / current_total_cost_recovery;
-    const frames_needed = Math.ceil(frames_needed_exact);
-    const result_frame = this.state.current_frame + frames_needed;
-    
-    return result_frame;
+
+    return new CostTrace(segments, this.timeline_json.additional_events, {
+      max_cost_points: Math.max(...segments.map(segment => segment.max_cost_points)),
+      end_frame: last_frame,
+      processed_frame: processed_frame
+    });
+  }
+
+  /**
+   * 設定から生徒ごとのスキルレベルを取得する（旧設定のseia_koyuu2などを変換して補完）
+   * TL-assistant.htmlで保存済みの旧設定をskill_levelsに移行する際にも使用する
+   * @param {Object} settings - 設定オブジェクト
+   * @returns {Object} { 生徒名: { スキル: レベル } }
+   */
+  static resolveSkillLevels(settings) {
+    return resolveSkillLevels(settings);
   }
 
   /**
@@ -949,23 +2269,53 @@ class TimelineProcessor {
     const isIncreasePattern = COST_RECOVERY_INCREASE_PATTERN.test(original_event.event_name);
     const isDecreasePattern = COST_RECOVERY_DECREASE_PATTERN.test(original_event.event_name);
 
-    // 3) 成形済みオリジナルの入力にボスがゲブラであることに関するパターンが含まれているかチェック
-    const isBossGeburahPattern = BOSS_GEBURAH_PATTERN.test(original_event.normalized_line);
+    // 3) ボスの指定（「ボス：ゲブラ」）か、ボスのプロファイルの形態変化かチェック
+    const bossLine = matchBossLine(original_event, this.buff_data);
+    const bossPhase = this.boss_profile ?
+      (this.boss_profile.phases || []).find(phase => matchesTextPatterns(original_event.event_name, phase.detection_patterns)) :
+      undefined;
 
-    if (isBossGeburahPattern) {
-      console.log('processSpecialCommand: 特殊コマンドが検出されました！ ゲブラボス戦フラグを設定します');
-      this.is_boss_geburah = true;
-      original_event.is_special_command = true;
+    // 4) 生徒の撤退（「撤退 ハナコ」「生徒 -1」）かチェック
+    const isRetreatPattern = STUDENT_RETREAT_PATTERN.test(original_event.event_name) ||
+      (STUDENT_COUNT_PATTERN.test(original_event.event_name) && original_event.value < 0);
+
+    // 5) フェーズの切り替え（「フェーズ2 最大コスト20 コストリセット 制限時間3:00」）かチェック
+    const isPhasePattern = PHASE_PATTERN.test(original_event.event_name);
+
+    // 6) 最大コストのみの変更（「最大コスト 21」）かチェック
+    const maxCostChangeMatch = original_event.event_name.match(MAX_COST_CHANGE_PATTERN);
+
+    // 7) コストの即時増減（「コスト +2」「コスト -3 ボス」）かチェック
+    const costChangeMatch = `${original_event.event_name}${original_event.ending || ''}`.trim().match(COST_CHANGE_PATTERN);
 
-      // ゲブラ戦用のバフイベントを追加（durationは実質無限）
-      // buff.jsからgeburahテンプレートを取得
-      const geburah_event_skeleton = window.BUFF_DATA.cost_recovery_buffs.geburah;
+    if (bossLine) {
+      console.log('processSpecialCommand: 特殊コマンドが検出されました！ タイプ: boss');
+      original_event.is_special_command = true;
 
-      // フレーム数を計算（BATTLE_STARTの60フレームから開始）
-      const geburah_buff_event = this.createBuffEvent(geburah_event_skeleton, 60, this.settings);
-      this.timeline_json.additional_events.push(geburah_buff_event);
-      console.log('ゲブラ戦用バフイベントをadditional_eventsに追加しました:', geburah_buff_event);
+      // ボスのプロファイルはコンストラクタ（resolveBossProfile）で適用済み
+      const profile = bossLine.profile;
+      if (!profile) {
+        this.addDiagnostic(original_event, 'warning', 'UNKNOWN_BOSS',
+          `ボス「${bossLine.boss_name}」のプロファイルがバフデータにありません`, bossLine.boss_name);
+      } else if (profile.boss_key !== this.boss_profile.boss_key) {
+        this.addDiagnostic(original_event, 'warning', 'BOSS_ALREADY_SET',
+          `ボスは「${this.boss_profile.boss_name}」として処理しているため、この行は無視されます`, bossLine.boss_name);
+      }
+      return;
+    } else if (bossPhase) {
+      console.log(`processSpecialCommand: 特殊コマンドが検出されました！ タイプ: phase（${this.boss_profile.boss_name}の${bossPhase.phase_name}）`);
+      original_event.is_special_command = true;
 
+      // 最大コスト・コストのリセット・制限時間はボスのプロファイルの定義を使用する
+      const phase_event = this.createPhaseEvent(original_event, {
+        max_cost: typeof bossPhase.max_cost === 'number' ? bossPhase.max_cost : null,
+        cost_mode: bossPhase.cost_mode === 'reset' ? 'reset' : 'carry',
+        timer_seconds: typeof bossPhase.timer_seconds === 'number' ? bossPhase.timer_seconds : null
+      });
+      phase_event.event_name = bossPhase.phase_name;
+      phase_event.phase.name = bossPhase.phase_name;
+      this.timeline_json.additional_events.push(phase_event);
+      console.log('ボスの形態変化のイベントをadditional_eventsに追加しました:', phase_event);
       return;
     } else if (isIncreasePattern || isDecreasePattern) {
       const commandType = isIncreasePattern ? 'increase' : 'decrease';
@@ -989,8 +2339,8 @@ class TimelineProcessor {
       // valueが有効な場合のみ処理を実行する
       if (original_event.value !== null && original_event.value !== undefined && original_event.value !== 0) {
         console.log('Value validation passed, creating buff event...');
-        // buff.jsからgeneralテンプレートを取得
-        const general = window.BUFF_DATA.cost_recovery_buffs.general;
+        // コンストラクタで受け取ったバフデータからgeneralテンプレートを取得
+        const general = this.getBuffTemplate('general');
         
         // generalをdeep copyしてbuff_skeletonを作成
         const buff_skeleton = structuredClone(general);
@@ -1000,7 +2350,7 @@ class TimelineProcessor {
         const buffAmount = isDecreasePattern ? -original_event.value : original_event.value;
         buff_skeleton.buff_amount = buffAmount;
         buff_skeleton.buff_value_type = "value";
-        buff_skeleton.duration_frames = InputProcessorCommon.secondsToFrames(duration);
+        buff_skeleton.duration_frames = TLEditorCommon.secondsToFrames(duration);
         
         // targetが存在する場合はbuff_skeletonに追加（バフ名処理の前に実行）
         console.log('original_event.target:', original_event.target);
@@ -1051,7 +2401,7 @@ class TimelineProcessor {
         }
         
         // フレーム数を計算（timeから変換）
-        let start_frame = InputProcessorCommon.secondsToFrames(original_event.time);
+        let start_frame = this.frameOfInputTime(original_event.time);
         // AUTO撃ちの場合1フレーム分ロスが少ない
         start_frame -= original_event.is_auto ? 1 : 0;
         
@@ -1059,12 +2409,56 @@ class TimelineProcessor {
         // 重要: セイア・水着ホシノと同様に this.timeline_json.additional_events に保存すること
         // this.additional_events は存在しない（間違った場所）
         const buff_event = this.createBuffEvent(buff_skeleton, start_frame, this.settings);
+        // 特殊コマンド行はtimelineに出力されないため、警告はバフ開始イベントに表示する
+        this.warnIfOutsideRoster(buff_event.buff_target, buff_event, original_event);
         this.timeline_json.additional_events.push(buff_event);
         console.log(`バフイベント(${commandType})をadditional_eventsに追加しました:`, buff_event);
       } else {
         console.log('Value validation failed. value:', original_event.value, 'type:', typeof original_event.value);
       }
       return;
+    } else if (isRetreatPattern) {
+      console.log('processSpecialCommand: 特殊コマンドが検出されました！ タイプ: retreat');
+      original_event.is_special_command = true;
+
+      const retreat_event = this.createRetreatEvent(original_event);
+      this.timeline_json.additional_events.push(retreat_event);
+      console.log('撤退イベントをadditional_eventsに追加しました:', retreat_event);
+      return;
+    } else if (isPhasePattern) {
+      console.log('processSpecialCommand: 特殊コマンドが検出されました！ タイプ: phase');
+      original_event.is_special_command = true;
+
+      const phase_event = this.createPhaseEvent(original_event);
+      this.timeline_json.additional_events.push(phase_event);
+      console.log('フェーズの切り替えイベントをadditional_eventsに追加しました:', phase_event);
+      return;
+    } else if (maxCostChangeMatch) {
+      console.log('processSpecialCommand: 特殊コマンドが検出されました！ タイプ: max_cost');
+      // 「最大コスト21」は行名に、「最大コスト 21」は値（value）に最大コストが入る
+      const max_cost = maxCostChangeMatch[1] !== undefined ? parseFloat(maxCostChangeMatch[1]) : original_event.value;
+      original_event.is_special_command = true; // 値が不正な場合もEXの使用としては扱わない
+      if (typeof max_cost !== 'number' || !(max_cost > 0)) {
+        this.addDiagnostic(original_event, 'warning', 'INVALID_MAX_COST',
+          '最大コストの変更には0より大きい値を指定してください（例: 最大コスト 21）', original_event.event_name);
+        return;
+      }
+
+      const phase_event = this.createPhaseEvent(original_event, { max_cost: max_cost, cost_mode: 'carry', timer_seconds: null });
+      phase_event.event_name = `最大コスト${max_cost}`;
+      phase_event.phase.name = phase_event.event_name;
+      this.timeline_json.additional_events.push(phase_event);
+      console.log('最大コストの変更イベントをadditional_eventsに追加しました:', phase_event);
+      return;
+    } else if (costChangeMatch) {
+      console.log('processSpecialCommand: 特殊コマンドが検出されました！ タイプ: cost_change');
+      original_event.is_special_command = true;
+
+      const sign = /[\-－]/.test(costChangeMatch[1]) ? -1 : 1;
+      const cost_change_event = this.createCostChangeEvent(original_event, sign * parseFloat(costChangeMatch[2]), costChangeMatch[3].trim() || null);
+      this.timeline_json.additional_events.push(cost_change_event);
+      console.log('コストの増減イベントをadditional_eventsに追加しました:', cost_change_event);
+      return;
     } else {
       if (original_event.is_special_command) {
         console.log(`processSpecialCommand: イベント「${original_event.event_name}」は特殊コマンド（追加処理なし）`);
@@ -1076,42 +2470,246 @@ class TimelineProcessor {
   }
 
   /**
-   * ラジエーター区間をadditional_eventsに追加する
-   * RadiatorManagerで計算された有効区間をラジエーターバフとして additional_events に追加
+   * フェーズの切り替えの行からフェーズの切り替えイベントを作成する
+   * 開始フレームで最大コストの変更・コストのリセットを行い（addEventToTimeline）、
+   * 制限時間が指定された場合はそれ以降の行の時間をフェーズのタイマーの時間として解釈する（frameOfInputTime）
+   * タイムの指定がない場合、または直前の行動より前のタイムが指定された場合は直前の行動のフレームで切り替える
+   * 最大コストのみの変更（「最大コスト 21」）も、コストを引き継ぎタイマーを変えないフェーズの切り替えとして作成する
+   * @param {Object} original_event - input_JSON内のイベント
+   * @param {Object} options - { max_cost, cost_mode, timer_seconds }（省略時は行のendingをparsePhaseOptionsで解析）
+   * @returns {Object} フェーズの切り替えイベント（event_kind: 'phase'）
    */
-  addAllRadiatorEvents() {
-    if (!this.radiatorManager || !this.radiatorManager.radiator_intervals) {
-      console.log('RadiatorManager またはラジエーター区間が存在しません');
-      return;
+  createPhaseEvent(original_event, options = parsePhaseOptions(original_event.ending)) {
+    let start_frame = this.state.current_frame;
+    if (original_event.time !== null && original_event.time !== undefined) {
+      // フェーズの切り替えの行の時間は、切り替え前のフェーズのタイマーで解釈する
+      start_frame = this.frameOfInputTime(original_event.time);
     }
-    
-    // 各ラジエーター区間に対してバフイベントを作成・追加
-    for (let i = 0; i < this.radiatorManager.radiator_intervals.length; i++) {
-      const interval = this.radiatorManager.radiator_intervals[i];
-      
-      // ラジエーター用のbuff_info作成
-      const radiator_buff_info = {
-        buff_name: `ラジエーター過負荷${i + 1}`,
-        buff_target: "all", // 全体効果
-        buff_amount: 500,   // buffs.jsのradiator_startと同じ値
+    if (start_frame < this.state.current_frame) {
+      this.addDiagnostic(original_event, 'warning', 'TIME_BACKWARDS',
+        '指定タイムが直前の行動より早くなっています', timingTargetOf(original_event));
+      start_frame = this.state.current_frame;
+    }
+
+    const phase = {
+      name: original_event.event_name,
+      start_frame: start_frame,
+      max_cost: options.max_cost,
+      cost_mode: options.cost_mode,
+      timer_seconds: options.timer_seconds,
+      line_number: original_event.line_number
+    };
+    this.phases.push(phase);
+
+    return {
+      start_frame: start_frame,
+      end_frame: start_frame + RETREAT_DURATION_FRAMES, // 撤退と同様に終了しない
+      event_name: original_event.event_name,
+      event_kind: 'phase',
+      phase: phase,
+      buff_target: null,
+      duration: (RETREAT_DURATION_FRAMES / 30) * 1000, // フレームをミリ秒に変換
+      buff_amount: 0,
+      active: false,
+      note: []
+    };
+  }
+
+  /**
+   * コストの即時増減の行（「コスト +2」「コスト -3 ボス」）からコストの増減イベントを作成する
+   * 開始フレームでremaining_cost_pointsを増減する（addEventToTimeline、applyCostChange）
+   * タイムの指定がない場合、または直前の行動より前のタイムが指定された場合は直前の行動のフレームで増減する
+   * @param {Object} original_event - input_JSON内のイベント
+   * @param {number} cost_change - 増減するコスト（負の値で減少）
+   * @param {string|null} source - 増減の発生元（「ボス」など、イベント名に表示する）
+   * @returns {Object} コストの増減イベント（event_kind: 'cost_change'）
+   */
+  createCostChangeEvent(original_event, cost_change, source) {
+    let start_frame = this.state.current_frame;
+    if (original_event.time !== null && original_event.time !== undefined) {
+      start_frame = this.frameOfInputTime(original_event.time);
+    }
+    if (start_frame < this.state.current_frame) {
+      this.addDiagnostic(original_event, 'warning', 'TIME_BACKWARDS',
+        '指定タイムが直前の行動より早くなっています', timingTargetOf(original_event));
+      start_frame = this.state.current_frame;
+    }
+
+    return {
+      start_frame: start_frame,
+      end_frame: start_frame + RETREAT_DURATION_FRAMES, // 撤退と同様に終了しない（開始時のみ処理する）
+      event_name: `コスト${cost_change > 0 ? '+' : ''}${cost_change}${source ? `（${source}）` : ''}`,
+      event_kind: 'cost_change',
+      cost_change: cost_change,
+      cost_change_source: source,
+      buff_target: null,
+      duration: (RETREAT_DURATION_FRAMES / 30) * 1000, // フレームをミリ秒に変換
+      buff_amount: 0,
+      active: false,
+      note: []
+    };
+  }
+
+  /**
+   * TL入力の時間（createInputJSONで経過秒数に変換済みのrow.time）をフレーム数に変換する
+   * 制限時間のあるフェーズの切り替えより後の行は、そのフェーズのタイマーでの時間として解釈する
+   * （input-processor.jsのparseTimeToSecondsの変換を戻し、フェーズの開始フレームからのフレーム数とする）
+   * @param {number} time - row.time（経過秒数）
+   * @param {Array} phases - 行より前のフェーズの切り替え（省略時は処理済みのフェーズ）
+   * @returns {number} フレーム数
+   */
+  frameOfInputTime(time, phases = this.phases) {
+    const phase = [...phases].reverse().find(candidate => candidate.timer_seconds !== null);
+    if (!phase) {
+      return TLEditorCommon.secondsToFrames(time);
+    }
+    // parseTimeToSecondsと同じく、battle_timeの既定値は240
+    const phase_elapsed = (this.settings.time_display_format || 'backward') === 'backward' ?
+      phase.timer_seconds - ((this.settings.battle_time || 240) - time) :
+      time;
+    return phase.start_frame + TLEditorCommon.secondsToFrames(phase_elapsed);
+  }
+
+  /**
+   * 処理済みのフェーズの切り替えを反映した、指定フレームでの最大コストポイント
+   * @param {number} frame - フレーム数
+   * @returns {number} 最大コストポイント
+   */
+  maxCostPointsAt(frame) {
+    let max_cost_points = this.initial_max_cost_points;
+    for (const event of this.timeline_json.additional_events) {
+      // activeなフェーズの切り替えイベントはaddEventToTimelineで処理済み（開始フレーム順に追加される）
+      if (event.event_kind === 'phase' && event.active && event.phase.max_cost !== null && event.start_frame <= frame) {
+        max_cost_points = event.phase.max_cost * COST_POINT_UNIT;
+      }
+    }
+    return max_cost_points;
+  }
+
+  /**
+   * 未処理のフェーズの切り替え・コストの即時増減のうち、指定フレームで開始するものを予測の状態に反映する
+   * （predictCostTimingFrame・getCostTraceの予測用、addEventToTimelineと同じ処理）
+   * @param {number} frame - 境界フレーム
+   * @param {Object} predicted - { cost_points, max_cost_points }（書き換える）
+   * @returns {number} コストの増加であふれたコストポイント
+   */
+  applyScheduledCostEvents(frame, predicted) {
+    let overflow_points = 0;
+    for (const event of this.timeline_json.additional_events) {
+      if (event.active || event.start_frame !== frame) {
+        continue;
+      }
+      if (event.event_kind === 'phase') {
+        if (event.phase.max_cost !== null) {
+          predicted.max_cost_points = event.phase.max_cost * COST_POINT_UNIT;
+          predicted.cost_points = Math.min(predicted.cost_points, predicted.max_cost_points);
+        }
+        if (event.phase.cost_mode === 'reset') {
+          predicted.cost_points = 0;
+        }
+      } else if (event.event_kind === 'cost_change') {
+        const result = applyCostChange(predicted.cost_points, event.cost_change, predicted.max_cost_points);
+        predicted.cost_points = result.cost_points;
+        overflow_points += result.overflow_points;
+      }
+    }
+    return overflow_points;
+  }
+
+  /**
+   * 撤退コマンドの行から撤退イベントを作成する
+   * - 「撤退 ハナコ」: ハナコ1人の撤退（retreat_target: 'ハナコ'）
+   * - 「生徒 -2」: 名前を指定しない2人の撤退（retreat_target: null）
+   * タイムの指定がない場合、または直前の行動より前のタイムが指定された場合は直前の行動のフレームで撤退したものとする
+   * @param {Object} original_event - input_JSON内のイベント
+   * @returns {Object} 撤退イベント（event_kind: 'retreat'）
+   */
+  createRetreatEvent(original_event) {
+    const is_named = STUDENT_RETREAT_PATTERN.test(original_event.event_name) && !!original_event.target;
+    const retreat_target = is_named ? canonicalizeStudentName(original_event.target, this.buff_data) : null;
+    const retreat_count = is_named ? 1 : Math.abs(original_event.value || 1);
+
+    let start_frame = this.state.current_frame;
+    if (original_event.time !== null && original_event.time !== undefined) {
+      // AUTO撃ちの場合1フレーム分ロスが少ない（他の特殊コマンドと同様）
+      start_frame = this.frameOfInputTime(original_event.time) - (original_event.is_auto ? 1 : 0);
+    }
+
+    // 既に処理済みのフレームより前には追加できないため、直前の行動のフレームに調整する
+    const note = [];
+    if (start_frame < this.state.current_frame) {
+      note.push('指定タイムが直前の行動より早くなっています');
+      this.addDiagnostic(original_event, 'warning', 'TIME_BACKWARDS',
+        '指定タイムが直前の行動より早くなっています', timingTargetOf(original_event));
+      start_frame = this.state.current_frame;
+    }
+
+    const retreat_event = {
+      start_frame: start_frame,
+      end_frame: start_frame + RETREAT_DURATION_FRAMES,
+      event_name: retreat_target ? `${retreat_target}撤退` : `生徒${retreat_count}人撤退`,
+      event_kind: 'retreat',
+      retreat_target: retreat_target,
+      retreat_count: retreat_count,
+      buff_target: null,
+      duration: (RETREAT_DURATION_FRAMES / 30) * 1000, // フレームをミリ秒に変換
+      buff_amount: 0,
+      active: false,
+      note: note
+    };
+
+    // 編成が指定されている場合、編成にいない生徒の撤退は名前を指定しない撤退として扱われることを知らせる
+    if (retreat_target && this.roster &&
+        ![...this.roster.strikers, ...this.roster.specials].some(student => student.name === retreat_target)) {
+      note.push(`${retreat_target}は編成に含まれていないため、編成の生徒1人の撤退として扱います`);
+      this.addDiagnostic(original_event, 'warning', 'RETREAT_OUTSIDE_ROSTER',
+        `${retreat_target}は編成に含まれていないため、編成の生徒1人の撤退として扱います`, original_event.target);
+    }
+
+    return retreat_event;
+  }
+
+  /**
+   * バフデータからテンプレートを取得する
+   * ブラウザ・Node.jsの両環境で動作するよう、window.BUFF_DATAは直接参照しない
+   * @param {string} buff_key - cost_recovery_buffs内のキー（例: 'geburah', 'general'）
+   * @returns {Object} バフテンプレート
+   */
+  getBuffTemplate(buff_key) {
+    if (!this.buff_data || !this.buff_data.cost_recovery_buffs || !this.buff_data.cost_recovery_buffs[buff_key]) {
+      throw new Error(`バフデータに${buff_key}が定義されていません`);
+    }
+    return this.buff_data.cost_recovery_buffs[buff_key];
+  }
+
+  /**
+   * ギミックの有効区間をadditional_eventsに追加する
+   * IntervalEventManagerで計算された区間ごとに、ギミックのeffect（バフのテンプレート）からバフイベントを作成する
+   * @param {Object} manager - calculateIntervals済みのIntervalEventManager
+   */
+  addIntervalGimmickEvents(manager) {
+    const { gimmick_key, gimmick_name, effect } = manager.config;
+
+    // 各区間に対してバフイベントを作成・追加
+    manager.intervals.forEach((interval, index) => {
+      const gimmick_buff_info = {
+        ...effect,
+        buff_name: `${gimmick_name}${index + 1}`,
         duration_frames: interval.end_frame - interval.start_frame,
         offset_frames: 0
       };
-      
-      // createBuffEventを使用してバフイベント作成
-      const radiator_buff_event = this.createBuffEvent(
-        radiator_buff_info,
-        interval.start_frame,
-        this.settings
-      );
-      
-      // additional_eventsに追加
-      this.timeline_json.additional_events.push(radiator_buff_event);
-      
-      console.log(`ラジエーターバフ${i + 1}を追加: フレーム${interval.start_frame} ～ ${interval.end_frame} (${radiator_buff_info.duration_frames}フレーム)`);
-    }
-    
-    console.log(`ラジエーター区間 ${this.radiatorManager.radiator_intervals.length}個をadditional_eventsに追加完了`);
+
+      // createBuffEventを使用してバフイベント作成（グラフでギミックの区間として表示するためgimmick_keyを付ける）
+      const gimmick_buff_event = {
+        ...this.createBuffEvent(gimmick_buff_info, interval.start_frame, this.settings),
+        gimmick_key: gimmick_key
+      };
+      this.timeline_json.additional_events.push(gimmick_buff_event);
+
+      console.log(`${gimmick_name}${index + 1}を追加: フレーム${interval.start_frame} ～ ${interval.end_frame} (${gimmick_buff_info.duration_frames}フレーム${interval.auto_extended ? '、戦闘終了まで延長' : ''})`);
+    });
+
+    console.log(`${gimmick_name}区間 ${manager.intervals.length}個をadditional_eventsに追加完了`);
   }
 
   /**
@@ -1124,8 +2722,12 @@ class TimelineProcessor {
     try {
       let frame_estimated = null;
       let loop_count = 0; // 無限ループ防止カウンター
+      delete row.cost_timing_segments; // 再処理時に前回の予測区間を残さない
+      delete row.cost_capped_by_max;
       
       // whileループ: additional_eventsの処理順序を考慮
+      // コストタイミングはpredictCostTimingFrameで予定イベントを考慮済みのため、
+      // ループ内で割り込むイベントを処理しても推定フレームは変化しない（ループ回数の上限は安全策）
       while (true) {
         loop_count++;
         if (loop_count > 100) {
@@ -1177,14 +2779,17 @@ class TimelineProcessor {
         frame: frame_estimated,
         cost_used: row.cost_used || 0,
         event_name: row.event_name || '',
+        ...(row.student_id ? { student_id: row.student_id } : {}), // 生徒ID（生徒ごとの集計用）
         is_auto: row.is_auto || false, // AUTO撃ちフラグを追加
+        ...(row.cost_capped_by_max ? { cost_capped_by_max: true } : {}), // 最大コストを超えるコストタイミング
         note: row.note || [] // rowからnoteを引き継ぎ（コスト計算で警告が追加された場合）
       };
 
       // 【重要】フレーム番号の妥当性チェック：current_frameより小さい場合は強制調整
       if (frame_estimated < this.state.current_frame) {
-        console.warn(`警告: イベント「${processed_event.event_name}」の指定フレーム ${frame_estimated} が現在フレーム ${this.state.current_frame} より小さいため、現在フレームに調整します。`);
         processed_event.note.push(`指定タイムが直前の行動より早くなっています`);
+        this.addDiagnostic(row, 'warning', 'TIME_BACKWARDS',
+          '指定タイムが直前の行動より早くなっています', timingTargetOf(row));
         frame_estimated = this.state.current_frame;
         processed_event.frame = frame_estimated;
       }
@@ -1203,10 +2808,20 @@ class TimelineProcessor {
         console.log(`ラベルマップ更新: ${label_trimmed} -> time: ${TLEditorCommon.framesToSeconds(frame_estimated)}, frame: ${frame_estimated}`);
       }
 
+      // EX使用コストの軽減（軽減した場合は軽減前の使用コストをnominal_cost_usedに残す）
+      const reduced = this.applyCostReductions(row, frame_estimated);
+      if (reduced.reductions.length > 0) {
+        processed_event.nominal_cost_used = processed_event.cost_used;
+        processed_event.cost_used = reduced.cost_used;
+        processed_event.cost_reductions = reduced.reductions;
+      }
+
       // コスト回復バフの検出と追加イベント生成（イベント追加前に実行）
-      this.detectAndProcessBuff(processed_event.event_name, processed_event.frame, row.is_auto);
+      this.detectAndProcessBuff(processed_event.event_name, processed_event.frame, row.is_auto, processed_event, row);
 
       // イベントをtimeline_jsonに追加し、状態変数を更新
+      // （timeline内の位置をrowに記録し、TimelineFormatter.serializeTimelineInputで入力行と対応付ける）
+      row.timeline_index = this.timeline_json.timeline.length;
       this.addEventToTimeline(processed_event, 'input_row');
       
       return processed_event;
@@ -1217,6 +2832,30 @@ class TimelineProcessor {
     }
   }
 
+  /**
+   * 最後の行より後に予定された、特殊コマンドの行によるイベント（撤退・フェーズの切り替え・コストの即時増減）を
+   * timeline_jsonに追加する（それまでに開始・終了する他の追加イベントも順に追加する）
+   * 通常の行の処理時にのみ追加イベントを追加するため、後に行がない場合は出力されないことへの対応
+   */
+  flushPendingCommandEvents() {
+    const pending_frames = this.timeline_json.additional_events
+      .filter(event => COMMAND_EVENT_KINDS.includes(event.event_kind) && !event.active && event.start_frame >= this.state.current_frame)
+      .map(event => event.start_frame);
+    if (pending_frames.length === 0) {
+      return;
+    }
+
+    const last_frame = Math.max(...pending_frames);
+    while (true) {
+      const { frame, event, original_event } = this.findMostRecentAdditionalEvent(this.timeline_json.additional_events, this.state.current_frame);
+      if (frame === null || frame > last_frame) {
+        break;
+      }
+      event.original_event = original_event;
+      this.addEventToTimeline(event, 'additional_event');
+    }
+  }
+
   /**
    * additional_eventsから次に実行すべき特殊イベントを検索
    * @param {Array} additional_events - 追加イベントリスト
@@ -1246,7 +2885,8 @@ class TimelineProcessor {
       }
       
       // 開始フレームの処理（未開始イベントのみ）
-      if (!event.active && event.start_frame >= current_frame) {
+      // 継続時間のないイベント（開始したフレームで軽減回数を使い切った軽減バフなど）は終了後に再び開始しない
+      if (!event.active && event.start_frame >= current_frame && event.start_frame < event.end_frame) {
         frames_to_check.push({ frame: event.start_frame, type: 'start' });
       }
       
@@ -1270,72 +2910,51 @@ class TimelineProcessor {
   }
 
   /**
-   * カノエSSバフを追加する特殊処理
-   * settingsでKanoeSSが1以上の場合にカノエSSバフイベントを追加
+   * 戦闘開始時に発動するバフ（trigger: "battle_start"）をadditional_eventsに追加する
+   * level_scalingを持つバフは設定のレベルが1以上の場合のみ追加する（例: kanoe_ss, cherino_ss）
    */
-  addKanoeSS() {
-    // settingsからKanoeSS設定を取得（数値に変換）
-    const kanoeSSLevel = parseInt(this.settings.kanoe_ss) || 0;
-    
-    if (kanoeSSLevel >= 1 && this.buff_data && this.buff_data.cost_recovery_buffs.kanoe) {
-      // カノエSSバフの設定を取得
-      const kanoeBuff = this.buff_data.cost_recovery_buffs.kanoe;
-      
-      // カノエ専用のバフ量計算
-      const calculatedBuffAmount = kanoeBuff.base_buff_amount + (kanoeSSLevel - 1) * kanoeBuff.additional_buff_amount;
-      
-      // カノエ専用のbuff_infoを作成
-      const kanoeBuffInfo = {
-        ...kanoeBuff,
-        buff_amount: calculatedBuffAmount
-      };
-      
+  addBattleStartBuffs() {
+    if (!this.buff_data || !this.buff_data.cost_recovery_buffs) {
+      return;
+    }
+
+    for (const buff_config of Object.values(this.buff_data.cost_recovery_buffs)) {
+      if (buff_config.trigger !== 'battle_start') {
+        continue;
+      }
+
+      const level = resolveBuffLevel(buff_config, this.settings);
+      if (level !== null && level < 1) {
+        continue;
+      }
+
       // バフイベントを作成（戦闘開始時に発動）
-      const kanoeBuffEvent = this.createBuffEvent(
-        kanoeBuffInfo,
+      const buff_event = this.createBuffEvent(
+        buff_config,
         60, // 戦闘開始フレーム
         this.settings
       );
-      
+
       // additional_eventsに追加
-      this.timeline_json.additional_events.push(kanoeBuffEvent);
-      
-      console.log(`カノエSSバフ追加: レベル${kanoeSSLevel}, バフ量: ${calculatedBuffAmount}`);
+      this.timeline_json.additional_events.push(buff_event);
+
+      console.log(`${buff_config.buff_name}追加: レベル${level}, バフ量: ${buff_event.buff_amount}`);
     }
   }
 
   /**
-   * チェリノSSバフを追加する特殊処理
-   * settingsでCherinoSSが1以上の場合にチェリノSSバフイベントを追加
+   * ボスのプロファイルのバフ（boss_profiles.○○.buffsのcost_recovery_buffsのキー）を戦闘開始時に追加する
+   * ゲブラPSのような継続時間が実質無限のバフや、buff_amountが負のコスト回復力の減少を定義できる
    */
-  addCherinoSS() {
-    // settingsからCherinoSS設定を取得（数値に変換）
-    const cherinoSSLevel = parseInt(this.settings.cherino_ss) || 0;
-    
-    if (cherinoSSLevel >= 1 && this.buff_data && this.buff_data.cost_recovery_buffs.cherino) {
-      // チェリノSSバフの設定を取得
-      const cherinoBuff = this.buff_data.cost_recovery_buffs.cherino;
-      
-      // チェリノ専用のバフ量計算
-      const calculatedBuffAmount = cherinoBuff.base_buff_amount + (cherinoSSLevel - 1) * cherinoBuff.additional_buff_amount;
-      
-      // チェリノ専用のbuff_infoを作成
-      const cherinoBuffInfo = {
-        ...cherinoBuff,
-        buff_amount: calculatedBuffAmount
-      };
-      
-      // バフイベントを作成（戦闘開始時に発動）
-      const cherinoBuffEvent = this.createBuffEvent(
-        cherinoBuffInfo,
-        60, // 戦闘開始フレーム
-        this.settings
-      );
-      
-      // additional_eventsに追加
-      this.timeline_json.additional_events.push(cherinoBuffEvent);
-      
-      console.log(`チェリノSSバフ追加: レベル${cherinoSSLevel}, バフ量: ${calculatedBuffAmount}`);
+  addBossProfileBuffs() {
+    if (!this.boss_profile) {
+      return;
+    }
+
+    for (const buff_key of this.boss_profile.buffs || []) {
+      const buff_event = this.createBuffEvent(this.getBuffTemplate(buff_key), 60, this.settings);
+      this.timeline_json.additional_events.push(buff_event);
+      console.log(`ボス（${this.boss_profile.boss_name}）のバフをadditional_eventsに追加しました:`, buff_event);
     }
   }
 
@@ -1349,33 +2968,34 @@ class TimelineProcessor {
   createBuffEvent(buff_info, start_frame, settings = {}) {
     const actual_start_frame = start_frame + (buff_info.offset_frames || 0);
     
-    let duration_frames = Array.isArray(buff_info.duration_frames) ? buff_info.duration_frames[0] : buff_info.duration_frames;
-    
-    // セイアの特殊処理：固有2設定に基づいてduration_framesを選択
-    if (buff_info.buff_name === 'セイアEX') {
-      // settings.seia_koyuu2が'yes'なら2番目（index 1）、'no'なら1番目（index 0）を使用
-      const seia_koyuu2 = settings.seia_koyuu2 || 'yes'; // デフォルトは'yes'
-      duration_frames = seia_koyuu2 === 'yes' ? buff_info.duration_frames[1] : buff_info.duration_frames[0];
-      console.log(`セイア固有2設定: ${seia_koyuu2}, 選択されたduration_frames: ${duration_frames}`);
-    }
-    
-    // マジカルスズミの特殊処理：固有2設定に基づいてduration_framesを選択
-    if (buff_info.buff_name === 'マジカルスズミSS') {
-      // settings.magical_suzumi_koyuu2が'yes'なら2番目（index 1）、'no'なら1番目（index 0）を使用
-      const magical_suzumi_koyuu2 = settings.magical_suzumi_koyuu2 || 'yes'; // デフォルトは'yes'
-      duration_frames = magical_suzumi_koyuu2 === 'yes' ? buff_info.duration_frames[1] : buff_info.duration_frames[0];
-      console.log(`マジカルスズミ固有2設定: ${magical_suzumi_koyuu2}, 選択されたduration_frames: ${duration_frames}`);
-    }
+    // 継続フレーム数とバフ量は設定に応じて決定する（スキルレベル、カノエSSの人数など）
+    // 該当するレベルのデータがない場合の警告はバフ開始イベントに表示する
+    const notes = [];
+    const duration_frames = resolveBuffDurationFrames(buff_info, settings, notes);
+    const buff_amount = resolveBuffAmount(buff_info, settings, notes);
     
-    return {
+    const buff_event = {
       start_frame: actual_start_frame,
       end_frame: actual_start_frame + duration_frames,
       event_name: buff_info.buff_name,
       buff_target: buff_info.buff_target, // バフターゲットを追加（重複チェック用）
       duration: (duration_frames / 30) * 1000, // フレームをミリ秒に変換
-      buff_amount: buff_info.buff_amount,
-      active: false // 作成時は非アクティブ（まだ開始されていない）
+      buff_amount: buff_amount,
+      active: false, // 作成時は非アクティブ（まだ開始されていない）
+      ...(notes.length > 0 ? { note: notes } : {})
     };
+
+    // EX使用コストの軽減バフ：コスト回復力は変えず、残りの軽減回数を持つ（applyCostReductionsで使用）
+    if (buff_info.event_type === COST_REDUCTION_EVENT_TYPE) {
+      const charges = buff_info.cost_reduction.charges;
+      Object.assign(buff_event, {
+        event_kind: 'cost_reduction',
+        buff_amount: 0,
+        cost_reduction: { ...buff_info.cost_reduction },
+        remaining_charges: typeof charges === 'number' ? charges : null
+      });
+    }
+    return buff_event;
   }
 
   /**
@@ -1411,7 +3031,7 @@ class TimelineProcessor {
       let base_event_name = event.event_name || 'バフイベント';
       let event_suffix = '';
       if (event.event_type === 'start') {
-        if (!base_event_name.includes('知性の根源')) {
+        if (!base_event_name.includes('知性の根源') && event.event_kind !== 'retreat' && event.event_kind !== 'phase' && event.event_kind !== 'cost_change') {
           event_suffix = '開始';
         }
       } else if (event.event_type === 'end') {
@@ -1424,7 +3044,7 @@ class TimelineProcessor {
         event_name: base_event_name + event_suffix,
         current_cost_display_only: 0, // 後で更新
         remaining_cost_points: 0, // 後で更新
-        note: [] // 警告文用配列
+        note: (event.event_type === 'start' && event.note) ? [...event.note] : [] // 警告文用配列（開始時のみ引き継ぐ）
       };
     } else {
       // input_jsonからのイベント（通常のrowイベント）
@@ -1432,7 +3052,10 @@ class TimelineProcessor {
       formatted_event = {
         frame: target_frame,
         cost_used: event.cost_used || 0,
+        // EX使用コストの軽減を適用した場合の軽減前の使用コストと、適用したバフ
+        ...(event.nominal_cost_used !== undefined ? { nominal_cost_used: event.nominal_cost_used, cost_reductions: event.cost_reductions } : {}),
         event_name: event.event_name || '',
+        ...(event.student_id ? { student_id: event.student_id } : {}), // 生徒ID（生徒ごとの集計用）
         is_auto: event.is_auto || false, // AUTO撃ちフラグを追加
         current_cost_display_only: 0, // 後で更新
         remaining_cost_points: 0, // 後で更新
@@ -1463,11 +3086,42 @@ class TimelineProcessor {
     if (event.remaining_students !== undefined) {
       this.state.remaining_students = event.remaining_students;
     }
+    // 撤退イベントの開始時は撤退した人数だけ減らす
+    if (event.event_kind === 'retreat' && event.event_type === 'start') {
+      this.state.remaining_students = Math.max(0, this.state.remaining_students - (event.retreat_count || 1));
+    }
+
+    // フェーズの切り替え：最大コストの変更（下がった場合は超えた分を切り捨てる）とコストのリセット
+    if (event.event_kind === 'phase' && event.event_type === 'start') {
+      if (event.phase.max_cost !== null) {
+        this.max_cost = event.phase.max_cost;
+        this.max_cost_points = this.max_cost * COST_POINT_UNIT;
+        this.state.remaining_cost_points = Math.min(this.state.remaining_cost_points, this.max_cost_points);
+      }
+      if (event.phase.cost_mode === 'reset') {
+        this.state.remaining_cost_points = 0;
+      }
+    }
+
+    // コストの即時増減：EXの使用と区別できるようcost_changeを記録し、増加であふれた分はあふれたコストに加える
+    if (event.event_kind === 'cost_change' && event.event_type === 'start') {
+      const result = applyCostChange(this.state.remaining_cost_points, event.cost_change, this.max_cost_points);
+      this.state.remaining_cost_points = result.cost_points;
+      if (result.overflow_points > 0) {
+        formatted_event.overflow_cost = (formatted_event.overflow_cost || 0) + result.overflow_points / COST_POINT_UNIT;
+      }
+      formatted_event.cost_change = event.cost_change;
+    }
 
     // 4. コスト支払い処理（input_rowイベントの場合）
     if (event_source === 'input_row' && formatted_event.cost_used !== 0) {
       const cost_points_used = formatted_event.cost_used * COST_POINT_UNIT;
       this.state.remaining_cost_points -= cost_points_used;
+      // 最大コストを超える使用コストは最大コストまで溜めて使用したものとし、残りコストを負にしない
+      if (event.cost_capped_by_max && this.state.remaining_cost_points < 0) {
+        this.state.remaining_cost_points = 0;
+        formatted_event.note.push('最大コストまでしか溜まらないため、残りコストを0とします');
+      }
     }
 
     // 5. total_cost_recoveryの更新（バフ状態の変化を反映）
@@ -1476,7 +3130,8 @@ class TimelineProcessor {
       this.state.current_frame, 
       this.ss_enabled, // SS設定を正しく渡す
       this.state.remaining_students,
-      this.is_boss_geburah // ゲブラフラグを追加
+      this.boss_profile ? this.boss_profile.role_multipliers : null, // ボスによるロール倍率
+      this.roster
     );
     console.log(`フレーム${this.state.current_frame}でのtotal_cost_recovery更新: ${this.state.total_cost_recovery}`);
 
@@ -1488,6 +3143,41 @@ class TimelineProcessor {
     this.timeline_json.timeline.push(formatted_event);
   }
 
+  /**
+   * 編成が指定されている場合に、バフのターゲットが編成に含まれていなければ警告文を追加する
+   * 編成外の生徒へのバフはcalculateTotalCostRecoveryで無視されるため、ユーザーに知らせる
+   * @param {string|null} buff_target - バフのターゲット
+   * @param {Object} event - 警告文を追加するイベント（noteを持つオブジェクト）
+   * @param {Object|null} row - バフの発生元の入力行（診断情報用）
+   */
+  warnIfOutsideRoster(buff_target, event, row = null) {
+    if (!this.roster || !buff_target || buff_target === "NA" || isAllStudentsTarget(buff_target)) {
+      return;
+    }
+    const in_roster = [...this.roster.strikers, ...this.roster.specials]
+      .some(student => student.name === buff_target);
+    if (!in_roster) {
+      if (!event.note) {
+        event.note = [];
+      }
+      event.note.push(`${buff_target}は編成に含まれていないため、コスト回復力に反映されません`);
+      this.addDiagnostic(row, 'info', 'BUFF_OUTSIDE_ROSTER',
+        `${buff_target}は編成に含まれていないため、コスト回復力に反映されません`, row ? row.event_name : null);
+    }
+  }
+
+  /**
+   * 入力行に関する診断情報をtimeline_json.diagnosticsに追加する
+   * @param {Object|null} row - 入力行（nullの場合は何もしない）
+   * @param {string} severity - 重要度（'error' | 'warning' | 'info'）
+   * @param {string} code - 種類を表すコード
+   * @param {string} message - メッセージ
+   * @param {string|null} target - 該当する文字列（nullの場合は行全体）
+   */
+  addDiagnostic(row, severity, code, message, target = null) {
+    addRowDiagnostic(this.timeline_json.diagnostics, row, severity, code, message, target);
+  }
+
   /**
    * checkAndUpdateDuplicateBuffs
    * バフ重複チェック：同じbuff_targetを持つアクティブなバフがあるかチェックし、
@@ -1510,6 +3200,7 @@ class TimelineProcessor {
       
       // 同じbuff_targetで、かつアクティブ（end_frameが新しいバフのstart_frameより後）なバフを検索
       if (existing_buff.buff_target === buff_target && 
+          existing_buff.event_kind !== 'cost_reduction' && // EX使用コストの軽減はコスト回復バフを上書きしない
           existing_buff.active !== false && 
           existing_buff.end_frame > new_start_frame) {
         
@@ -1535,11 +3226,19 @@ class TimelineProcessor {
    * @param {string} event_name - イベント名
    * @param {number} start_frame - 開始フレーム
    * @param {boolean} is_auto - AUTO撃ちかどうか
+   * @param {Object|null} source_event - バフの発生元イベント（編成外の警告文追加用、student_idでバフを検出する）
+   * @param {Object|null} source_row - バフの発生元の入力行（診断情報用）
    */
-  detectAndProcessBuff(event_name, start_frame, is_auto = false) {
-    const buff_info = detectCostRecoveryBuff(event_name, this.buff_data);
+  detectAndProcessBuff(event_name, start_frame, is_auto = false, source_event = null, source_row = null) {
+    // createInputJSONで生徒を判定済みの場合はその生徒IDを使用する（nullは判定できなかった行）
+    const student_id = (source_event && source_event.student_id !== undefined) ? source_event.student_id : undefined;
+    const buff_info = detectCostRecoveryBuff(event_name, this.buff_data, student_id);
     if (buff_info) {
-      // バフイベントを作成（セイア固有2設定を含むsettingsを渡す）
+      if (source_event) {
+        this.warnIfOutsideRoster(buff_info.buff_target, source_event, source_row);
+      }
+
+      // バフイベントを作成（スキルレベル設定を含むsettingsを渡す）
       // AUTO撃ちの場合1フレーム分ロスが少ない
       const buff_event = this.createBuffEvent(buff_info, start_frame + (is_auto ? -1 : 0), this.settings);
       
@@ -1553,6 +3252,65 @@ class TimelineProcessor {
       // 理由: コスト計算時にここから読み取られるため（969行目参照）
       this.timeline_json.additional_events.push(buff_event);
     }
+
+    // EX使用コストの軽減バフ（同じバフが残っている場合は新しいバフの開始で上書きする）
+    const resolved_student_id = student_id !== undefined ? student_id : (resolveStudentOf(event_name) || { id: null }).id;
+    for (const reduction_info of detectCostReductionBuffs(event_name, this.buff_data, resolved_student_id)) {
+      if (source_event) {
+        this.warnIfOutsideRoster(reduction_info.buff_target, source_event, source_row);
+      }
+      const reduction_event = this.createBuffEvent(reduction_info, start_frame + (is_auto ? -1 : 0), this.settings);
+      for (const existing of this.timeline_json.additional_events) {
+        if (existing.event_kind === 'cost_reduction' && existing.event_name === reduction_event.event_name &&
+            existing.end_frame > reduction_event.start_frame) {
+          existing.end_frame = Math.max(existing.start_frame, reduction_event.start_frame);
+          existing.duration = ((existing.end_frame - existing.start_frame) / 30) * 1000;
+        }
+      }
+      this.timeline_json.additional_events.push(reduction_event);
+    }
+  }
+
+  /**
+   * EX使用コストの軽減バフを行の使用コストに適用する
+   * 対象（buff_target）が行の生徒（全員・全体・allの場合はすべての生徒）で、指定フレームで有効かつ軽減回数が残っているバフを
+   * 開始順に適用し、軽減回数を1減らす（軽減回数がなくなったバフはそのフレームで終了する）
+   * @param {Object} row - 入力行
+   * @param {number} frame - 行の確定したフレーム
+   * @param {boolean} preview - trueの場合は軽減回数を減らさずに軽減後の使用コストのみを求める
+   *   （コストタイミングの推定用、フレームで開始する予定のバフも適用する）
+   * @returns {Object} { cost_used: 軽減後の使用コスト, reductions: 適用したバフ名の配列 }
+   */
+  applyCostReductions(row, frame, preview = false) {
+    let cost_used = row.cost_used || 0;
+    const reductions = [];
+    if (cost_used <= 0) {
+      return { cost_used: cost_used, reductions: reductions };
+    }
+
+    for (const event of this.timeline_json.additional_events) {
+      if (event.event_kind !== 'cost_reduction' || (!event.active && !preview) ||
+          !(event.start_frame <= frame && frame < event.end_frame) || event.remaining_charges === 0) {
+        continue;
+      }
+      const is_target = isAllStudentsTarget(event.buff_target) || event.buff_target === row.event_name ||
+        (!!row.student_id && (resolveStudentOf(event.buff_target) || {}).id === row.student_id);
+      if (!is_target) {
+        continue;
+      }
+
+      cost_used = applyCostReduction(cost_used, event.cost_reduction);
+      reductions.push(event.event_name);
+      if (event.remaining_charges !== null && !preview) {
+        event.remaining_charges--;
+        if (event.remaining_charges === 0) {
+          // 軽減回数を使い切ったバフはこのフレームで終了する（次のイベントの処理時に終了イベントを追加）
+          event.end_frame = frame;
+          event.duration = ((event.end_frame - event.start_frame) / 30) * 1000;
+        }
+      }
+    }
+    return { cost_used: cost_used, reductions: reductions };
   }
 
   /**
@@ -1562,33 +3320,46 @@ class TimelineProcessor {
   createTimelineJSON() {
     console.log('=== TimelineProcessor.createTimelineJSON 開始 ===');
     try {
-      this.radiatorManager.extractAndProcessRadiatorEvents(this.input_json.timeline);
-      this.radiatorManager.calculateRadiatorIntervals(this.battle_time * 30);
-
-      // デバッグ用：RadiatorManagerの状態をコンソール表示（ゲブラボス戦時のみ）
-      if (this.is_boss_geburah) {
-        console.log('=== RadiatorManager デバッグ情報 ===');
-        console.log('ラジエーターイベント数:', this.radiatorManager.radiator_events?.length || 0);
-        console.log('ラジエーター区間数:', this.radiatorManager.radiator_intervals?.length || 0);
-        
-        if (this.radiatorManager.radiator_intervals?.length > 0) {
-          console.log('=== ラジエーター区間詳細 ===');
-          this.radiatorManager.radiator_intervals.forEach((interval, index) => {
-            const startSec = (interval.start_frame / 30).toFixed(1);
-            const endSec = (interval.end_frame / 30).toFixed(1);
-            console.log(`区間${index + 1}: ${startSec}秒(${interval.start_frame}f) ～ ${endSec}秒(${interval.end_frame}f) [自動延長: ${interval.auto_extended}]`);
-          });
-        } else {
-          console.log('ラジエーター区間は検出されませんでした');
+      // ラベル参照の解析：循環参照は診断情報とし、未来のラベルは反復計算で求めたフレームを仮の値とする
+      // （反復計算の各回の処理ではlabel_seedが与えられるため、再度の反復計算は行わない）
+      if (!this.label_seed) {
+        const label_references = analyzeLabelReferences(this.input_json.timeline);
+        for (const cycle of label_references.cycles) {
+          const cycle_text = [...cycle.labels, cycle.labels[0]].join(' → ');
+          for (const row of cycle.rows) {
+            this.addDiagnostic(row, 'error', 'LABEL_REFERENCE_CYCLE',
+              `ラベルの参照が循環しています（${cycle_text}）`, row.reference);
+          }
+        }
+        if (label_references.forward_labels.size > 0) {
+          this.label_seed = this.solveForwardLabels(label_references.forward_labels);
+        }
+      }
+      if (this.label_seed) {
+        for (const [label, frame] of this.label_seed) {
+          if (frame !== null) {
+            this.label_map.set(label, { time: TLEditorCommon.framesToSeconds(frame), frame: frame, is_provisional: true });
+          }
         }
-        // console.log('=== input_json.timeline デバッグ出力 ===');
-        // console.log(JSON.stringify(this.input_json.timeline, null, 2));
-        console.log('=== RadiatorManager デバッグ情報終了 ===');
-        
-        this.addAllRadiatorEvents();
-        console.log('additional_events after adding radiator events:', this.timeline_json.additional_events);
       }
 
+      // 開始・終了の行の組で有効区間が決まるギミック（ラジエーター過負荷など）
+      // 開始・終了の行はすべてのギミックについて特殊コマンドとし、有効なギミックのみ区間のバフを追加する
+      // 行の時間は行より前のフェーズのタイマーで解釈する（フェーズは反復計算で求める、solveIntervalPhases）
+      if (!this.phase_seed) {
+        this.phase_seed = this.solveIntervalPhases();
+      }
+      for (const manager of this.intervalManagers) {
+        manager.extractIntervalEvents(this.input_json.timeline, row => this.intervalFrameOf(row, this.phase_seed));
+        if (!manager.config.enabled) {
+          continue;
+        }
+        manager.calculateIntervals(this.battle_time * 30);
+        for (const diagnostic of manager.diagnostics) {
+          this.addDiagnostic(diagnostic.row, diagnostic.severity, diagnostic.code, diagnostic.message, diagnostic.row.event_name);
+        }
+        this.addIntervalGimmickEvents(manager);
+      }
 
       // ========================================
       // Step 2. メインループ: 各タイムライン行を処理    
@@ -1596,6 +3367,11 @@ class TimelineProcessor {
       for (let i = 0; i < this.input_json.timeline.length; i++) {
         const row = this.input_json.timeline[i];
         
+        // 「@ストライカー」などの指示行はコンストラクタで処理済み
+        if (row.is_directive) {
+          continue;
+        }
+        
         // 特殊コマンドの処理を最初に実行
         this.processSpecialCommand(row);
         
@@ -1608,17 +3384,32 @@ class TimelineProcessor {
           console.log(`行${i + 1}は通常コマンドとして処理されます。`);
         }
         console.log('row:', row);
+
+        // 使用コストが書かれたEXの行で生徒を判定できない場合は、生徒ごとの集計・バフの検出の対象外となることを知らせる
+        if (!row.student_id && row.cost_used > 0 && !resolveStudentOf(row.event_name)) {
+          this.addDiagnostic(row, 'info', 'UNKNOWN_STUDENT',
+            `「${row.event_name}」の生徒を判定できないため、生徒ごとの集計・バフの検出の対象外となります`, row.event_name);
+        }
         
         // resolveRowTimingメソッドがaddEventToTimelineを呼び出してイベントを追加済み
         this.resolveRowTiming(row, i);
       }
 
+      // 最後の行より後の撤退・フェーズの切り替え・コストの即時増減の行も出力する
+      this.flushPendingCommandEvents();
+
       // ========================================
       // Step 3. 最終出力の構築
       // ========================================
       this.timeline_json.metadata.final_cost = this.state.remaining_cost_points / COST_POINT_UNIT;
       this.timeline_json.metadata.final_frame = this.state.current_frame;
       this.timeline_json.metadata.total_duration = TLEditorCommon.framesToSeconds(this.state.current_frame);
+      // フェーズの切り替えがある場合のみ、フェーズの一覧（timeline-formatter.jsでフェーズのタイマーの時間を表示する）
+      if (this.phases.length > 0) {
+        this.timeline_json.metadata.phases = this.phases.map(phase => ({ ...phase }));
+      }
+      // 診断情報は行番号順に並べる（同じ行の中では追加順）
+      this.timeline_json.diagnostics.sort((a, b) => (a.line || 0) - (b.line || 0));
 
       return this.timeline_json;
 
@@ -1627,6 +3418,109 @@ class TimelineProcessor {
     }
   }
 
+  /**
+   * ギミックの開始・終了の行のフレーム（行より前のフェーズの切り替えのタイマーで行の時間を解釈する、frameOfInputTime）
+   * @param {Object} row - 入力行
+   * @param {Array} phases - フェーズの切り替え（solveIntervalPhasesの結果）
+   * @returns {number|null} フレーム数、時間の指定がない場合はnull
+   */
+  intervalFrameOf(row, phases) {
+    if (row.time === null || row.time === undefined) {
+      return null;
+    }
+    return this.frameOfInputTime(row.time, phases.filter(phase => phase.line_number < row.line_number));
+  }
+
+  /**
+   * solveIntervalPhases: ギミックの開始・終了の行の時間の解釈に使うフェーズの切り替えを反復計算で求める
+   * 
+   * 【計算方法】
+   * ギミックの区間は行の処理前に求めるが、フェーズの切り替え（開始フレーム・タイマー）は行の処理中に決まるため、
+   * 1. 入力行の複製を、前回求めたフェーズで開始・終了の行の時間を解釈して処理する（初回はフェーズなし）
+   * 2. 処理後のフェーズで解釈した開始・終了の行のフレームが前回と一致するまで繰り返す（不動点）
+   * 有効なギミックの開始・終了の行とフェーズの切り替えの行の両方がある場合のみ反復計算する
+   * 
+   * @returns {Array} フェーズの切り替え（this.phasesの複製）
+   */
+  solveIntervalPhases() {
+    const interval_rows = this.input_json.timeline.filter(row => !row.is_directive && row.event_name &&
+      this.intervalManagers.some(manager => manager.config.enabled &&
+        (manager.isStartEvent(row.event_name) || manager.isEndEvent(row.event_name))));
+    const boss_phases = this.boss_profile ? this.boss_profile.phases || [] : [];
+    const has_phase_rows = this.input_json.timeline.some(row => !row.is_directive && row.event_name &&
+      (PHASE_PATTERN.test(row.event_name) || boss_phases.some(phase => matchesTextPatterns(row.event_name, phase.detection_patterns))));
+    if (interval_rows.length === 0 || !has_phase_rows) {
+      return [];
+    }
+
+    const framesOf = phases => interval_rows.map(row => this.intervalFrameOf(row, phases));
+    let phase_seed = [];
+    for (let pass = 1; pass <= INTERVAL_PHASE_SOLVING_MAX_PASSES; pass++) {
+      // 処理中に入力行が書き換えられるため、複製を処理する
+      const pass_input_json = { ...this.input_json, timeline: structuredClone(this.input_json.timeline) };
+      const pass_processor = new TimelineProcessor(pass_input_json, this.settings, this.buff_data);
+      pass_processor.label_seed = this.label_seed;
+      pass_processor.phase_seed = phase_seed;
+      pass_processor.createTimelineJSON();
+
+      const solved = pass_processor.phases.map(phase => ({ ...phase }));
+      const seed_frames = framesOf(phase_seed);
+      const is_converged = framesOf(solved).every((frame, index) => frame === seed_frames[index]);
+      phase_seed = solved;
+      if (is_converged) {
+        console.log(`ギミックの行のフェーズの反復計算: ${pass}回目で収束しました`, phase_seed);
+        return phase_seed;
+      }
+    }
+
+    console.warn(`ギミックの行のフェーズの反復計算: ${INTERVAL_PHASE_SOLVING_MAX_PASSES}回で収束しませんでした`);
+    return phase_seed;
+  }
+
+  /**
+   * solveForwardLabels: 未来のラベルのフレームを反復計算で求める
+   * 
+   * 【計算方法】
+   * 1. 入力行の複製を、前回求めた未来のラベルのフレームを仮の値として処理する（初回は仮の値なし）
+   * 2. 処理後のラベルのフレームが仮の値と一致するまで繰り返す（不動点）
+   * 参照先のラベルがさらに別のラベルを参照する場合も、繰り返しの中で順に確定する
+   * LABEL_SOLVING_MAX_PASSES回で収束しない場合は、最後に求めたフレームを使用し警告する
+   * 
+   * @param {Set<string>} forward_labels - 未来のラベル（analyzeLabelReferencesの結果）
+   * @returns {Map<string, number|null>} ラベル → フレーム
+   */
+  solveForwardLabels(forward_labels) {
+    let label_seed = new Map([...forward_labels].map(label => [label, null]));
+
+    for (let pass = 1; pass <= LABEL_SOLVING_MAX_PASSES; pass++) {
+      // 処理中に入力行が書き換えられるため、複製を処理する
+      const pass_input_json = { ...this.input_json, timeline: structuredClone(this.input_json.timeline) };
+      const pass_processor = new TimelineProcessor(pass_input_json, this.settings, this.buff_data);
+      pass_processor.label_seed = label_seed;
+      pass_processor.phase_seed = []; // ギミックの行のフェーズの反復計算は未来のラベルを求めた後に行う
+      pass_processor.createTimelineJSON();
+
+      const solved = new Map([...forward_labels].map(label => {
+        const entry = pass_processor.label_map.get(label);
+        return [label, entry && !entry.is_provisional ? entry.frame : null];
+      }));
+      const is_converged = [...solved].every(([label, frame]) => label_seed.get(label) === frame);
+      label_seed = solved;
+      if (is_converged) {
+        console.log(`未来のラベルの反復計算: ${pass}回目で収束しました`, label_seed);
+        return label_seed;
+      }
+    }
+
+    for (const row of this.input_json.timeline) {
+      if (row.reference && forward_labels.has(row.reference)) {
+        this.addDiagnostic(row, 'warning', 'LABEL_NOT_CONVERGED',
+          `${row.reference}の時間が定まらないため、${LABEL_SOLVING_MAX_PASSES}回目の計算結果を使用します`, row.reference);
+      }
+    }
+    return label_seed;
+  }
+
   /**
    * timeline_jsonの各イベントを1行のテキストとして出力
    * @param {Object} options - 出力オプション
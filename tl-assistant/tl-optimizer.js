@@ -0,0 +1,356 @@
+/**
+ * TL Optimizer
+ * EXの使用順と制約から、あふれるコストが最小（または最後のEXが最も早い）となるタイミングを探索し、
+ * 通常の入力形式のTLとして出力する
+ *
+ * 【入力（プラン）】
+ * {
+ *   "header": ["@ストライカー ミカ セイア ..."],       // 先頭にそのまま出力する行（編成の指示行など、省略可）
+ *   "actions": [
+ *     { "name": "水着セイア", "cost": 3, "label": "s1" },
+ *     { "name": "ミカ", "earliest": "2:50", "latest": "2:30" },
+ *     { "name": "ハレ", "after": "#s1+5" },
+ *     { "name": "ヒナ", "auto": true }
+ *   ]
+ * }
+ * - name: イベント名（生徒名）
+ * - cost: 使用コスト（省略時はinput-processor.jsと同じく生徒データから自動判定）
+ * - earliest / latest: この時間以降 / 以前に使用する（TLと同じく設定のtime_display_formatで解釈する）
+ * - after: 「#ラベル+秒数」以降に使用する（ラベルはheaderの行または前の行動のlabel）
+ * - auto: AUTO撃ち（コストが溜まった時点で使用し、タイミングを探索しない）
+ * - label: 出力するTLの行に付けるラベル
+ * headerに「@分岐 A」の行がある場合、行動は最後の分岐の行となるため、その分岐（と共通部分）を処理して評価する
+ *
+ * 【探索方法】
+ * 行動を順に1つずつ決めるビームサーチ
+ * 1. 候補の各TLについて、TimelineProcessorで処理したコストの推移（getCostTrace）から
+ *    次の行動のコストが溜まるフレームを求め、制約を満たす最も早いフレームを下限とする
+ * 2. 下限から上限（latest、または戦闘終了）までのフレームを、step_framesごとと
+ *    総コスト回復力が変わるフレーム（バフの開始・終了など）で最大max_candidates個選ぶ
+ * 3. 各フレームで行動を追加したTLをTimelineProcessorで処理し直して評価し、良い順にbeam_width個を残す
+ * 評価はTimelineProcessorのコスト計算（バフ・ラジエーター区間などを含む）をそのまま使用する
+ *
+ * 【評価】
+ * - objective: 'overflow': あふれたコスト（最後の行動の後を含む戦闘終了までの累計）が少ない順、同じ場合は最後の行動が早い順
+ * - objective: 'finish': 最後の行動が早い順、同じ場合はあふれたコストが少ない順
+ *
+ * 【使用方法】
+ * const result = TLOptimizer.optimizeTimeline(plan, settings, BUFF_DATA, { objective: 'overflow' });
+ * result.text;  // 時間を明示したTL
+ */
+
+(function() {
+  'use strict';
+
+  console.log('tl-optimizer.js: スクリプト開始');
+
+  // コストポイント変換定数
+  const COST_POINT_UNIT = 30 * 10000;  // コスト1.0 = 300,000ポイント
+  const FPS = 30;
+
+  /**
+   * 探索のオプションの既定値
+   */
+  const DEFAULT_OPTIMIZE_OPTIONS = {
+    objective: 'overflow',  // 評価の基準（'overflow': あふれたコストの最小化, 'finish': 最後の行動を最も早く）
+    beam_width: 8,          // 各段階で残す候補の数
+    step_frames: 15,        // タイミングの候補の間隔（フレーム）
+    max_candidates: 12      // 1つの候補から試すタイミングの最大数
+  };
+
+  /**
+   * 依存モジュールの参照（Node.jsではrequire、ブラウザではwindowから取得）
+   * @returns {Object} { Utilities, InputProcessor, TLEditor, TimelineFormatter }
+   */
+  function getOptimizerModules() {
+    if (typeof module !== 'undefined' && module.exports) {
+      // Node.js環境
+      return {
+        Utilities: require('./utilities.js'),
+        InputProcessor: require('./input-processor.js'),
+        TLEditor: require('./tl-editor.js'),
+        TimelineFormatter: require('./timeline-formatter.js')
+      };
+    }
+    if (typeof window !== 'undefined' && window.Utilities && window.InputProcessor && window.TLEditor && window.TimelineFormatter) {
+      // ブラウザ環境
+      return {
+        Utilities: window.Utilities,
+        InputProcessor: window.InputProcessor,
+        TLEditor: window.TLEditor,
+        TimelineFormatter: window.TimelineFormatter
+      };
+    }
+    throw new Error('utilities.js, input-processor.js, tl-editor.js, timeline-formatter.js を先に読み込んでください');
+  }
+
+  /**
+   * 「#ラベル+秒数」形式の制約を解析する
+   * @param {string} text - 制約の文字列（例: "#s1+5", "#s1"）
+   * @returns {Object|null} { label, offset_frames }、解析できない場合はnull
+   */
+  function parseAfterConstraint(text) {
+    const match = String(text).trim().match(/^#([^\s+\-]+)\s*(?:([+-])\s*(\d+(?:\.\d+)?))?$/);
+    if (!match) {
+      return null;
+    }
+    const seconds = match[3] ? parseFloat(match[3]) : 0;
+    return {
+      label: match[1],
+      offset_frames: Math.round((match[2] === '-' ? -seconds : seconds) * FPS)
+    };
+  }
+
+  /**
+   * プランの行動を検証し、制約をフレーム数に変換する
+   * @param {Object} plan - プラン（{ header, actions }）
+   * @param {Object} settings - 設定
+   * @param {Object} modules - 依存モジュール
+   * @returns {Array} 行動（{ name, cost_used, auto, label, earliest_frame, latest_frame, after }）
+   */
+  function normalizeActions(plan, settings, modules) {
+    if (!plan || !Array.isArray(plan.actions) || plan.actions.length === 0) {
+      throw new Error('プランにactions（行動の配列）がありません');
+    }
+
+    const toFrame = (action_text, value, key) => {
+      if (value === undefined || value === null) {
+        return null;
+      }
+      const seconds = modules.Utilities.parseTimeToSeconds(String(value), settings);
+      if (seconds === null) {
+        throw new Error(`${action_text}: ${key}の時間を解釈できません: ${value}`);
+      }
+      return modules.Utilities.secondsToFrames(seconds);
+    };
+
+    return plan.actions.map((action, index) => {
+      const action_text = `行動${index + 1}（${action && action.name}）`;
+      if (!action || typeof action.name !== 'string' || !action.name.trim()) {
+        throw new Error(`行動${index + 1}: nameがありません`);
+      }
+
+      // 使用コストの省略時はTLの入力と同じく生徒データから判定する
+      let cost_used = action.cost;
+      if (cost_used === undefined || cost_used === null) {
+        const rows = modules.InputProcessor.createInputJSON(action.name, settings);
+        cost_used = rows.length > 0 ? rows[0].cost_used : 0;
+      }
+      if (typeof cost_used !== 'number' || !(cost_used >= 0)) {
+        throw new Error(`${action_text}: costには0以上の数値を指定してください`);
+      }
+
+      let after = null;
+      if (action.after !== undefined && action.after !== null) {
+        after = parseAfterConstraint(action.after);
+        if (!after) {
+          throw new Error(`${action_text}: afterは「#ラベル+秒数」の形式で指定してください: ${action.after}`);
+        }
+      }
+
+      return {
+        name: action.name.trim(),
+        cost_used: cost_used,
+        auto: action.auto === true,
+        label: action.label ? String(action.label).replace(/^#/, '') : null,
+        earliest_frame: toFrame(action_text, action.earliest, 'earliest'),
+        latest_frame: toFrame(action_text, action.latest, 'latest'),
+        after: after
+      };
+    });
+  }
+
+  /**
+   * 行動を使用するフレームを明示したTLの行を生成する
+   * @param {Object} action - 行動
+   * @param {number} frame - 使用するフレーム
+   * @param {Object} settings - 設定
+   * @param {Object} modules - 依存モジュール
+   * @returns {string} TLの行
+   */
+  function formatActionLine(action, frame, settings, modules) {
+    const time = modules.TimelineFormatter.formatInputTime(frame, settings);
+    return `${time} ${action.auto ? 'AUTO ' : ''}${action.name}${action.label ? ` #${action.label}` : ''} ${action.cost_used}`;
+  }
+
+  /**
+   * 行動のフレームを決めたTLを処理して評価する
+   * @param {Array<string>} header - 先頭の行
+   * @param {Array} actions - 行動
+   * @param {Array<number>} frames - 先頭から決めた行動のフレーム
+   * @param {Object} context - { settings, buff_data, modules }
+   * @returns {Object|null} { frames, text, processor, timeline_json, overflow_points, finish_frame }、
+   *   行動が指定したフレームで使用できなかった場合はnull
+   *   overflow_points: 戦闘終了までにあふれたコストポイントの累計（最後の行動の後にあふれる分を含む）
+   */
+  function evaluateFrames(header, actions, frames, context) {
+    const lines = [...header, ...frames.map((frame, index) => formatActionLine(actions[index], frame, context.settings, context.modules))];
+    const text = lines.join('\n');
+    const rows = context.modules.InputProcessor.createInputJSON(text, context.settings);
+    // 行動は最後の行の分岐（headerに分岐がない場合はnull）の行となるため、その分岐を処理する
+    const branch = rows.length > 0 && rows[rows.length - 1].branch != null ? rows[rows.length - 1].branch : null;
+    const processor = new context.modules.TLEditor.TimelineProcessor({ timeline: rows, branch: branch }, context.settings, context.buff_data);
+    const timeline_json = processor.createTimelineJSON();
+
+    // 時間が前後した・コストが足りなかった場合は、制約を満たさない候補とする
+    const action_rows = rows.filter(row => typeof row.timeline_index === 'number').slice(-frames.length);
+    for (let i = 0; i < frames.length; i++) {
+      const row = action_rows[i];
+      if (!row || row.frame !== frames[i] || timeline_json.timeline[row.timeline_index].remaining_cost_points < 0) {
+        return null;
+      }
+    }
+
+    // 戦闘時間の既定値はTimelineProcessorと同じ（processor.battle_time）
+    const battle_end_frame = processor.battle_time * FPS;
+    return {
+      frames: frames,
+      text: text,
+      processor: processor,
+      timeline_json: timeline_json,
+      overflow_points: processor.getCostTrace(battle_end_frame).at(battle_end_frame).overflow_points,
+      finish_frame: frames.length > 0 ? frames[frames.length - 1] : 0
+    };
+  }
+
+  /**
+   * 候補のTLに次の行動を追加するフレームの候補を列挙する
+   * @param {Object} candidate - evaluateFramesの結果
+   * @param {Object} action - 次の行動
+   * @param {Object} options - 探索のオプション
+   * @param {number} battle_end_frame - 戦闘終了のフレーム
+   * @returns {Array<number>} フレーム（昇順）、制約を満たせない場合は空の配列
+   */
+  function listCandidateFrames(candidate, action, options, battle_end_frame) {
+    const trace = candidate.processor.getCostTrace(battle_end_frame);
+    const previous_frame = candidate.finish_frame;
+
+    const ready_frame = trace.findFrameReachingCost(action.cost_used, previous_frame);
+    if (ready_frame === null) {
+      return [];
+    }
+
+    let lower = Math.max(previous_frame, ready_frame);
+    if (action.earliest_frame !== null) {
+      lower = Math.max(lower, action.earliest_frame);
+    }
+    if (action.after) {
+      const label = candidate.processor.label_map.get(`#${action.after.label}`);
+      if (!label) {
+        throw new Error(`ラベル #${action.after.label} が見つかりません（${action.name}のafter）`);
+      }
+      lower = Math.max(lower, label.frame + action.after.offset_frames);
+    }
+
+    const upper = Math.min(action.latest_frame !== null ? action.latest_frame : battle_end_frame, battle_end_frame);
+    if (lower > upper) {
+      return [];
+    }
+    if (action.auto) {
+      return [lower];
+    }
+
+    // 一定間隔のフレームと、総コスト回復力が変わるフレーム（バフの開始・終了など）
+    const frame_set = new Set([lower]);
+    for (let frame = lower + options.step_frames; frame <= upper && frame_set.size < options.max_candidates; frame += options.step_frames) {
+      frame_set.add(frame);
+    }
+    for (const segment of trace.segments) {
+      if (segment.start_frame > lower && segment.start_frame <= upper && frame_set.size < options.max_candidates * 2) {
+        frame_set.add(segment.start_frame);
+      }
+    }
+    if (action.latest_frame !== null) {
+      frame_set.add(upper);
+    }
+    return [...frame_set].sort((a, b) => a - b);
+  }
+
+  /**
+   * 評価の比較関数
+   * @param {string} objective - 'overflow' | 'finish'
+   * @returns {Function} (a, b) => number
+   */
+  function compareCandidates(objective) {
+    if (objective === 'finish') {
+      return (a, b) => (a.finish_frame - b.finish_frame) || (a.overflow_points - b.overflow_points);
+    }
+    return (a, b) => (a.overflow_points - b.overflow_points) || (a.finish_frame - b.finish_frame);
+  }
+
+  /**
+   * プランの行動のタイミングを探索し、TLを生成する
+   * @param {Object} plan - プラン（ファイル先頭のコメント参照）
+   * @param {Object} settings - 設定（TimelineProcessorと同じ）
+   * @param {Object} buff_data - バフデータ
+   * @param {Object} options - 探索のオプション（DEFAULT_OPTIMIZE_OPTIONS参照）
+   * @returns {Object} { text, frames, timeline_json, overflow_cost, finish_frame, evaluated_count, branch }
+   *   text: 時間を明示したTL、frames: 行動ごとのフレーム、overflow_cost: あふれたコストの合計
+   *   branch: 評価した分岐（headerの最後の分岐、headerに分岐がない場合はnull）
+   */
+  function optimizeTimeline(plan, settings, buff_data, options = {}) {
+    const opts = { ...DEFAULT_OPTIMIZE_OPTIONS, ...options };
+    if (opts.objective !== 'overflow' && opts.objective !== 'finish') {
+      throw new Error(`不明な評価の基準です: ${opts.objective}（overflow, finish のいずれかを指定してください）`);
+    }
+
+    const modules = getOptimizerModules();
+    const context = { settings: settings, buff_data: buff_data, modules: modules };
+    const header = Array.isArray(plan && plan.header) ? plan.header.map(String) : [];
+    const actions = normalizeActions(plan, settings, modules);
+    const compare = compareCandidates(opts.objective);
+
+    let evaluated_count = 0;
+    let beam = [evaluateFrames(header, actions, [], context)];
+    // 戦闘時間の既定値はTimelineProcessorと同じ（processor.battle_time）
+    const battle_end_frame = beam[0].processor.battle_time * FPS;
+
+    for (let i = 0; i < actions.length; i++) {
+      const next_beam = [];
+      for (const candidate of beam) {
+        for (const frame of listCandidateFrames(candidate, actions[i], opts, battle_end_frame)) {
+          const evaluated = evaluateFrames(header, actions, [...candidate.frames, frame], context);
+          evaluated_count++;
+          if (evaluated) {
+            next_beam.push(evaluated);
+          }
+        }
+      }
+
+      if (next_beam.length === 0) {
+        throw new Error(`行動${i + 1}（${actions[i].name}）の制約を満たすタイミングが見つかりません`);
+      }
+      next_beam.sort(compare);
+      beam = next_beam.slice(0, opts.beam_width);
+      console.log(`tl-optimizer.js: 行動${i + 1}（${actions[i].name}）の候補 ${next_beam.length}件, 最良 ${beam[0].frames[i]}f`);
+    }
+
+    const best = beam[0];
+    return {
+      text: best.text,
+      frames: best.frames,
+      timeline_json: best.timeline_json,
+      overflow_cost: best.overflow_points / COST_POINT_UNIT,
+      finish_frame: best.finish_frame,
+      evaluated_count: evaluated_count,
+      branch: best.processor.branch
+    };
+  }
+
+  // エクスポート
+  const TLOptimizer = {
+    DEFAULT_OPTIMIZE_OPTIONS,
+    parseAfterConstraint,
+    optimizeTimeline
+  };
+
+  // モジュールとしてエクスポート
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TLOptimizer;
+  } else if (typeof window !== 'undefined') {
+    window.TLOptimizer = TLOptimizer;
+  }
+
+  console.log('tl-optimizer.js: 初期化完了');
+
+})();
@@ -1,6 +1,6 @@
 /**
  * 共通ユーティリティライブラリ
- * 時間変換、フレーム変換、文字列処理など共通機能を提供
+ * 時間変換、フレーム変換、文字列処理、診断情報の作成など共通機能を提供
  */
 
 // ==============================
@@ -14,6 +14,7 @@ const FPS = 30;  // 30 FPS
 
 /**
  * 時間文字列を秒数（浮動小数点）に変換
+ * 先頭の「-」は値全体の符号とする（戦闘時間を過ぎた時間「-0:01.000」= -1秒）
  * @param {string} timeStr - 時間文字列（例：2:34.543）
  * @returns {number|null} 秒数、変換できない場合はnull
  */
@@ -26,7 +27,9 @@ function parseTimeToSeconds(timeStr, settings = {}, isModifierTime = false) {
 
   // コロンが含まれる場合（分:秒.ミリ秒形式）
   if (timeStr.includes(':')) {
-    const parts = timeStr.split(':');
+    // 「-0:01」の「-0」はparseFloatで0分となり符号が失われるため、先頭の符号は分けて適用する
+    const sign = timeStr.startsWith('-') ? -1 : 1;
+    const parts = timeStr.replace(/^-/, '').split(':');
     if (parts.length !== 2) {
       return null;
     }
@@ -38,7 +41,7 @@ function parseTimeToSeconds(timeStr, settings = {}, isModifierTime = false) {
       return null;
     }
 
-    seconds = minutes * 60 + secondsPart;
+    seconds = sign * (minutes * 60 + secondsPart);
   } else {
     // 秒のみの場合
     seconds = parseFloat(timeStr);
@@ -134,6 +137,60 @@ function normalizeText(text) {
   return normalized;
 }
 
+// ==============================
+// 診断情報（diagnostics）ユーティリティ
+// ==============================
+
+/**
+ * 診断情報の重要度
+ * error: 計算結果が意図と異なる可能性が高い / warning: 確認が必要 / info: 参考情報
+ */
+const DIAGNOSTIC_SEVERITIES = ['error', 'warning', 'info'];
+
+/**
+ * 行の中で指定した文字列が現れる範囲を求める
+ * 入力処理の整形（全角スペース→半角、全角！→半角）は文字数を変えないため、
+ * 整形後の文字列で検索した位置はそのまま元の行の位置として使える
+ * 見つからない場合（targetが空の場合を含む）は行の空白以外の部分全体を返す
+ * @param {string} raw_line - 元の行
+ * @param {string|null} target - 範囲を求める文字列
+ * @returns {Object} { column, end_column } 1始まり、end_columnは範囲の直後の位置
+ */
+function locateInLine(raw_line, target = null) {
+  const line = String(raw_line || '').replace(/　/g, ' ').replace(/！/g, '!');
+  const index = target ? line.indexOf(target) : -1;
+
+  if (index !== -1) {
+    return { column: index + 1, end_column: index + target.length + 1 };
+  }
+
+  const start = line.length - line.replace(/^\s+/, '').length;
+  const end = line.replace(/\s+$/, '').length;
+  return { column: start + 1, end_column: Math.max(end, start) + 1 };
+}
+
+/**
+ * 診断情報を作成する
+ * @param {string} severity - 重要度（'error' | 'warning' | 'info'）
+ * @param {string} code - 種類を表すコード（例: 'UNKNOWN_LABEL'）
+ * @param {number|null} line_number - 入力の行番号（1始まり）
+ * @param {string} raw_line - 元の行
+ * @param {string|null} target - 該当する文字列（nullの場合は行全体）
+ * @param {string} message - メッセージ
+ * @returns {Object} { severity, code, line, column, end_column, message }
+ */
+function createDiagnostic(severity, code, line_number, raw_line, target, message) {
+  const span = locateInLine(raw_line, target);
+  return {
+    severity: DIAGNOSTIC_SEVERITIES.includes(severity) ? severity : 'warning',
+    code: code,
+    line: line_number || null,
+    column: span.column,
+    end_column: span.end_column,
+    message: message
+  };
+}
+
 // ==============================
 // モジュールエクスポート
 // ==============================
@@ -146,7 +203,9 @@ if (typeof module !== 'undefined' && module.exports) {
     secondsToFrames,
     framesToSeconds,
     calculateFrame,
-    normalizeText
+    normalizeText,
+    locateInLine,
+    createDiagnostic
   };
 } else if (typeof window !== 'undefined') {
   window.Utilities = {
@@ -155,6 +214,8 @@ if (typeof module !== 'undefined' && module.exports) {
     secondsToFrames,
     framesToSeconds,
     calculateFrame,
-    normalizeText
+    normalizeText,
+    locateInLine,
+    createDiagnostic
   };
 }